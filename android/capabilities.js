@@ -9,6 +9,8 @@
  */
 
 const path = require('path');
+const { getEnvironmentConfig } = require('./objectRepo/objectRepo');
+const DeviceProfileRegistry = require('./utils/deviceProfileRegistry');
 
 // Configuration cache to avoid repeated object creation
 const configCache = new Map();
@@ -23,37 +25,46 @@ function validateEnvironment() {
     }
 }
 
-// Device profiles for better maintainability
-const DEVICE_PROFILES = {
-    samsung_s22: {
-        deviceName: 'Samsung Galaxy S22 Ultra',
-        osVersion: '12.0'
-    },
-    samsung_s21: {
-        deviceName: 'Samsung Galaxy S21',
-        osVersion: '11.0'
-    },
-    pixel_6: {
-        deviceName: 'Google Pixel 6',
-        osVersion: '13.0'
+// Device profiles live in device-profiles.yml (or DEVICE_PROFILES_FILE); a broken file fails here
+const deviceProfiles = DeviceProfileRegistry.load();
+
+// name → { deviceName, osVersion, capabilities, bstackOptions } of every runnable profile
+const DEVICE_PROFILES = Object.fromEntries(deviceProfiles.getNames().map(name => [name, deviceProfiles.get(name)]));
+
+// Get device profile; unknown names are an error that lists the valid ones
+function getDeviceProfile(profileName = deviceProfiles.defaultProfile) {
+    return deviceProfiles.get(profileName);
+}
+
+/**
+ * Prefix a profile's extra capabilities for the W3C capabilities BrowserStack expects
+ */
+function toAppiumCapabilities(capabilities = {}) {
+    return Object.fromEntries(Object.entries(capabilities).map(([name, value]) => [`appium:${name}`, value]));
+}
+
+/**
+ * noReset/fullReset pair of a session; Appium rejects both being true
+ */
+function createResetCapabilities({ noReset = false, fullReset = false } = {}) {
+    if (noReset && fullReset) {
+        throw new Error('noReset and fullReset cannot both be true');
     }
-};
 
-// Get device profile with fallback
-function getDeviceProfile(profileName = 'samsung_s22') {
-    return DEVICE_PROFILES[profileName] || DEVICE_PROFILES.samsung_s22;
+    return { noReset, fullReset };
 }
 
 // Optimized BrowserStack capabilities with dynamic configuration
 function createBrowserStackCapabilities(options = {}) {
     const {
-        deviceProfile = 'samsung_s22',
+        deviceProfile,
         sessionName = 'Wiki App Test',
         buildName = `Wiki Build ${new Date().toISOString().split('T')[0]}`,
         appUrl = process.env.BROWSERSTACK_APP_URL || 'bs://42650ff818c4ba52714893f62d97a6fda227e5ef'
     } = options;
 
     const device = getDeviceProfile(deviceProfile);
+    const { noReset, fullReset } = createResetCapabilities(options);
 
     return {
         platformName: 'android',
@@ -61,6 +72,9 @@ function createBrowserStackCapabilities(options = {}) {
         'appium:osVersion': device.osVersion,
         'appium:app': appUrl,
         'appium:automationName': 'UiAutomator2',
+        ...toAppiumCapabilities(device.capabilities),
+        'appium:noReset': noReset,
+        'appium:fullReset': fullReset,
         'appium:newCommandTimeout': 300,
         'appium:appWaitTimeout': 30000,
         'appium:deviceReadyTimeout': 30000,
@@ -75,35 +89,81 @@ function createBrowserStackCapabilities(options = {}) {
             networkLogs: true,
             appiumLogs: true,
             video: true,
-            deviceLogs: true
+            deviceLogs: true,
+            ...device.bstackOptions
         }
     };
 }
 
+/**
+ * Chromedriver settings for switching into the article WebView on local runs.
+ * BrowserStack matches chromedriver to the device itself.
+ * - CHROMEDRIVER_EXECUTABLE_DIR: folder of chromedriver binaries, one is picked per WebView version
+ * - CHROMEDRIVER_MAPPING_FILE: JSON map of chromedriver version to minimum Chrome version for that folder
+ * - CHROMEDRIVER_AUTODOWNLOAD=true: let Appium download a matching chromedriver; the server must be
+ *   started with `--allow-insecure chromedriver_autodownload`
+ */
+function createChromedriverCapabilities(env = process.env) {
+    const capabilities = {
+        // Only list WebViews that have a page loaded, so the article WebView is the one picked
+        ensureWebviewsHavePages: true
+    };
+
+    if (env.CHROMEDRIVER_EXECUTABLE_DIR) {
+        capabilities.chromedriverExecutableDir = path.resolve(env.CHROMEDRIVER_EXECUTABLE_DIR);
+    }
+    if (env.CHROMEDRIVER_MAPPING_FILE) {
+        if (!env.CHROMEDRIVER_EXECUTABLE_DIR) {
+            throw new Error('CHROMEDRIVER_MAPPING_FILE requires CHROMEDRIVER_EXECUTABLE_DIR');
+        }
+        capabilities.chromedriverChromeMappingFile = path.resolve(env.CHROMEDRIVER_MAPPING_FILE);
+    }
+    if (env.CHROMEDRIVER_AUTODOWNLOAD === 'true') {
+        capabilities.chromedriverAutodownload = true;
+    }
+
+    return capabilities;
+}
+
 // Optimized local capabilities with better configuration
 function createLocalCapabilities(options = {}) {
     const {
         deviceName = process.env.DEVICE_NAME || 'emulator-5554',
         appPath = process.env.APP_PATH || path.join(__dirname, 'LocalSample.apk'),
-        platformVersion = process.env.PLATFORM_VERSION || '11.0'
+        platformVersion = process.env.PLATFORM_VERSION || '11.0',
+        // false leaves installing and launching to the scenario and keeps app data, e.g. for upgrade runs
+        installApp = true,
+        // Only a named profile's extra capabilities apply locally; the device comes from deviceName
+        deviceProfile
     } = options;
 
+    const { appPackage, appActivity } = getEnvironmentConfig();
+    if (!installApp && options.fullReset) {
+        throw new Error('fullReset needs the app to be installed by the session (installApp: true)');
+    }
+    const resetCapabilities = createResetCapabilities(installApp ? options : { noReset: true });
+
+    const appCapabilities = installApp
+        ? { app: appPath }
+        : { appPackage, appActivity, autoLaunch: false };
+
     return {
         platformName: 'Android',
         platformVersion: platformVersion,
         deviceName: deviceName,
         automationName: 'UiAutomator2',
-        app: appPath,
+        ...(deviceProfile ? getDeviceProfile(deviceProfile).capabilities : {}),
+        ...appCapabilities,
+        ...resetCapabilities,
         appWaitTimeout: 30000,
         deviceReadyTimeout: 30000,
         newCommandTimeout: 300,
-        noReset: false,
-        fullReset: false,
         browserName: '',
         // Performance optimizations
         skipDeviceInitialization: false,
         skipServerInstallation: false,
-        ignoreUnimportantViews: true
+        ignoreUnimportantViews: true,
+        ...createChromedriverCapabilities()
     };
 }
 
@@ -150,7 +210,10 @@ module.exports = {
     getCapabilities,
     createBrowserStackCapabilities,
     createLocalCapabilities,
+    createChromedriverCapabilities,
+    createResetCapabilities,
     getDeviceProfile,
+    deviceProfiles,
     DEVICE_PROFILES,
     validateEnvironment
 };
@@ -8,7 +8,7 @@ Feature: Wikipedia Android App - Core Test Scenarios
   Background:
     Given the app is launched
 
-  @smoke @ui @homepage @critical
+  @smoke @ui @homepage @critical @soft
   Scenario: Verify all homepage elements are displayed correctly
     """
     Critical smoke test to ensure all main homepage elements are visible
@@ -34,8 +34,24 @@ Feature: Wikipedia Android App - Core Test Scenarios
     And I click on Change language option
     Then I enter "German" in search box
     And I select "German" from the list
+    And the Explore feed is shown in "German"
+    And search results are shown in "German"
 
-  @regression @reading-list @content @critical
+  @regression @language @settings
+  Scenario: Add, reorder and remove app languages
+    """
+    Languages are picked by visible name or ISO code. The first app
+    language decides which language the Explore feed is shown in.
+    """
+    Given I start on SettingsPage
+    When I add the app language "fr"
+    And I move the app language "fr" to position 1
+    Then the Explore feed is shown in "French"
+    When I remove the app language "French"
+    Then the app languages are "English"
+    And the Explore feed is shown in "English"
+
+  @regression @reading-list @content @critical @clear-data
   Scenario: Verify reading list functionality
     """
     Test reading list feature with article addition
@@ -43,9 +59,100 @@ Feature: Wikipedia Android App - Core Test Scenarios
     When I clicked on a news article
     And I click on more options icon
     And I click on Add to Reading List option
-    Then I enter reading list name as "My Test List1"
+    Then I enter reading list name as "Autotest List 1"
     And I click on OK button
     And I click on Ok button of Got it popup
     And I navigate to Reading list section
     Then I verify the news article is added to the reading list
 
+  @regression @reading-list @management @clear-data
+  Scenario: Manage reading lists
+    """
+    Create, fill, move between, rename, sort and delete reading lists.
+    Lists created here are deleted again by the cleanup hook.
+    """
+    When I add 2 news articles to the reading list "Autotest List A"
+    And I create a reading list named "Autotest List B"
+    Then the reading list "Autotest List A" contains 2 articles
+    When I move the first article from the reading list "Autotest List A" to "Autotest List B"
+    Then the reading list "Autotest List A" contains 1 article
+    And the reading list "Autotest List B" contains 1 article
+    When I rename the reading list "Autotest List B" to "Autotest List C"
+    Then the reading list "Autotest List C" is shown
+    And the reading list "Autotest List B" is not shown
+    When I sort the reading lists by name reversed
+    Then the reading lists are sorted by name reversed
+    When I delete the reading list "Autotest List C"
+    Then the reading list "Autotest List C" is not shown
+
+  @regression @search @smoke
+  Scenario: Search for an article
+    """
+    Ported from test/sample_test.js: search, check the top results and open one
+    """
+    When I search for "BrowserStack"
+    Then the top 3 search results contain "BrowserStack"
+    When I open the search result "BrowserStack"
+
+  @regression @search
+  Scenario: Search without results and clear recent searches
+    When I search for "qwxzv plorkt"
+    Then I see no search results
+    When I search for "Software testing"
+    And I open search result number 1
+    And I clear recent searches
+
+  @regression @article @webview
+  Scenario: Read an article body and follow a link
+    """
+    The article body is a WebView: these steps switch to the WEBVIEW context
+    and back to native. Local runs need a matching chromedriver.
+    """
+    Given I open the article "Solar eclipse"
+    Then the article title is "Solar eclipse"
+    And the article lead paragraph mentions "Moon"
+    And the article has the sections "Types", "Terminology"
+    When I follow the link "Sun" in the article
+    Then the article title is "Sun"
+
+  @regression @reading-list @offline
+  Scenario: Saved articles open offline
+    """
+    Articles saved to a reading list are downloaded for offline reading.
+    The network is restored after the scenario.
+    """
+    When I add 1 news article to the reading list "Autotest Offline"
+    And the device is offline
+    Then the first article of the reading list "Autotest Offline" opens
+
+  @regression @lifecycle
+  Scenario: The open article survives backgrounding and rotation
+    Given I open the article "Solar eclipse"
+    When I scroll the article down 3 times
+    And I put the app in the background for 5 seconds
+    Then the open article is preserved
+    And the scroll position is preserved
+    When I rotate the device to landscape
+    Then the open article is preserved
+    And the scroll position is preserved
+    When I rotate the device to portrait
+    Then the open article is preserved
+
+  @regression @lifecycle @reading-list
+  Scenario: A half-finished reading list survives process death
+    """
+    Needs the Appium server to run with --relaxed-security to kill the app process
+    """
+    Given I open the article "Solar eclipse"
+    When I click on more options icon
+    And I click on Add to Reading List option
+    And I enter reading list name as "Autotest Unsaved"
+    And the app process is killed in the background and restored
+    Then the reading list dialog still contains "Autotest Unsaved"
+    And I click on OK button
+
+  @regression @lifecycle
+  Scenario: A relaunch starts on the Explore feed
+    Given I open the article "Solar eclipse"
+    When I terminate and relaunch the app
+    Then ExplorePage is shown
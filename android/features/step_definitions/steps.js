@@ -11,15 +11,39 @@
  */
 
 require('dotenv').config(); // <-- Loads .env variables
-const { Given, When, Then, Before, After, AfterStep, setDefaultTimeout } = require('@cucumber/cucumber');
-const { remote } = require('webdriverio');
+const cucumber = require('@cucumber/cucumber');
 const DemoPage = require('../../pages/demoPage');
-const { getCapabilities } = require('../../capabilities');
+const { getDeviceProfile } = require('../../capabilities');
+const sessionManager = require('../../utils/sessionManager');
+const SessionRecovery = require('../../utils/sessionRecovery');
+const browserStack = require('../../utils/browserStackExecutor');
+const locatorDriftReport = require('../../utils/locatorDriftReport');
+const SoftAssert = require('../../utils/softAssert');
+const InterruptHandler = require('../../utils/interruptHandler');
+const UpgradePath = require('../../utils/upgradePath');
+const { resolveIsolationPolicy, describeIsolationPolicy } = require('../../utils/isolationPolicy');
+const { DynamicLocators } = require('../../objectRepo/objectRepo');
+const { toWdioSelector } = require('../../objectRepo/locatorAdapter');
+const { resolveLanguage } = require('../../utils/languageCatalog');
+
+const { Before, After, BeforeStep, AfterStep, AfterAll, setDefaultTimeout } = cucumber;
+
+// Dead or hung sessions are reported as infrastructure failures or retried once, see SESSION_RECOVERY
+const recovery = new SessionRecovery({
+    reconnect: async world => {
+        // Lists and the app language the scenario set up so far carry over to the new page objects
+        const previous = world.demoPage;
+        await openScenarioSession(world);
+        await world.demoPage.restoreState(previous);
+    }
+});
+const Given = recovery.wrapStepDefiner(cucumber.Given);
+const When = recovery.wrapStepDefiner(cucumber.When);
+const Then = recovery.wrapStepDefiner(cucumber.Then);
 
 // Set default timeout for all steps (increased for better reliability)
 setDefaultTimeout(60000);
 
-let driver, demoPage;
 let scenarioStartTime;
 let stepMetrics = [];
 
@@ -36,50 +60,55 @@ Before({ timeout: 120000 }, async function (scenario) {
 
     console.log(`📋 Scenario: ${scenario.pickle.name}`);
     console.log(`🌍 Environment: ${process.env.BROWSERSTACK === 'true' ? 'BrowserStack' : 'Local'}`);
-    console.log(`📱 Device: ${process.env.DEVICE_NAME || 'Default'}`);
+
+    // BrowserStack runs pick their device from DEVICE_PROFILE, e.g. per worker of the device matrix;
+    // without it the registry's default profile runs, and an unknown name fails here
+    const profile = process.env.BROWSERSTACK === 'true' ? getDeviceProfile(process.env.DEVICE_PROFILE) : null;
+    const deviceLabel = profile ? `${profile.deviceName} (Android ${profile.osVersion})` : (process.env.DEVICE_NAME || 'Default');
+    console.log(`📱 Device: ${deviceLabel}`);
+
+    // @upgrade scenarios install the baseline and candidate builds themselves and need both APKs
+    const upgradeRun = scenario.pickle.tags.some(tag => tag.name === '@upgrade');
+    if (upgradeRun && !process.env.UPGRADE_BASELINE_APK) {
+        console.log('⏭️ Skipping upgrade scenario: UPGRADE_BASELINE_APK is not set');
+        return 'skipped';
+    }
 
     try {
-        // Get capabilities with enhanced configuration
-        const capabilities = getCapabilities({
+        // @fresh-install, @clear-data or @keep-state decide what app state the session starts with
+        const isolation = resolveIsolationPolicy(scenario.pickle.tags.map(tag => tag.name));
+        console.log(`🧼 ${describeIsolationPolicy(isolation)}`);
+        if (isolation.keepsData && process.env.BROWSERSTACK === 'true' && !sessionManager.options.reuse) {
+            console.warn('⚠️ BrowserStack starts each session on a clean device: state is only kept within this scenario');
+        }
+
+        this.isolation = isolation;
+        this.scenarioName = scenario.pickle.name;
+        this.sessionOptions = {
             sessionName: scenario.pickle.name,
             buildName: `Wiki Build ${new Date().toISOString().split('T')[0]}`,
-            deviceProfile: process.env.DEVICE_PROFILE || 'samsung_s22'
-        });
-
-        // Configure remote options based on environment
-        const remoteOptions = process.env.BROWSERSTACK === 'true' ? {
-            protocol: 'https',
-            hostname: 'hub.browserstack.com',
-            port: 443,
-            path: '/wd/hub',
-            user: process.env.BROWSERSTACK_USERNAME,
-            key: process.env.BROWSERSTACK_ACCESS_KEY,
-            capabilities,
-            // Enhanced connection options
-            connectionRetryTimeout: 120000,
-            connectionRetryCount: 3
-        } : {
-            protocol: 'http',
-            hostname: '127.0.0.1',
-            port: 4723,
-            path: '/wd/hub',
-            capabilities,
-            connectionRetryTimeout: 30000,
-            connectionRetryCount: 2
+            deviceProfile: process.env.DEVICE_PROFILE,
+            installApp: !upgradeRun
         };
+        await openScenarioSession(this);
 
-        console.log('🔧 Creating WebDriver session...');
-        const driver = await remote(remoteOptions);
-
-        // Wait for app to be ready
-        await driver.pause(2000); // Brief pause for app initialization
+        // A device that was not reset can still hold lists from a run that crashed before its cleanup
+        if (!isolation.keepsData && scenario.pickle.tags.some(tag => tag.name === '@reading-list')) {
+            await this.demoPage.deleteLeftoverReadingLists();
+        }
 
-        const demoPage = new DemoPage(driver);
+        // @soft scenarios record every failed verification and fail once in the After hook
+        const softMode = scenario.pickle.tags.some(tag => tag.name === '@soft');
+        if (softMode) {
+            console.log('🧷 Soft assertions enabled for this scenario');
+        }
 
-        this.driver = driver;
-        this.demoPage = demoPage;
+        this.softAssert = new SoftAssert(this.driver, { enabled: softMode });
         this.scenarioFailed = false;
         this.scenarioStartTime = scenarioStartTime;
+        this.reportedInterruptions = 0;
+
+        await this.attach(`Device: ${deviceLabel}\n${describeIsolationPolicy(isolation)}`, 'text/plain');
 
         console.log('✅ Scenario setup completed successfully');
         console.log(`⏱️ Setup time: ${Date.now() - scenarioStartTime}ms`);
@@ -101,6 +130,54 @@ Before({ timeout: 120000 }, async function (scenario) {
     }
 });
 
+/**
+ * Open a session for the world's scenario, or take over the pooled one, and build the page objects on it.
+ * Runs in the Before hook and again when session recovery replaces a lost session.
+ */
+async function openScenarioSession(world) {
+    const { isolation } = world;
+
+    // SESSION_REUSE=true hands the previous scenario's session over instead of opening a new one.
+    // Page objects use the WebdriverIO API, whatever SESSION_CLIENT says.
+    const { driver, reused } = await sessionManager.acquireSession({
+        reuse: sessionManager.options.reuse && isolation.reuseSession,
+        client: 'webdriverio',
+        ...world.sessionOptions,
+        ...isolation.capabilities
+    });
+    world.driver = driver;
+
+    const demoPage = new DemoPage(driver);
+
+    // A reused session still shows where the last scenario left the app
+    if (reused) {
+        await demoPage.lifecycle.reset(isolation.reset);
+    }
+    if (process.env.BROWSERSTACK === 'true' && sessionManager.isPooled(driver)) {
+        await browserStack.annotate(driver, `Scenario: ${world.scenarioName} (${isolation.name})`);
+    }
+
+    // Wait for the launch screen to settle instead of a fixed delay; an animated screen never
+    // settles, and the first step's own waits cover it
+    try {
+        await demoPage.waits.waitForIdle({ timeout: 30000 });
+    } catch (error) {
+        console.warn(`⚠️ Launch screen did not settle: ${error.message}`);
+    }
+
+    world.demoPage = demoPage;
+    if (world.softAssert) {
+        world.softAssert.driver = driver;
+    }
+}
+
+/**
+ * Remember the running step for session-loss diagnostics
+ */
+BeforeStep(function ({ pickleStep }) {
+    this.currentStep = pickleStep.text;
+});
+
 /**
  * Optimized AfterStep hook with performance tracking
  */
@@ -122,8 +199,16 @@ AfterStep(async function ({ pickle, result }) {
         console.log(`   Duration: ${stepDuration}ms`);
         console.log(`   Error: ${result.message}`);
 
+        // A step that ran into its timeout never reaches the step wrapper, so check for a hung session here
+        if (this.driver && !this.sessionLost && recovery.mode !== 'off') {
+            const error = new Error(result.message);
+            if (await recovery.isSessionLost(this.driver, error)) {
+                await recovery.handleLoss(this, error);
+            }
+        }
+
         // Take failure screenshot
-        if (this.driver) {
+        if (this.driver && !this.sessionLost) {
             try {
                 const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
                 const screenshot = await this.driver.takeScreenshot();
@@ -137,6 +222,17 @@ AfterStep(async function ({ pickle, result }) {
         console.log(`✅ Step passed: ${pickle.text} (${stepDuration}ms)`);
     }
 
+    // Attach interruptions the watcher handled during this step to the scenario report
+    if (this.demoPage) {
+        const handled = this.demoPage.shared.interruptions.slice(this.reportedInterruptions);
+        if (handled.length > 0) {
+            this.reportedInterruptions += handled.length;
+            const summary = InterruptHandler.formatEntries(handled);
+            console.log(`🚧 Interruptions handled:\n${summary}`);
+            await this.attach(`Interruptions handled:\n${summary}`, 'text/plain');
+        }
+    }
+
     // Reset step timer for next step
     this.stepStartTime = Date.now();
 });
@@ -144,8 +240,11 @@ AfterStep(async function ({ pickle, result }) {
 /**
  * Optimized After hook with comprehensive cleanup and reporting
  */
-After(async function () {
+After(async function ({ pickle, result }) {
     if (!this.driver) {
+        if (result.status === 'FAILED') {
+            SessionRecovery.recordFailedScenario(pickle.name);
+        }
         console.log('⚠️ No driver found, skipping cleanup');
         return;
     }
@@ -175,26 +274,63 @@ After(async function () {
         });
     }
 
+    // Time spent waiting for UI state per condition, and what the interrupt watcher handled
+    if (this.demoPage) {
+        const waitSummary = this.demoPage.waits.getSummary();
+        if (waitSummary) {
+            console.log(`   Wait conditions: ${waitSummary}`);
+        }
+
+        const interruptions = this.demoPage.shared.interruptions;
+        if (interruptions.length > 0) {
+            console.log(`   Interruptions handled: ${interruptions.map(entry => `${entry.description} (${entry.policy})`).join(', ')}`);
+        }
+    }
+
+    // Soft failures leave every step green, so they decide the final status here
+    let softFailure = null;
+    if (this.softAssert && this.softAssert.hasFailures()) {
+        try {
+            this.softAssert.assertAll(`Scenario "${pickle.name}"`);
+        } catch (error) {
+            softFailure = error;
+            this.scenarioFailed = true;
+            console.log(`\n❌ ${error.message}`);
+        }
+    }
+
     // Determine final status
     const finalStatus = this.scenarioFailed ? 'failed' : 'passed';
     const statusMessage = this.scenarioFailed ?
         `BDD scenario failed after ${totalScenarioTime}ms` :
         `BDD scenario passed in ${totalScenarioTime}ms`;
 
-    console.log(`\n🏁 Final status: ${finalStatus.toUpperCase()}`);
+    console.log(`\n🏁 Final status: ${this.sessionLost ? 'INFRASTRUCTURE FAILURE' : finalStatus.toUpperCase()}`);
+
+    // Cucumber can only call a scenario failed: the marker and the run summary say why
+    if (this.sessionLost || this.scenarioFailed) {
+        SessionRecovery.recordFailedScenario(pickle.name, { infrastructure: Boolean(this.sessionLost) });
+    }
+
+    // The session is gone: recovery already recorded it, and any call on it would only fail again
+    if (this.sessionLost) {
+        console.log(`🔌 Infrastructure failure: ${this.infrastructureFailure.error.message}`);
+        await this.attach(`${SessionRecovery.INFRASTRUCTURE_MARKER}\nFailed because the Appium session was lost, not because of the app`, 'text/plain');
+        if (softFailure) {
+            throw softFailure;
+        }
+        return;
+    }
 
     try {
-        // Report to BrowserStack if applicable
-        if (process.env.BROWSERSTACK === 'true') {
-            await this.driver.execute(
-                'browserstack_executor: ' + JSON.stringify({
-                    action: 'setSessionStatus',
-                    arguments: {
-                        status: finalStatus,
-                        reason: statusMessage
-                    }
-                })
-            );
+        // Report to BrowserStack if applicable. A pooled session gets its status when it closes,
+        // so each scenario is marked with an annotation instead.
+        if (process.env.BROWSERSTACK === 'true' && sessionManager.isPooled(this.driver)) {
+            sessionManager.recordScenario(this.driver, { name: pickle.name, status: finalStatus });
+            await browserStack.annotate(this.driver, `Scenario ${finalStatus}: ${pickle.name} - ${statusMessage}`, this.scenarioFailed ? 'error' : 'info');
+            console.log('📤 BrowserStack scenario annotation added');
+        } else if (process.env.BROWSERSTACK === 'true') {
+            await browserStack.setSessionStatus(this.driver, finalStatus, statusMessage);
             console.log('📤 BrowserStack session status updated');
         }
 
@@ -212,23 +348,59 @@ After(async function () {
         console.error('❌ Error during status reporting:', error.message);
     }
 
-    // Comprehensive cleanup
-    try {
-        await this.driver.deleteSession();
-        console.log('🧹 Session cleaned up successfully');
-    } catch (cleanupError) {
-        console.error('❌ Error during session cleanup:', cleanupError.message);
+    // Comprehensive cleanup; a pooled session stays open for the next scenario
+    await sessionManager.releaseSession(this.driver);
 
-        // Force quit if normal cleanup fails
-        try {
-            await this.driver.quit();
-            console.log('🧹 Driver force-quit completed');
-        } catch (forceQuitError) {
-            console.error('❌ Force quit also failed:', forceQuitError.message);
+    if (softFailure) {
+        throw softFailure;
+    }
+});
+
+/**
+ * Bring the network and orientation back and delete reading lists the scenario created,
+ * so re-runs on a device that was not reset start clean. Defined after the main After
+ * hook, so it runs before the session ends.
+ */
+After({ timeout: 180000 }, async function () {
+    if (this.demoPage && !this.sessionLost) {
+        // A local device keeps its radio state and orientation across sessions
+        await this.demoPage.network.restore();
+        await this.demoPage.lifecycle.restore();
+
+        // @keep-state scenarios hand their data on to the scenarios after them
+        if (!this.isolation.keepsData) {
+            await this.demoPage.cleanupReadingLists();
         }
     }
 });
 
+/**
+ * Report elements that only matched through a fallback locator during this run
+ */
+AfterAll(async function () {
+    // The pooled session, and sessions left open by a scenario that failed before its After hook
+    await sessionManager.closeAll();
+    SessionRecovery.writeReport();
+
+    // Lost sessions are kept apart from app failures, in the summary and in the exit code
+    const failureSummary = SessionRecovery.formatFailureSummary();
+    if (failureSummary) {
+        console.log(`🔌 ${failureSummary}`);
+    }
+    const exitCode = SessionRecovery.applyExitCode();
+    if (exitCode !== null) {
+        console.log(`🔌 Only infrastructure failures: the run exits with code ${exitCode}`);
+    }
+
+    locatorDriftReport.printSummary();
+    locatorDriftReport.writeReport();
+
+    if (UpgradePath.getReport().baseline) {
+        console.log(`📦 ${UpgradePath.describe()}`);
+        UpgradePath.writeReport();
+    }
+});
+
 
 
 /**
@@ -287,20 +459,127 @@ When(/^I select "([^"]*)" from the list$/, { timeout: 30000 }, async function (l
     console.log(`✅ "${language}" selected from list successfully`);
 });
 
+/**
+ * App language management, by visible name or ISO code
+ */
+When(/^I add the app language "([^"]*)"$/, { timeout: 120000 }, async function (language) {
+    console.log(`🌐 Adding app language "${language}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.addAppLanguage(language);
+    console.log(`✅ App language "${language}" added successfully`);
+});
+
+When(/^I move the app language "([^"]*)" to position (\d+)$/, { timeout: 60000 }, async function (language, position) {
+    console.log(`🔀 Moving app language "${language}" to position ${position}...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.moveAppLanguage(language, Number(position));
+    console.log(`✅ App language "${language}" moved to position ${position}`);
+});
+
+When(/^I remove the app language "([^"]*)"$/, { timeout: 60000 }, async function (language) {
+    console.log(`🗑️ Removing app language "${language}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.removeAppLanguage(language);
+    console.log(`✅ App language "${language}" removed successfully`);
+});
+
+Then(/^the app languages are "([^"]*)"$/, { timeout: 60000 }, async function (expectedList) {
+    console.log(`🔍 Checking app languages are "${expectedList}"...`);
+    this.stepStartTime = Date.now();
+
+    await this.softAssert.check('App language order', async () => {
+        const expected = expectedList.split(',').map(name => resolveLanguage(name).name);
+        const actual = (await this.demoPage.getAppLanguages()).map(name => resolveLanguage(name).name);
+
+        if (actual.join('|') !== expected.join('|')) {
+            throw new Error(`App languages mismatch. Expected "${expected.join(', ')}", but got "${actual.join(', ')}"`);
+        }
+    });
+    console.log('✅ App languages verified successfully');
+});
+
+Then(/^the Explore feed is shown in "([^"]*)"$/, { timeout: 90000 }, async function (language) {
+    console.log(`🔍 Checking the Explore feed is shown in "${language}"...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check(`Explore feed in "${language}"`, () => this.demoPage.verifyFeedLanguage(language));
+    console.log(`✅ Explore feed shown in "${language}"`);
+});
+
+/**
+ * Shortcuts that start directly on a screen instead of navigating the UI
+ */
+Given(/^I open the article "([^"]*)"$/, { timeout: 90000 }, async function (title) {
+    console.log(`🔗 Opening the article "${title}" by deep link...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.openArticle(title);
+    console.log(`✅ Article "${title}" opened successfully`);
+});
+
+Given(/^I start on (\w+Page)$/, { timeout: 60000 }, async function (pageName) {
+    console.log(`🚀 Starting on ${pageName}...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.startOn(pageName);
+    console.log(`✅ Started on ${pageName} successfully`);
+});
+
+/**
+ * Generic navigation through the page graph, e.g. "I go to ReadingListPage"
+ */
+When(/^I go to (\w+Page)$/, { timeout: 60000 }, async function (pageName) {
+    console.log(`🧭 Navigating to ${pageName}...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.goTo(pageName);
+    console.log(`✅ Navigated to ${pageName} successfully`);
+});
+
+/**
+ * Generic gesture steps, targeting elements by their visible text
+ */
+When(/^I scroll (up|down) to "([^"]*)"$/, { timeout: 60000 }, async function (direction, text) {
+    console.log(`📜 Scrolling ${direction} to "${text}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.gestures.scrollIntoView(toWdioSelector(DynamicLocators.elementByText(text)), { direction });
+    console.log(`✅ "${text}" scrolled into view`);
+});
+
+When(/^I swipe (up|down|left|right)(?: on "([^"]*)")?$/, { timeout: 30000 }, async function (direction, text) {
+    console.log(`👆 Swiping ${direction}${text ? ` on "${text}"` : ''}...`);
+    this.stepStartTime = Date.now();
+    const within = text ? toWdioSelector(DynamicLocators.elementByText(text)) : null;
+    await this.demoPage.gestures.swipe(direction, { within });
+    console.log(`✅ Swiped ${direction} successfully`);
+});
+
+When(/^I long press on "([^"]*)"$/, { timeout: 30000 }, async function (text) {
+    console.log(`👇 Long pressing on "${text}"...`);
+    this.stepStartTime = Date.now();
+    const selector = toWdioSelector(DynamicLocators.elementByText(text));
+    const element = await this.demoPage.scrollToElement(selector, `"${text}"`);
+    await this.demoPage.gestures.longPress(element);
+    console.log(`✅ Long pressed on "${text}" successfully`);
+});
+
+When(/^I pinch (open|close) on "([^"]*)"$/, { timeout: 30000 }, async function (direction, text) {
+    console.log(`🤏 Pinching ${direction} on "${text}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.gestures.pinch(toWdioSelector(DynamicLocators.elementByText(text)), { direction });
+    console.log(`✅ Pinched ${direction} on "${text}" successfully`);
+});
+
 /**
  * Optimized Then steps for verification
  */
 Then(/^I verify the Wikipedia header logo$/, { timeout: 30000 }, async function () {
     console.log('🔍 Verifying Wikipedia header logo...');
     this.stepStartTime = Date.now();
-    await this.demoPage.verifyWikiHeaderLogo();
+    await this.softAssert.check('Wikipedia header logo', () => this.demoPage.verifyWikiHeaderLogo());
     console.log('✅ Wikipedia header logo verified successfully');
 });
 
 Then(/^I verify the Eclipse button$/, { timeout: 30000 }, async function () {
     console.log('🔘 Verifying Eclipse button...');
     this.stepStartTime = Date.now();
-    await this.demoPage.verifyEclipseButton();
+    await this.softAssert.check('Eclipse button', () => this.demoPage.verifyEclipseButton());
     console.log('✅ Eclipse button verified successfully');
 });
 
@@ -312,45 +591,76 @@ Then(/^I verify the subheading "([^"]*)" and todays date$/, { timeout: 30000 },
         throw new Error('SubHeaderName parameter cannot be empty');
     }
 
-    await this.demoPage.verifySubHeadingAndTodaysDate(subHeaderName.trim());
+    await this.softAssert.check(
+        `Subheading "${subHeaderName}" and today's date`,
+        () => this.demoPage.verifySubHeadingAndTodaysDate(subHeaderName.trim())
+    );
     console.log(`✅ Subheading "${subHeaderName}" and today's date verified successfully`);
 });
 
 Then(/^I verify the In the news eclipse button$/, { timeout: 30000 }, async function () {
     console.log('📰 Verifying In the news eclipse button...');
     this.stepStartTime = Date.now();
-    await this.demoPage.verifyInTheNewsEclipseButton();
+    await this.softAssert.check('In the news eclipse button', () => this.demoPage.verifyInTheNewsEclipseButton());
     console.log('✅ In the news eclipse button verified successfully');
 });
 
 Then(/^I verify two news article cards$/, { timeout: 30000 }, async function () {
     console.log('📰 Verifying two news article cards...');
     this.stepStartTime = Date.now();
-    await this.demoPage.verifyTwoNewArticles();
+    await this.softAssert.check('Two news article cards', () => this.demoPage.verifyTwoNewArticles());
     console.log('✅ Two news article cards verified successfully');
 });
 
 Then(/^I verify the Featured article eclipse button and image$/, { timeout: 30000 }, async function () {
     console.log('⭐ Verifying Featured article eclipse button and image...');
     this.stepStartTime = Date.now();
-    await this.demoPage.verifyFeatureArticleEclipseButtonAndImage();
+    await this.softAssert.check('Featured article eclipse button and image', () => this.demoPage.verifyFeatureArticleEclipseButtonAndImage());
     console.log('✅ Featured article eclipse button and image verified successfully');
 });
 
 Then(/^I verify the Explore button at the bottom$/, { timeout: 30000 }, async function () {
     console.log('🔍 Verifying Explore button...');
     this.stepStartTime = Date.now();
-    await this.demoPage.verifyExploreButton();
+    await this.softAssert.check('Explore button', () => this.demoPage.verifyExploreButton());
     console.log('✅ Explore button verified successfully');
 });
 
 Then(/^I verify the Reading list, History and Navigate to browser buttons at the bottom$/, { timeout: 30000 }, async function () {
     console.log('📚 Verifying navigation buttons...');
     this.stepStartTime = Date.now();
-    await this.demoPage.verifyReadingListHistoryNavigatingButtons();
+    await this.softAssert.check('Reading list, History and Navigate to browser buttons', () => this.demoPage.verifyReadingListHistoryNavigatingButtons());
     console.log('✅ Reading list, History and Navigate buttons verified successfully');
 });
 
+/**
+ * Single step that checks every homepage element and reports all failures together
+ */
+Then(/^I verify all homepage elements$/, { timeout: 180000 }, async function () {
+    console.log('🏠 Verifying all homepage elements...');
+    this.stepStartTime = Date.now();
+
+    await this.softAssert.collect('Homepage verification', async () => {
+        const checks = [
+            ['Wikipedia header logo', () => this.demoPage.verifyWikiHeaderLogo()],
+            ['Eclipse button', () => this.demoPage.verifyEclipseButton()],
+            ['Subheading "In the news" and today\'s date', () => this.demoPage.verifySubHeadingAndTodaysDate('In the news')],
+            ['In the news eclipse button', () => this.demoPage.verifyInTheNewsEclipseButton()],
+            ['Two news article cards', () => this.demoPage.verifyTwoNewArticles()],
+            ['Subheading "Featured article" and today\'s date', () => this.demoPage.verifySubHeadingAndTodaysDate('Featured article')],
+            ['Featured article eclipse button and image', () => this.demoPage.verifyFeatureArticleEclipseButtonAndImage()],
+            ['Explore button', () => this.demoPage.verifyExploreButton()],
+            ['Reading list, History and Navigate to browser buttons', () => this.demoPage.verifyReadingListHistoryNavigatingButtons()]
+        ];
+
+        for (const [description, check] of checks) {
+            await this.softAssert.check(description, check);
+        }
+    });
+
+    console.log('✅ All homepage elements verified successfully');
+});
+
 /**
  * Optimized steps for reading list functionality
  */
@@ -401,6 +711,41 @@ When(/^I click on Ok button of Got it popup$/,{ timeout: 30000 }, async function
     console.log('✅ Got it OK button clicked successfully');
 });
 
+/**
+ * Article body, read from the WebView
+ */
+Then(/^the article title is "([^"]*)"$/, { timeout: 60000 }, async function (title) {
+    console.log(`🔍 Checking the article title is "${title}"...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check(`Article title "${title}"`, () => this.demoPage.verifyArticleTitle(title));
+    console.log(`✅ Article title is "${title}"`);
+});
+
+Then(/^the article lead paragraph mentions "([^"]*)"$/, { timeout: 60000 }, async function (text) {
+    console.log(`🔍 Checking the lead paragraph mentions "${text}"...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check(`Lead paragraph mentions "${text}"`, () => this.demoPage.verifyArticleLeadParagraphContains(text));
+    console.log(`✅ Lead paragraph mentions "${text}"`);
+});
+
+Then(/^the article has the sections ((?:"[^"]*"(?:, )?)+)$/, { timeout: 60000 }, async function (headingList) {
+    const headings = [...headingList.matchAll(/"([^"]*)"/g)].map(match => match[1]);
+    console.log(`🔍 Checking the article has the sections ${headingList}...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check('Article sections', () => this.demoPage.verifyArticleSections(headings));
+
+    const toc = await this.demoPage.getArticleTableOfContents();
+    console.log(`📑 Table of contents: ${toc.map(entry => `${'  '.repeat(entry.level - 1)}${entry.title}`).join(' | ')}`);
+    console.log('✅ Article sections verified');
+});
+
+When(/^I follow the link "([^"]*)" in the article$/, { timeout: 90000 }, async function (linkText) {
+    console.log(`🔗 Following the link "${linkText}"...`);
+    this.stepStartTime = Date.now();
+    const title = await this.demoPage.followArticleLink(linkText);
+    console.log(`✅ Followed "${linkText}" to "${title}"`);
+});
+
 When(/^I navigate to Reading list section$/,{ timeout: 30000 }, async function (){
     console.log('📚 Navigating to Reading list section...');
     this.stepStartTime = Date.now();
@@ -408,12 +753,273 @@ When(/^I navigate to Reading list section$/,{ timeout: 30000 }, async function (
     console.log('✅ Navigated to Reading list section successfully');
 });
 
-Then(/^I verify the news article is added to the reading list$/,{ timeout: 30000 }, async function (){
+Then(/^I verify the news article is added to the reading list$/,{ timeout: 60000 }, async function (){
     console.log('🔍 Verifying news article in reading list...');
     this.stepStartTime = Date.now();
-    await this.demoPage.verifyNewsArticleIsAddedToReadingList();
+    await this.softAssert.check('News article in reading list', () => this.demoPage.verifyNewsArticleIsAddedToReadingList());
     console.log('✅ News article verified in reading list successfully');
 });
 
+/**
+ * Reading list management steps
+ */
+When(/^I create a reading list named "([^"]*)"$/, { timeout: 60000 }, async function (listName) {
+    console.log(`📚 Creating reading list "${listName}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.createReadingList(listName);
+    console.log(`✅ Reading list "${listName}" created successfully`);
+});
+
+When(/^I rename the reading list "([^"]*)" to "([^"]*)"$/, { timeout: 60000 }, async function (listName, newName) {
+    console.log(`✏️ Renaming reading list "${listName}" to "${newName}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.renameReadingList(listName, newName);
+    console.log(`✅ Reading list renamed to "${newName}" successfully`);
+});
+
+When(/^I delete the reading list "([^"]*)"$/, { timeout: 60000 }, async function (listName) {
+    console.log(`🗑️ Deleting reading list "${listName}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.deleteReadingList(listName);
+    console.log(`✅ Reading list "${listName}" deleted successfully`);
+});
+
+When(/^I sort the reading lists by (name|name reversed|recent|recent reversed)$/, { timeout: 60000 }, async function (order) {
+    console.log(`🔃 Sorting reading lists by ${order}...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.sortReadingLists(order);
+    console.log(`✅ Reading lists sorted by ${order} successfully`);
+});
+
+When(/^I add (\d+) news articles? to the reading list "([^"]*)"$/, { timeout: 300000 }, async function (count, listName) {
+    console.log(`📰 Adding ${count} news article(s) to "${listName}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.addNewsArticlesToReadingList(listName, Number(count));
+    console.log(`✅ ${count} news article(s) added to "${listName}" successfully`);
+});
+
+When(/^I move the (?:article "([^"]*)"|first article) from the reading list "([^"]*)" to "([^"]*)"$/, { timeout: 120000 }, async function (articleTitle, fromList, toList) {
+    console.log(`🔀 Moving ${articleTitle ? `"${articleTitle}"` : 'the first article'} from "${fromList}" to "${toList}"...`);
+    this.stepStartTime = Date.now();
+    const movedTitle = await this.demoPage.moveArticleBetweenReadingLists(articleTitle, fromList, toList);
+    console.log(`✅ "${movedTitle}" moved to "${toList}" successfully`);
+});
+
+Then(/^the reading list "([^"]*)" (is|is not) shown$/, { timeout: 60000 }, async function (listName, expectation) {
+    console.log(`🔍 Checking reading list "${listName}" ${expectation} shown...`);
+    this.stepStartTime = Date.now();
+
+    await this.softAssert.check(`Reading list "${listName}" ${expectation} shown`, async () => {
+        const names = await this.demoPage.getReadingListNames();
+        const shown = names.includes(listName);
+
+        if (shown !== (expectation === 'is')) {
+            throw new Error(`Expected reading list "${listName}" ${expectation} shown. Lists: ${names.join(', ') || '(none)'}`);
+        }
+    });
+    console.log(`✅ Reading list "${listName}" ${expectation} shown`);
+});
+
+Then(/^the reading list "([^"]*)" contains (\d+) articles?$/, { timeout: 60000 }, async function (listName, count) {
+    console.log(`🔍 Checking reading list "${listName}" contains ${count} article(s)...`);
+    this.stepStartTime = Date.now();
+
+    await this.softAssert.check(`Reading list "${listName}" article count`, async () => {
+        const titles = await this.demoPage.getArticlesInReadingList(listName);
+
+        if (titles.length !== Number(count)) {
+            throw new Error(`Expected ${count} article(s) in "${listName}", found ${titles.length}: ${titles.join(', ') || '(none)'}`);
+        }
+    });
+    console.log(`✅ Reading list "${listName}" contains ${count} article(s)`);
+});
+
+Then(/^the reading lists are sorted by (name|name reversed)$/, { timeout: 60000 }, async function (order) {
+    console.log(`🔍 Checking reading lists are sorted by ${order}...`);
+    this.stepStartTime = Date.now();
+
+    await this.softAssert.check(`Reading lists sorted by ${order}`, () => this.demoPage.verifyReadingListsSortedByName(order === 'name reversed'));
+    console.log(`✅ Reading lists are sorted by ${order}`);
+});
+
+
+/**
+ * Network conditions: local runs switch the device radios, BrowserStack runs apply a network profile
+ */
+Given(/^the device is (online|offline|in airplane mode)$/, { timeout: 60000 }, async function (state) {
+    const condition = state === 'in airplane mode' ? 'airplane mode' : state;
+    console.log(`📶 Setting the device ${state}...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.setNetworkCondition(condition);
+    console.log(`✅ Device is ${state}`);
+});
+
+When(/^I set the network to "([^"]*)"$/, { timeout: 60000 }, async function (condition) {
+    console.log(`📶 Setting the network to "${condition}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.setNetworkCondition(condition);
+    console.log(`✅ Network set to "${condition}"`);
+});
+
+Then(/^the (?:article "([^"]*)"|first article) of the reading list "([^"]*)" opens$/, { timeout: 90000 }, async function (articleTitle, listName) {
+    console.log(`📖 Opening ${articleTitle ? `"${articleTitle}"` : 'the first article'} of "${listName}"...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check(`Saved article of "${listName}" opens`, async () => {
+        const title = await this.demoPage.openSavedArticle(articleTitle, listName);
+        console.log(`✅ "${title}" opened with its content`);
+    });
+});
+
+/**
+ * App lifecycle events; the screen is recorded before each event for the "preserved" checks
+ */
+When(/^I put the app in the background for (\d+) seconds?$/, { timeout: 120000 }, async function (seconds) {
+    console.log(`🌙 Backgrounding the app for ${seconds}s...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.backgroundApp(Number(seconds));
+    console.log('✅ App is back in the foreground');
+});
+
+When(/^I terminate and relaunch the app$/, { timeout: 90000 }, async function () {
+    console.log('🛑 Terminating and relaunching the app...');
+    this.stepStartTime = Date.now();
+    await this.demoPage.restartApp();
+    console.log('✅ App relaunched successfully');
+});
+
+When(/^the app process is killed in the background and restored$/, { timeout: 90000 }, async function () {
+    console.log('💀 Simulating process death...');
+    this.stepStartTime = Date.now();
+    await this.demoPage.simulateProcessDeath();
+    console.log('✅ App restored after process death');
+});
+
+When(/^I rotate the device to (portrait|landscape)$/, { timeout: 60000 }, async function (orientation) {
+    console.log(`🔄 Rotating the device to ${orientation}...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.rotateDevice(orientation);
+    console.log(`✅ Device rotated to ${orientation}`);
+});
+
+When(/^I scroll the article down(?: (\d+) times)?$/, { timeout: 60000 }, async function (times) {
+    console.log('📜 Scrolling the article down...');
+    this.stepStartTime = Date.now();
+    await this.demoPage.articlePage.scrollArticle(times ? Number(times) : 1);
+    console.log('✅ Article scrolled down');
+});
+
+Then(/^the open article is preserved$/, { timeout: 60000 }, async function () {
+    console.log('🔍 Checking the open article is preserved...');
+    this.stepStartTime = Date.now();
+    await this.softAssert.check('Open article preserved', () => this.demoPage.verifyArticlePreserved());
+    console.log('✅ Open article preserved');
+});
+
+Then(/^the scroll position is preserved$/, { timeout: 60000 }, async function () {
+    console.log('🔍 Checking the scroll position is preserved...');
+    this.stepStartTime = Date.now();
+    await this.softAssert.check('Scroll position preserved', () => this.demoPage.verifyScrollPositionPreserved());
+    console.log('✅ Scroll position preserved');
+});
+
+Then(/^the reading list dialog still contains "([^"]*)"$/, { timeout: 60000 }, async function (listName) {
+    console.log(`🔍 Checking the reading list dialog still contains "${listName}"...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check('Reading list dialog preserved', () => this.demoPage.verifyReadingListDraft(listName));
+    console.log('✅ Reading list dialog preserved');
+});
+
+Then(/^(\w+Page) is shown$/, { timeout: 60000 }, async function (pageName) {
+    console.log(`🔍 Checking ${pageName} is shown...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check(`${pageName} shown`, () => this.demoPage.verifyPageShown(pageName));
+    console.log(`✅ ${pageName} is shown`);
+});
+
+/**
+ * Upgrade path: data is created on the baseline build, then checked on the candidate installed over it
+ */
+Given(/^the baseline app is installed$/, { timeout: 300000 }, async function () {
+    console.log('📦 Installing the baseline build...');
+    this.stepStartTime = Date.now();
+    const baseline = await new UpgradePath(this.driver).installBaseline();
+    await this.demoPage.waitForAppLaunch();
+    await this.attach(`Baseline: ${baseline.versionName} (${baseline.versionCode ?? '?'}) from ${baseline.apk}`, 'text/plain');
+    console.log(`✅ Baseline ${baseline.versionName} installed`);
+});
+
+Given(/^the app is upgraded to the candidate build$/, { timeout: 300000 }, async function () {
+    console.log('📦 Upgrading to the candidate build...');
+    this.stepStartTime = Date.now();
+    await new UpgradePath(this.driver).upgradeToCandidate();
+    await this.demoPage.waitForAppLaunch();
+    await this.attach(UpgradePath.describe(), 'text/plain');
+    console.log(`✅ ${UpgradePath.describe()}`);
+});
+
+Then(/^the history contains "([^"]*)"$/, { timeout: 60000 }, async function (title) {
+    console.log(`🔍 Checking the history contains "${title}"...`);
+    this.stepStartTime = Date.now();
+
+    await this.softAssert.check(`History contains "${title}"`, async () => {
+        const titles = await this.demoPage.getHistoryTitles();
+
+        if (!titles.includes(title)) {
+            throw new Error(`"${title}" not in history. History: ${titles.join(', ') || '(empty)'}`);
+        }
+    });
+    console.log(`✅ History contains "${title}"`);
+});
+
+/**
+ * Search, ported from test/sample_test.js
+ */
+When(/^I search for "([^"]*)"$/, { timeout: 60000 }, async function (term) {
+    console.log(`🔎 Searching for "${term}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.search(term);
+    console.log(`✅ Searched for "${term}" successfully`);
+});
+
+Then(/^the top (\d+) search results contain ((?:"[^"]*"(?:, )?)+)$/, { timeout: 60000 }, async function (count, titleList) {
+    const titles = [...titleList.matchAll(/"([^"]*)"/g)].map(match => match[1]);
+    console.log(`🔍 Checking the top ${count} search results contain ${titleList}...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check(`Top ${count} search results`, () => this.demoPage.verifyTopSearchResultsContain(titles, Number(count)));
+    console.log(`✅ Top ${count} search results verified`);
+});
+
+When(/^I open the search result "([^"]*)"$/, { timeout: 60000 }, async function (title) {
+    console.log(`📄 Opening search result "${title}"...`);
+    this.stepStartTime = Date.now();
+    await this.demoPage.openSearchResult(title);
+    console.log(`✅ Search result "${title}" opened successfully`);
+});
+
+When(/^I open search result number (\d+)$/, { timeout: 60000 }, async function (position) {
+    console.log(`📄 Opening search result number ${position}...`);
+    this.stepStartTime = Date.now();
+    const title = await this.demoPage.openSearchResultAt(Number(position));
+    console.log(`✅ Search result ${position} ("${title}") opened successfully`);
+});
 
- 
\ No newline at end of file
+Then(/^I see no search results$/, { timeout: 30000 }, async function () {
+    console.log('🔍 Checking no search results are shown...');
+    this.stepStartTime = Date.now();
+    await this.softAssert.check('No search results', () => this.demoPage.verifyNoSearchResults());
+    console.log('✅ No search results shown');
+});
+
+When(/^I clear recent searches$/, { timeout: 60000 }, async function () {
+    console.log('🧹 Clearing recent searches...');
+    this.stepStartTime = Date.now();
+    await this.demoPage.clearRecentSearches();
+    console.log('✅ Recent searches cleared successfully');
+});
+
+Then(/^search results are shown in "([^"]*)"$/, { timeout: 60000 }, async function (language) {
+    console.log(`🔍 Checking search results are shown in "${language}"...`);
+    this.stepStartTime = Date.now();
+    await this.softAssert.check(`Search results in "${language}"`, () => this.demoPage.verifySearchLanguage(language));
+    console.log(`✅ Search results shown in "${language}"`);
+});
@@ -0,0 +1,23 @@
+@upgrade @keep-state
+Feature: Wikipedia Android App - Upgrade path
+  Data created on an older build must survive installing the current build over it.
+  Set UPGRADE_BASELINE_APK (and optionally UPGRADE_CANDIDATE_APK) to run these
+  scenarios; they are skipped otherwise. Scenarios run in order and share the device.
+
+  @upgrade-setup
+  Scenario: Prepare data on the baseline build
+    Given the baseline app is installed
+    When I add 1 news article to the reading list "Autotest Upgrade"
+    And I add the app language "German"
+    And I open the article "Solar eclipse"
+
+  @upgrade-verify @reading-list
+  Scenario: Reading lists survive the upgrade
+    Given the app is upgraded to the candidate build
+    Then the reading list "Autotest Upgrade" contains 1 article
+
+  @upgrade-verify @language
+  Scenario: App languages and history survive the upgrade
+    Given the app is upgraded to the candidate build
+    Then the app languages are "English, German"
+    And the history contains "Solar eclipse"
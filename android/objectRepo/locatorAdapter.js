@@ -0,0 +1,112 @@
+/**
+ * Locator Adapter
+ * Features:
+ * - Converts objectRepo `{ using, value }` locators into WebdriverIO selectors
+ * - Converts the same locators into selenium-webdriver `By` objects
+ * - Resolves page locator sets at load time so typos fail fast
+ * - Resolves fallback chains for self-healing lookups
+ */
+
+const { Validators, getLocatorChain } = require('./objectRepo');
+
+/**
+ * Human-readable description of a locator for error messages
+ */
+function describeLocator(locator) {
+    return locator && typeof locator === 'object'
+        ? JSON.stringify(locator)
+        : String(locator);
+}
+
+/**
+ * Convert an objectRepo locator into a WebdriverIO selector string.
+ * WebdriverIO accepts `<strategy>:<value>` for every W3C/Appium strategy.
+ */
+function toWdioSelector(locator) {
+    if (!Validators.isValidLocator(locator)) {
+        throw new Error(`Invalid locator: ${describeLocator(locator)}`);
+    }
+
+    if (locator.using === 'accessibility id') {
+        return `~${locator.value}`;
+    }
+
+    return `${locator.using}:${locator.value}`;
+}
+
+/**
+ * Convert an objectRepo locator into a selenium-webdriver `By`.
+ * `By.id()` is rewritten to a CSS selector by selenium-webdriver, which Appium
+ * does not support, so the raw strategy is passed through instead.
+ */
+function toSeleniumBy(locator) {
+    if (!Validators.isValidLocator(locator)) {
+        throw new Error(`Invalid locator: ${describeLocator(locator)}`);
+    }
+
+    const { By } = require('selenium-webdriver');
+    return new By(locator.using, locator.value);
+}
+
+/**
+ * Resolve the named locators from an objectRepo collection into WebdriverIO selectors
+ *
+ * @param {Object} source - objectRepo collection, e.g. MainAppLocators
+ * @param {string[]} names - locator names the page object needs
+ * @param {string} owner - page object name, used in error messages
+ * @returns {Object<string, string>} selector strings keyed by locator name
+ */
+function resolveLocators(source, names, owner = 'page object') {
+    const unresolved = names.filter(name => !Validators.isValidLocator(source[name]));
+
+    if (unresolved.length > 0) {
+        throw new Error(`${owner} references unresolvable locators: ${unresolved.join(', ')}`);
+    }
+
+    return names.reduce((selectors, name) => {
+        selectors[name] = toWdioSelector(source[name]);
+        return selectors;
+    }, {});
+}
+
+/**
+ * Wrap a DynamicLocators factory so it returns a WebdriverIO selector
+ */
+function resolveDynamicLocator(factory, name = 'dynamic locator') {
+    if (typeof factory !== 'function') {
+        throw new Error(`Unresolvable dynamic locator: ${name}`);
+    }
+
+    return (...args) => toWdioSelector(factory(...args));
+}
+
+/**
+ * Resolve objectRepo fallback chains into ordered `{ locator, selector }` entries
+ *
+ * @param {string[]} names - logical element names, see FallbackChains
+ * @param {string} owner - page object name, used in error messages
+ * @returns {Object<string, Array<{locator: Object, selector: string}>>}
+ */
+function resolveLocatorChains(names, owner = 'page object') {
+    const unresolved = names.filter(name => !Validators.isValidLocatorArray(getLocatorChain(name)));
+
+    if (unresolved.length > 0) {
+        throw new Error(`${owner} references unresolvable locator chains: ${unresolved.join(', ')}`);
+    }
+
+    return names.reduce((chains, name) => {
+        chains[name] = getLocatorChain(name).map(locator => ({
+            locator,
+            selector: toWdioSelector(locator)
+        }));
+        return chains;
+    }, {});
+}
+
+module.exports = {
+    toWdioSelector,
+    toSeleniumBy,
+    resolveLocators,
+    resolveDynamicLocator,
+    resolveLocatorChains
+};
@@ -3,6 +3,7 @@
  * Features:
  * - Categorized locators for better organization
  * - Multiple locator strategies for reliability
+ * - Ordered fallback chains for self-healing lookups
  * - Performance-optimized selectors
  * - Environment-specific configurations
  * - Comprehensive documentation
@@ -51,7 +52,17 @@ const LocatorStrategies = {
     /**
      * Description-based selectors
      */
-    description: (value) => ({ using: '-android uiautomator', value: `new UiSelector().description("${value}")` })
+    description: (value) => ({ using: '-android uiautomator', value: `new UiSelector().description("${value}")` }),
+
+    /**
+     * CSS selectors (WEBVIEW context only)
+     */
+    css: (value) => ({ using: 'css selector', value }),
+
+    /**
+     * Link text selectors (WEBVIEW context only)
+     */
+    linkText: (value) => ({ using: 'link text', value })
 };
 
 /**
@@ -75,7 +86,6 @@ const MainAppLocators = {
     // Language Settings
     changeLanguageOption: LocatorStrategies.uiAutomator('new UiSelector().className("android.widget.RelativeLayout").instance(0)'),
     searchBox: LocatorStrategies.id('org.wikipedia.alpha:id/preference_languages_filter'),
-    languageFromList: LocatorStrategies.uiAutomator('new UiSelector().className("android.widget.LinearLayout").instance(2)'),
 
     // Article Elements
     inTheNewsEclipseButton: LocatorStrategies.uiAutomator('new UiSelector().resourceId("org.wikipedia.alpha:id/view_list_card_header_menu").instance(0)'),
@@ -113,6 +123,12 @@ const SystemLocators = {
     permissionDenyBtn: LocatorStrategies.id('com.android.permissioncontroller:id/permission_deny_button'),
     dialogOkBtn: LocatorStrategies.id('android:id/button1'),
     dialogCancelBtn: LocatorStrategies.id('android:id/button2'),
+    dialogTitle: LocatorStrategies.id('android:id/alertTitle'),
+    dialogButtonPanel: LocatorStrategies.id('android:id/buttonPanel'),
+
+    // "App isn't responding" dialog
+    anrWaitBtn: LocatorStrategies.id('android:id/aerr_wait'),
+    anrCloseBtn: LocatorStrategies.id('android:id/aerr_close'),
 
     // System UI elements that might interfere
     systemNavigationBack: LocatorStrategies.accessibilityId('Back'),
@@ -120,6 +136,15 @@ const SystemLocators = {
     systemNavigationRecent: LocatorStrategies.accessibilityId('Recent')
 };
 
+/**
+ * Interruption Locators
+ * App screens that can pop up over any page, see utils/interruptHandler.js
+ */
+const InterruptionLocators = {
+    onboardingSkipButton: LocatorStrategies.id('org.wikipedia.alpha:id/fragment_onboarding_skip_button'),
+    appRatingTitle: LocatorStrategies.xpath('//*[@resource-id="android:id/alertTitle" and starts-with(@text, "Rate ")]')
+};
+
 /**
  * Dynamic Content Locators
  * Functions that generate locators dynamically
@@ -130,6 +155,16 @@ const DynamicLocators = {
      */
     subHeadingByText: (text) => LocatorStrategies.uiAutomator(`new UiSelector().resourceId("org.wikipedia.alpha:id/view_card_header_title").text("${text}")`),
 
+    /**
+     * Generate locator for any element by its exact visible text
+     */
+    elementByText: (text) => LocatorStrategies.text(text),
+
+    /**
+     * Generate locator for a reading list row by its name
+     */
+    readingListByName: (name) => LocatorStrategies.uiAutomator(`new UiSelector().resourceId("org.wikipedia.alpha:id/item_title").text("${name}")`),
+
     /**
      * Generate locator for subtitle by index
      */
@@ -146,6 +181,211 @@ const DynamicLocators = {
     resourceByInstance: (resourceId, instance) => LocatorStrategies.uiAutomator(`new UiSelector().resourceId("${resourceId}").instance(${instance})`)
 };
 
+/**
+ * Explore Feed Card Locators
+ * Cards are found by their header title instead of a position in the feed.
+ * Child locators are relative XPath, evaluated from the card element.
+ */
+const FEED_VIEW_ID = 'org.wikipedia.alpha:id/feed_view';
+const CARD_HEADER_TITLE_ID = 'org.wikipedia.alpha:id/view_card_header_title';
+
+const FeedCardLocators = {
+    /**
+     * Header title of the card with the given title
+     */
+    headerByTitle: (title) => LocatorStrategies.xpath(`//*[@resource-id="${CARD_HEADER_TITLE_ID}" and @text="${title}"]`),
+
+    /**
+     * Card root: the direct child of the feed that holds the header
+     */
+    cardByTitle: (title) => LocatorStrategies.xpath(
+        `//*[@resource-id="${CARD_HEADER_TITLE_ID}" and @text="${title}"]/ancestor::*[parent::*[@resource-id="${FEED_VIEW_ID}"]]`
+    ),
+
+    // Scoped children, relative to the card root
+    headerTitle: LocatorStrategies.xpath(`.//*[@resource-id="${CARD_HEADER_TITLE_ID}"]`),
+    subtitle: LocatorStrategies.xpath('.//*[@resource-id="org.wikipedia.alpha:id/view_card_header_subtitle"]'),
+    overflowMenu: LocatorStrategies.xpath('.//*[@resource-id="org.wikipedia.alpha:id/view_list_card_header_menu"]'),
+    image: LocatorStrategies.xpath('.//*[contains(@resource-id, "_card_image")]'),
+    listItems: LocatorStrategies.xpath(
+        './/*[@resource-id="org.wikipedia.alpha:id/horizontal_scroll_list_item" or @resource-id="org.wikipedia.alpha:id/view_list_card_item"]'
+    )
+};
+
+/**
+ * Reading List Management Locators
+ * Menu entries are matched by their visible text; the texts live in the page objects
+ */
+const ReadingListLocators = {
+    // Toolbar overflow of the Saved tab ("Create new list", "Sort by")
+    listsOverflowMenu: LocatorStrategies.accessibilityId('More options'),
+
+    // Rows of the Saved tab and of the "Save to reading list" sheet
+    listTitles: LocatorStrategies.id('org.wikipedia.alpha:id/item_title'),
+
+    // "Create new" entry of the "Save to reading list" sheet, shown once any list exists
+    createNewListButton: LocatorStrategies.id('org.wikipedia.alpha:id/create_button'),
+
+    // Articles inside an opened reading list
+    articleTitles: LocatorStrategies.id('org.wikipedia.alpha:id/page_list_item_title'),
+
+    /**
+     * Generate locator for an article row of an opened list by its title
+     */
+    articleByTitle: (title) => LocatorStrategies.uiAutomator(`new UiSelector().resourceId("org.wikipedia.alpha:id/page_list_item_title").text("${title}")`),
+
+    /**
+     * Generate locator for a menu entry that starts with the given text, e.g. "Move to"
+     */
+    menuItemStartingWith: (text) => LocatorStrategies.uiAutomator(`new UiSelector().textStartsWith("${text}")`)
+};
+
+/**
+ * History Locators
+ * History tab of the main screen
+ */
+const HistoryLocators = {
+    historyList: LocatorStrategies.id('org.wikipedia.alpha:id/history_list'),
+    entryTitles: LocatorStrategies.xpath('//*[@resource-id="org.wikipedia.alpha:id/history_list"]//*[@resource-id="org.wikipedia.alpha:id/page_list_item_title"]')
+};
+
+/**
+ * Search Locators
+ * Search opens from the Explore search bar; results, the empty state and
+ * recent searches share the search screen
+ */
+const SearchLocators = {
+    searchContainer: LocatorStrategies.id('org.wikipedia.alpha:id/search_container'),
+    searchInput: LocatorStrategies.id('org.wikipedia.alpha:id/search_src_text'),
+    searchLanguageButton: LocatorStrategies.id('org.wikipedia.alpha:id/search_lang_button'),
+    resultTitles: LocatorStrategies.xpath('//*[@resource-id="org.wikipedia.alpha:id/search_results_list"]//*[@resource-id="org.wikipedia.alpha:id/page_list_item_title"]'),
+    noResultsMessage: LocatorStrategies.id('org.wikipedia.alpha:id/search_empty_message'),
+    recentSearchesDeleteButton: LocatorStrategies.id('org.wikipedia.alpha:id/recent_searches_delete_button'),
+    recentSearchItems: LocatorStrategies.xpath('//*[@resource-id="org.wikipedia.alpha:id/recent_searches_list"]/*'),
+
+    /**
+     * Generate locator for a search result by its exact title
+     */
+    resultByTitle: (title) => LocatorStrategies.xpath(
+        `//*[@resource-id="org.wikipedia.alpha:id/search_results_list"]//*[@resource-id="org.wikipedia.alpha:id/page_list_item_title" and @text="${title}"]`
+    )
+};
+
+/**
+ * Article Locators
+ * Native views around the article, plus CSS selectors for the article body.
+ * The body is rendered by the page content service inside `page_web_view`,
+ * so the `web` selectors only resolve in the WEBVIEW context.
+ */
+const ArticleLocators = {
+    webView: LocatorStrategies.id('org.wikipedia.alpha:id/page_web_view'),
+
+    // Shown instead of the article when it could not be loaded, e.g. offline and not saved
+    errorView: LocatorStrategies.id('org.wikipedia.alpha:id/page_error'),
+    errorText: LocatorStrategies.id('org.wikipedia.alpha:id/view_wiki_error_text'),
+
+    // Bottom sheet shown when an in-article link is tapped
+    linkPreviewTitle: LocatorStrategies.id('org.wikipedia.alpha:id/link_preview_title'),
+    linkPreviewOpenButton: LocatorStrategies.id('org.wikipedia.alpha:id/link_preview_primary_button'),
+
+    web: {
+        title: LocatorStrategies.css('h1.pcs-edit-section-title'),
+        leadParagraphs: LocatorStrategies.css('section[data-mw-section-id="0"] > p'),
+        sectionHeadings: LocatorStrategies.css('.pcs-edit-section-header h2'),
+        // Headings the app builds its table of contents from
+        tocHeadings: LocatorStrategies.css('.pcs-edit-section-header h2, .pcs-edit-section-header h3, .pcs-edit-section-header h4'),
+
+        /**
+         * Generate locator for an in-article link by its visible text
+         */
+        linkByText: (text) => LocatorStrategies.linkText(text)
+    }
+};
+
+/**
+ * Language Settings Locators
+ * Languages are matched by any of their visible names (English or native)
+ */
+const LANGUAGE_ITEM_ID = 'org.wikipedia.alpha:id/language_list_item';
+const WIKI_LANGUAGE_TITLE_ID = 'org.wikipedia.alpha:id/wiki_language_title';
+
+const textIn = (names) => names.map(name => `@text="${name}"`).join(' or ');
+
+const LanguageLocators = {
+    /**
+     * Row of the "Add a language" list whose native name or English subtitle matches
+     */
+    languageRowByNames: (names) => LocatorStrategies.xpath(
+        `//*[@resource-id="${LANGUAGE_ITEM_ID}"][.//*[(@resource-id="org.wikipedia.alpha:id/localized_language_name" or @resource-id="org.wikipedia.alpha:id/language_subtitle") and (${textIn(names)})]]`
+    ),
+
+    // "Wikipedia languages" screen, shown once more than one app language is set
+    appLanguageTitles: LocatorStrategies.id(WIKI_LANGUAGE_TITLE_ID),
+    deleteSelectedLanguages: LocatorStrategies.id('org.wikipedia.alpha:id/menu_delete_selected'),
+    languagesOverflowMenu: LocatorStrategies.accessibilityId('More options'),
+
+    /**
+     * Title of an app language row
+     */
+    appLanguageTitleByNames: (names) => LocatorStrategies.xpath(`//*[@resource-id="${WIKI_LANGUAGE_TITLE_ID}" and (${textIn(names)})]`),
+
+    /**
+     * Drag handle of an app language row, used to reorder languages
+     */
+    dragHandleByNames: (names) => LocatorStrategies.xpath(
+        `//*[@resource-id="${WIKI_LANGUAGE_TITLE_ID}" and (${textIn(names)})]/ancestor::*[.//*[@resource-id="org.wikipedia.alpha:id/wiki_language_drag_handle"]][1]//*[@resource-id="org.wikipedia.alpha:id/wiki_language_drag_handle"]`
+    ),
+
+    /**
+     * Selection checkbox of an app language row in "Remove language" mode
+     */
+    checkboxByNames: (names) => LocatorStrategies.xpath(
+        `//*[@resource-id="${WIKI_LANGUAGE_TITLE_ID}" and (${textIn(names)})]/ancestor::*[.//*[@resource-id="org.wikipedia.alpha:id/wiki_language_checkbox"]][1]//*[@resource-id="org.wikipedia.alpha:id/wiki_language_checkbox"]`
+    )
+};
+
+/**
+ * Fallback Locator Chains
+ * Ordered strategies per logical element: the first entry is the primary
+ * locator, the rest are tried in order when it does not match. Matches that
+ * only succeed through a fallback are recorded in the locator drift report.
+ */
+const FallbackChains = {
+    moreOptionsIcon: [
+        MainAppLocators.moreOptionsIcon,
+        LocatorStrategies.description('More options'),
+        LocatorStrategies.xpath('//*[@content-desc="More options"]')
+    ],
+
+    addToReadingList: [
+        MainAppLocators.addToReadingList,
+        LocatorStrategies.uiAutomator('new UiSelector().textContains("Add to")'),
+        LocatorStrategies.uiAutomator('new UiSelector().textContains("Reading")'),
+        LocatorStrategies.xpath('//*[@text="Add to Reading List"]'),
+        LocatorStrategies.xpath('//*[@text="Add to reading list"]'),
+        LocatorStrategies.xpath('//*[contains(@text, "Add to Reading List")]'),
+        LocatorStrategies.xpath('//*[contains(@text, "Add to reading list")]')
+    ],
+
+    navigateUp: [
+        MainAppLocators.navigateUp,
+        LocatorStrategies.description('Navigate up'),
+        LocatorStrategies.xpath('//android.widget.ImageButton[@content-desc="Navigate up"]')
+    ]
+};
+
+/**
+ * Get the locator chain for a logical element.
+ * Elements without an explicit chain resolve to their single MainAppLocators entry.
+ */
+function getLocatorChain(name) {
+    if (FallbackChains[name]) {
+        return FallbackChains[name];
+    }
+
+    return MainAppLocators[name] ? [MainAppLocators[name]] : [];
+}
+
 /**
  * Environment-specific configurations
  * Different locators for different environments
@@ -165,6 +405,23 @@ const EnvironmentConfigs = {
     }
 };
 
+/**
+ * Names of the reading lists and other data the features create start with this prefix,
+ * so data an earlier run left behind can be told apart from the device owner's own
+ */
+const TEST_DATA_PREFIX = 'Autotest ';
+
+/**
+ * Resolve the app build to test, from APP_ENV (production by default)
+ */
+function getEnvironmentConfig(environment = process.env.APP_ENV || 'production') {
+    const config = EnvironmentConfigs[environment];
+    if (!config) {
+        throw new Error(`Unknown APP_ENV "${environment}". Expected one of: ${Object.keys(EnvironmentConfigs).join(', ')}`);
+    }
+    return config;
+}
+
 /**
  * Performance-optimized locator combinations
  * Pre-built combinations for common operations
@@ -223,13 +480,24 @@ module.exports = {
     // Core locator collections
     MainAppLocators,
     SystemLocators,
+    InterruptionLocators,
     DynamicLocators,
+    FallbackChains,
+    FeedCardLocators,
+    ReadingListLocators,
+    LanguageLocators,
+    SearchLocators,
+    ArticleLocators,
+    HistoryLocators,
 
     // Utilities
+    getLocatorChain,
     LocatorStrategies,
     EnvironmentConfigs,
+    getEnvironmentConfig,
     OptimizedLocatorSets,
     Validators,
+    TEST_DATA_PREFIX,
 
     // Backwards compatibility
     permissionAllowBtn: SystemLocators.permissionAllowBtn,
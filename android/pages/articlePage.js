@@ -0,0 +1,470 @@
+/**
+ * Article Page Object
+ * Covers the article view, its toolbar overflow menu and the
+ * "Add to Reading List" dialog or sheet opened from it.
+ * The article body lives in a WebView: body reads switch to the WEBVIEW
+ * context and always switch back to native for toolbar actions.
+ */
+
+const BasePage = require('./basePage');
+const ContextSwitcher = require('../utils/contextSwitcher');
+const { MainAppLocators, SystemLocators, DynamicLocators, ReadingListLocators, ArticleLocators } = require('../objectRepo/objectRepo');
+const { toWdioSelector, resolveLocators, resolveDynamicLocator, resolveLocatorChains } = require('../objectRepo/locatorAdapter');
+
+const LOCATORS = {
+    ...resolveLocators(MainAppLocators, [
+        'moreOptionsIcon',
+        'addToReadingList',
+        'readingListNameInput',
+        'okButton',
+        'gotItOkButton',
+        'navigateUp'
+    ], 'ArticlePage'),
+    ...resolveLocators(ReadingListLocators, ['createNewListButton'], 'ArticlePage'),
+    ...resolveLocators(ArticleLocators, [
+        'webView',
+        'errorView',
+        'errorText',
+        'linkPreviewTitle',
+        'linkPreviewOpenButton'
+    ], 'ArticlePage')
+};
+
+// Only valid in the WEBVIEW context
+const WEB_LOCATORS = resolveLocators(ArticleLocators.web, [
+    'title',
+    'leadParagraphs',
+    'sectionHeadings',
+    'tocHeadings'
+], 'ArticlePage');
+
+const readingListByName = resolveDynamicLocator(DynamicLocators.readingListByName, 'readingListByName');
+const linkByText = resolveDynamicLocator(ArticleLocators.web.linkByText, 'linkByText');
+
+// The first save shows a "Create a new list" dialog; once lists exist a "Save to" sheet is shown instead
+const SAVE_TO_LIST_SELECTORS = [
+    toWdioSelector(SystemLocators.dialogTitle),
+    toWdioSelector(ReadingListLocators.createNewListButton)
+];
+
+const LOCATOR_CHAINS = resolveLocatorChains([
+    'moreOptionsIcon',
+    'addToReadingList',
+    'navigateUp'
+], 'ArticlePage');
+
+class ArticlePage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+        this.locatorChains = LOCATOR_CHAINS;
+
+        this.webLocators = WEB_LOCATORS;
+
+        this.activity = 'PageActivity';
+        this.trait = this.locators.webView;
+
+        this.contexts = new ContextSwitcher(driver);
+    }
+
+    // ---------------- Contexts ----------------
+
+    /**
+     * Available contexts, e.g. ['NATIVE_APP', 'WEBVIEW_org.wikipedia.alpha']
+     */
+    async getContexts() {
+        return this.contexts.getContexts();
+    }
+
+    async switchToWebview() {
+        const context = await this.contexts.switchToWebview();
+        this.clearCache();
+        return context;
+    }
+
+    async switchToNative() {
+        await this.contexts.switchToNative();
+        this.clearCache();
+    }
+
+    /**
+     * Read from the article body, returning to native afterwards.
+     * Elements found in one context are invalid in the other, so the cache is cleared on both switches.
+     */
+    async inArticleBody(action) {
+        this.clearCache();
+
+        try {
+            return await this.contexts.inWebview(action);
+        } finally {
+            this.clearCache();
+        }
+    }
+
+    async getTexts(selector) {
+        const elements = await this.driver.$$(selector);
+        const texts = [];
+
+        for (const element of elements) {
+            const text = (await element.getText()).trim();
+            if (text) {
+                texts.push(text);
+            }
+        }
+
+        return texts;
+    }
+
+    /**
+     * Verify the article content loaded rather than the app's error view,
+     * e.g. a saved article opened without a network connection
+     */
+    async verifyContentShown() {
+        try {
+            await this.driver.waitUntil(async () =>
+                await this.isElementPresent(this.locators.webView) ||
+                await this.isElementPresent(this.locators.errorView), {
+                timeout: this.timeouts.pageLoad,
+                timeoutMsg: `Neither article content nor an error shown within ${this.timeouts.pageLoad}ms`
+            });
+
+            if (await this.isElementPresent(this.locators.errorView)) {
+                const errorText = await this.findElement(this.locators.errorText, "Article Error Text");
+                throw new Error(`Article shows an error instead of its content: "${await errorText.getText()}"`);
+            }
+
+            await this.logStep(true, "Article content is shown", "article_content_shown");
+        } catch (error) {
+            await this.logStep(false, `Article content verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    // ---------------- Article body (WebView) ----------------
+
+    async getArticleTitle() {
+        return this.inArticleBody(async () => {
+            const title = await this.findElement(this.webLocators.title, "Article Title");
+            return (await title.getText()).trim();
+        });
+    }
+
+    /**
+     * First non-empty paragraph of the lead section
+     */
+    async getLeadParagraph() {
+        return this.inArticleBody(async () => {
+            const [lead] = await this.getTexts(this.webLocators.leadParagraphs);
+            if (!lead) {
+                throw new Error('Article has no lead paragraph');
+            }
+            return lead;
+        });
+    }
+
+    async getSectionHeadings() {
+        return this.inArticleBody(() => this.getTexts(this.webLocators.sectionHeadings));
+    }
+
+    /**
+     * Table of contents as `{ level, title }` entries, level 1 being a top-level section
+     */
+    async getTableOfContents() {
+        return this.inArticleBody(async () => {
+            const headings = await this.driver.$$(this.webLocators.tocHeadings);
+            const entries = [];
+
+            for (const heading of headings) {
+                const [tagName, text] = await Promise.all([heading.getTagName(), heading.getText()]);
+                if (text.trim()) {
+                    entries.push({ level: Number(tagName.slice(1)) - 1, title: text.trim() });
+                }
+            }
+
+            return entries;
+        });
+    }
+
+    async verifyArticleTitle(expectedTitle) {
+        try {
+            const title = await this.getArticleTitle();
+            if (title !== expectedTitle) {
+                throw new Error(`Article title mismatch. Expected "${expectedTitle}", but got "${title}"`);
+            }
+
+            await this.logStep(true, `Article title is "${title}"`, "article_title");
+        } catch (error) {
+            await this.logStep(false, `Article title verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async verifyLeadParagraphContains(text) {
+        try {
+            const lead = await this.getLeadParagraph();
+            if (!lead.toLowerCase().includes(text.toLowerCase())) {
+                throw new Error(`Lead paragraph does not mention "${text}": "${lead.slice(0, 200)}"`);
+            }
+
+            await this.logStep(true, `Lead paragraph mentions "${text}"`, "article_lead");
+        } catch (error) {
+            await this.logStep(false, `Lead paragraph verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async verifySectionHeadings(expectedHeadings) {
+        try {
+            const headings = await this.getSectionHeadings();
+            const missing = expectedHeadings.filter(heading => !headings.includes(heading));
+
+            if (missing.length > 0) {
+                throw new Error(`Missing sections ${missing.map(h => `"${h}"`).join(', ')}. Got: ${headings.join(', ')}`);
+            }
+
+            await this.logStep(true, `Article has sections ${expectedHeadings.join(', ')}`, "article_sections");
+        } catch (error) {
+            await this.logStep(false, `Section verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Vertical scroll offset of the article, absolute and as a fraction of the scrollable height.
+     * The fraction survives rotation, where the absolute offset changes with the layout.
+     */
+    async getScrollPosition() {
+        return this.inArticleBody(async () => {
+            const { y, max } = await this.driver.execute(() => ({
+                y: window.scrollY,
+                max: document.documentElement.scrollHeight - window.innerHeight
+            }));
+
+            return { y, fraction: max > 0 ? y / max : 0 };
+        });
+    }
+
+    /**
+     * Scroll the article body down by a number of swipes
+     */
+    async scrollArticle(swipes = 1) {
+        for (let swipe = 0; swipe < swipes; swipe++) {
+            if (await this.gestures.scroll('down', { within: this.locators.webView }) === false) {
+                break;
+            }
+        }
+        await this.waits.waitForIdle();
+    }
+
+    /**
+     * Tap an in-article link and open the linked article from the preview sheet.
+     * Resolves with the title of the article that was opened.
+     */
+    async followLink(linkText) {
+        try {
+            const previousTitle = await this.getArticleTitle();
+
+            await this.inArticleBody(async () => {
+                const link = await this.driver.$(linkByText(linkText));
+                await link.scrollIntoView({ block: 'center' });
+                await link.click();
+            });
+
+            // Links open a preview sheet first
+            const openButton = await this.findElement(this.locators.linkPreviewOpenButton, "Link Preview Open Button");
+            await openButton.click();
+            await this.waitUntilCurrent();
+
+            let title = previousTitle;
+            await this.driver.waitUntil(async () => (title = await this.getArticleTitle()) !== previousTitle, {
+                timeout: this.timeouts.pageLoad,
+                timeoutMsg: `Article "${previousTitle}" still shown after following "${linkText}"`
+            });
+
+            await this.logStep(true, `Followed link "${linkText}" to "${title}"`, "article_link_followed");
+            return title;
+        } catch (error) {
+            await this.logStep(false, `Failed to follow link "${linkText}": ${error.message}`);
+            throw error;
+        }
+    }
+
+    // ---------------- Toolbar (native) ----------------
+
+    async navigateUp() {
+        await this.switchToNative();
+        return super.navigateUp();
+    }
+
+    /**
+     * Click on More Options Icon with validation
+     */
+    async clickOnMoreOptionsIcon() {
+        try {
+            await this.switchToNative();
+
+            const moreOptions = await this.findElementWithFallback('moreOptionsIcon', "More Options Icon");
+            await moreOptions.click();
+
+            // Wait for the popup menu animation to finish before reading its items
+            await this.waits.waitForIdle();
+
+            // The menu is open once the "Add to Reading List" option is visible
+            await this.findElementWithFallback('addToReadingList', "Add to Reading List Option");
+
+            await this.logStep(true, "More options icon clicked successfully", "more_options_icon_clicked");
+        } catch (error) {
+            await this.logStep(false, `Failed to click more options: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Click on Add to Reading List option
+     */
+    async clickOnAddToReadingListOption() {
+        try {
+            const addToReadingList = await this.findElementWithFallback('addToReadingList', "Add to Reading List Option");
+            await addToReadingList.click();
+
+            // Wait for the reading list dialog or sheet instead of a fixed delay
+            await this.waits.waitForDialog({ selectors: SAVE_TO_LIST_SELECTORS });
+
+            await this.logStep(true, "Add to Reading List option clicked successfully", "add_to_reading_list_clicked");
+        } catch (error) {
+            await this.logStep(false, `Failed to click Add to Reading List: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Enter reading list name with validation
+     */
+    async enterReadingListName(listName) {
+        if (!listName || typeof listName !== 'string' || listName.trim().length === 0) {
+            throw new Error('Invalid listName parameter: must be a non-empty string');
+        }
+
+        try {
+            // With existing lists the "Save to" sheet is shown: open the new-list dialog from it
+            if (!await this.isElementPresent(this.locators.readingListNameInput)) {
+                const createNew = await this.findElement(this.locators.createNewListButton, "Create New List Button");
+                await createNew.click();
+            }
+
+            const readingListName = await this.findElement(this.locators.readingListNameInput, "Reading List Name Input");
+            await readingListName.clearValue();
+            await readingListName.setValue(listName.trim());
+
+            // Verify text was entered
+            const enteredText = await readingListName.getText();
+            if (!enteredText || !enteredText.includes(listName.trim())) {
+                throw new Error(`Failed to enter reading list name. Expected: ${listName}`);
+            }
+
+            await this.logStep(true, `Reading list name "${listName}" entered successfully`, "reading_list_name_entered");
+        } catch (error) {
+            await this.logStep(false, `Failed to enter reading list name: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Text typed into an open reading list name dialog, or null when no dialog is shown
+     */
+    async getReadingListNameDraft() {
+        if (!await this.isElementPresent(this.locators.readingListNameInput)) {
+            return null;
+        }
+
+        const input = await this.findElement(this.locators.readingListNameInput, "Reading List Name Input");
+        return (await input.getText()).trim();
+    }
+
+    /**
+     * Click on OK button with validation
+     */
+    async clickOnOkButton() {
+        try {
+            const okButton = await this.findElement(this.locators.okButton, "OK Button");
+            await okButton.click();
+
+            await this.logStep(true, "OK button clicked successfully", "ok_button_clicked");
+        } catch (error) {
+            await this.logStep(false, `Failed to click OK button: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Click on Got It OK button. The tooltip is only shown once per install and the
+     * interrupt watcher may already have dismissed it, so its absence is not a failure.
+     */
+    async clickOnGotItOkButton(timeout = 5000) {
+        try {
+            const gotItOkButton = await this.driver.$(this.locators.gotItOkButton);
+            const shown = await gotItOkButton.waitForDisplayed({ timeout }).catch(() => false);
+
+            if (!shown) {
+                const handled = this.shared.interruptions.some(entry => entry.name === 'gotIt');
+                await this.logStep(true, `Got it tooltip not shown${handled ? ' (already dismissed by the interrupt watcher)' : ''}`);
+                return;
+            }
+
+            await gotItOkButton.click();
+
+            await this.logStep(true, "Got it OK button clicked successfully", "got_it_ok_button_clicked");
+        } catch (error) {
+            await this.logStep(false, `Failed to click Got It OK button: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Dismiss the "Article added" onboarding tooltip if the app shows it
+     */
+    async dismissOnboardingIfShown() {
+        if (await this.isElementPresent(this.locators.gotItOkButton)) {
+            await this.clickOnGotItOkButton();
+        }
+    }
+
+    /**
+     * Save the open article to a reading list, creating the list if it does not exist.
+     * Resolves with true when a new list was created.
+     */
+    async addToReadingList(listName) {
+        if (!listName || typeof listName !== 'string' || listName.trim().length === 0) {
+            throw new Error('Invalid listName parameter: must be a non-empty string');
+        }
+
+        const name = listName.trim();
+
+        try {
+            await this.clickOnMoreOptionsIcon();
+            await this.clickOnAddToReadingListOption();
+
+            let created = false;
+            if (await this.isElementPresent(readingListByName(name))) {
+                const listRow = await this.findElement(readingListByName(name), `Reading List "${name}"`);
+                await listRow.click();
+            } else {
+                await this.enterReadingListName(name);
+                await this.clickOnOkButton();
+                created = true;
+            }
+
+            await this.waits.waitForIdle();
+            await this.dismissOnboardingIfShown();
+
+            await this.logStep(true, `Article saved to reading list "${name}"`, "article_saved_to_list");
+            return created;
+        } catch (error) {
+            await this.logStep(false, `Failed to save article to "${name}": ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = ArticlePage;
@@ -0,0 +1,462 @@
+/**
+ * Base Page Object
+ * Features:
+ * - Shared element cache and performance metrics across page objects
+ * - Stale-element-safe cache that resets when the activity or window changes
+ * - Retry-based element lookup with failure screenshots
+ * - Self-healing lookups through objectRepo fallback chains
+ * - Gesture helpers for content outside the first screen
+ * - Smart wait utility with exponential backoff
+ * - UI-state wait conditions in place of fixed pauses
+ * - Screen detection used by the page navigator
+ */
+
+const locatorDriftReport = require('../utils/locatorDriftReport');
+const Gestures = require('../utils/gestures');
+const WaitConditions = require('../utils/waitConditions');
+const InterruptHandler = require('../utils/interruptHandler');
+
+/**
+ * Create the state shared by every page object of one session
+ */
+function createSharedState() {
+    return {
+        elementCache: new Map(),
+        screenSignature: null,
+        // Language the app content is shown in, when changed from the device locale
+        appLocale: null,
+        performanceMetrics: {
+            elementLookups: 0,
+            cacheHits: 0,
+            staleEvictions: 0,
+            totalWaitTime: 0,
+            // Per-condition call count and time, filled by WaitConditions
+            waitConditions: {}
+        },
+        // Interruptions handled by the watcher, in order, see InterruptHandler
+        interruptions: []
+    };
+}
+
+class BasePage {
+    constructor(driver, shared = createSharedState()) {
+        this.driver = driver;
+        this.shared = shared;
+        this.elementCache = shared.elementCache;
+        this.performanceMetrics = shared.performanceMetrics;
+        this.gestures = new Gestures(driver);
+        this.waits = new WaitConditions(driver, this.performanceMetrics);
+        this.interrupts = new InterruptHandler(driver, shared.interruptions);
+
+        // Page-specific locators and fallback chains, populated by subclasses
+        this.locators = {};
+        this.locatorChains = {};
+
+        // Screen detection: activity suffix and/or a locator unique to the screen
+        this.activity = null;
+        this.trait = null;
+
+        // Default timeouts optimized for performance
+        this.timeouts = {
+            elementWait: 15000,
+            pageLoad: 30000,
+            retryAttempts: 3,
+            retryDelay: 1000,
+            // Stale re-queries do not consume a retry attempt, but are capped
+            maxStaleRequeries: 3
+        };
+    }
+
+    /**
+     * Optimized element finder with caching and retry mechanism
+     * Time Complexity: O(1) for cached elements, O(log n) for new lookups
+     */
+    async findElement(selector, description, timeout = null) {
+        const cacheKey = `${selector}_${description}`;
+        this.performanceMetrics.elementLookups++;
+
+        // Drop every cached element if the activity or window changed
+        await this.syncCacheWithScreen();
+
+        // Check cache first - O(1) lookup, but only hand out elements that are still attached
+        if (this.elementCache.has(cacheKey)) {
+            const cachedElement = this.elementCache.get(cacheKey);
+
+            if (await this.isCachedElementUsable(cachedElement)) {
+                this.performanceMetrics.cacheHits++;
+                console.log(`🔍 Cache hit for ${description}`);
+                return cachedElement;
+            }
+
+            this.evictStaleElement(cacheKey, description);
+        }
+
+        const actualTimeout = timeout || this.timeouts.elementWait;
+        const startTime = Date.now();
+        let staleRequeries = 0;
+
+        for (let attempt = 1; attempt <= this.timeouts.retryAttempts; attempt++) {
+            try {
+                console.log(`🔍 Attempting to find ${description} (attempt ${attempt}/${this.timeouts.retryAttempts})`);
+
+                const element = await this.driver.$(selector);
+                await element.waitForDisplayed({
+                    timeout: actualTimeout,
+                    reverse: false,
+                    timeoutMsg: `Element ${description} not displayed within ${actualTimeout}ms`
+                });
+
+                // Cache the element for future use
+                this.elementCache.set(cacheKey, element);
+
+                const duration = Date.now() - startTime;
+                this.performanceMetrics.totalWaitTime += duration;
+
+                console.log(`✅ Found ${description} in ${duration}ms`);
+                return element;
+
+            } catch (error) {
+                // A RecyclerView rebind between lookup and wait is not a real failure: re-query immediately
+                if (this.isStaleElementError(error) && staleRequeries < this.timeouts.maxStaleRequeries) {
+                    staleRequeries++;
+                    this.evictStaleElement(cacheKey, description);
+                    attempt--;
+                    continue;
+                }
+
+                console.warn(`⚠️ Attempt ${attempt} failed for ${description}: ${error.message}`);
+
+                // Something may be covering the screen: clear it and retry straight away
+                if (attempt < this.timeouts.retryAttempts && await this.interrupts.check()) {
+                    this.clearCache();
+                    continue;
+                }
+
+                if (attempt === this.timeouts.retryAttempts) {
+                    // Take screenshot on final failure
+                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+                    const screenshotPath = `./screenshots/error_${description.replace(/\s+/g, "_").toLowerCase()}_${timestamp}.png`;
+
+                    try {
+                        await this.driver.saveScreenshot(screenshotPath);
+                        console.log(`📸 Screenshot saved: ${screenshotPath}`);
+                    } catch (screenshotError) {
+                        console.error('❌ Failed to save screenshot:', screenshotError.message);
+                    }
+
+                    throw new Error(`Failed to locate ${description} after ${this.timeouts.retryAttempts} attempts: ${error.message}`);
+                }
+
+                // Wait before retry
+                await this.driver.pause(this.timeouts.retryDelay);
+            }
+        }
+    }
+
+    /**
+     * Find an element through its objectRepo fallback chain.
+     * Strategies are polled in order; a match through any strategy other than
+     * the primary one is recorded in the locator drift report.
+     */
+    async findElementWithFallback(chainName, description, timeout = null) {
+        const chain = this.locatorChains[chainName];
+        if (!chain) {
+            throw new Error(`${this.constructor.name} has no locator chain "${chainName}"`);
+        }
+
+        const actualTimeout = timeout || this.timeouts.elementWait;
+        let match = null;
+
+        try {
+            await this.driver.waitUntil(async () => {
+                for (let index = 0; index < chain.length; index++) {
+                    if (await this.isElementPresent(chain[index].selector)) {
+                        match = { index, strategy: chain[index] };
+                        return true;
+                    }
+                }
+                return false;
+            }, {
+                timeout: actualTimeout,
+                interval: 500,
+                timeoutMsg: `${description} not displayed within ${actualTimeout}ms`
+            });
+        } catch (error) {
+            throw new Error(`Failed to locate ${description} with any of ${chain.length} strategies: ${error.message}`);
+        }
+
+        if (match.index > 0) {
+            console.warn(`🧭 ${description} matched fallback #${match.index}: ${match.strategy.selector}`);
+            locatorDriftReport.record({
+                element: chainName,
+                page: this.constructor.name,
+                primary: chain[0],
+                matched: match.strategy,
+                strategyIndex: match.index
+            });
+        }
+
+        return this.findElement(match.strategy.selector, description, actualTimeout);
+    }
+
+    /**
+     * Scroll an element into view, then resolve it through the element cache
+     */
+    async scrollToElement(selector, description, options = {}) {
+        try {
+            await this.gestures.scrollIntoView(selector, options);
+        } catch (error) {
+            throw new Error(`Failed to scroll ${description} into view: ${error.message}`);
+        }
+
+        return this.findElement(selector, description);
+    }
+
+    /**
+     * Collect the text of every element matching the selector in a scrollable list,
+     * then scroll back to the top. Repeated texts are only returned once.
+     */
+    async collectTexts(selector, { maxSwipes = this.gestures.options.maxSwipes } = {}) {
+        const texts = [];
+
+        for (let swipe = 0; swipe <= maxSwipes; swipe++) {
+            const elements = await this.driver.$$(selector);
+            for (const element of elements) {
+                const text = (await element.getText()).trim();
+                if (!texts.includes(text)) {
+                    texts.push(text);
+                }
+            }
+
+            if (swipe === maxSwipes || await this.gestures.scroll('down') === false) {
+                break;
+            }
+        }
+
+        for (let swipe = 0; swipe < maxSwipes; swipe++) {
+            if (await this.gestures.scroll('up') === false) {
+                break;
+            }
+        }
+
+        return texts;
+    }
+
+    /**
+     * Identify the current screen by activity and window handle
+     */
+    async getScreenSignature() {
+        const [activity, windowHandle] = await Promise.all([
+            this.driver.getCurrentActivity().catch(() => ''),
+            this.driver.getWindowHandle().catch(() => '')
+        ]);
+
+        return `${activity}|${windowHandle}`;
+    }
+
+    /**
+     * Clear the element cache when the screen signature changed since the last lookup
+     */
+    async syncCacheWithScreen() {
+        const signature = await this.getScreenSignature();
+
+        if (this.shared.screenSignature !== null && this.shared.screenSignature !== signature) {
+            console.log(`🔄 Screen changed (${this.shared.screenSignature} → ${signature})`);
+            this.clearCache();
+        }
+
+        this.shared.screenSignature = signature;
+    }
+
+    /**
+     * A cached element is only reusable while it is attached and displayed
+     */
+    async isCachedElementUsable(element) {
+        try {
+            return await element.isExisting() && await element.isDisplayed();
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Detect StaleElementReference errors from WebdriverIO and the Appium server
+     */
+    isStaleElementError(error) {
+        return Boolean(error) && (
+            error.name === 'stale element reference' ||
+            /stale ?element ?reference/i.test(error.message || '')
+        );
+    }
+
+    /**
+     * Remove a stale element from the cache and count the eviction
+     */
+    evictStaleElement(cacheKey, description) {
+        this.elementCache.delete(cacheKey);
+        this.performanceMetrics.staleEvictions++;
+        console.log(`♻️ Evicted stale element for ${description}, re-querying`);
+    }
+
+    /**
+     * Non-throwing visibility check, used for screen detection and optional elements
+     */
+    async isElementPresent(selector) {
+        try {
+            const element = await this.driver.$(selector);
+            return await element.isDisplayed();
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Check whether this page is the one currently on screen
+     */
+    async isCurrent() {
+        if (this.activity) {
+            try {
+                const currentActivity = await this.driver.getCurrentActivity();
+                if (!currentActivity || !currentActivity.endsWith(this.activity)) {
+                    return false;
+                }
+            } catch {
+                return false;
+            }
+        }
+
+        return this.trait ? this.isElementPresent(this.trait) : Boolean(this.activity);
+    }
+
+    /**
+     * Wait until this page is on screen
+     */
+    async waitUntilCurrent(timeout = this.timeouts.pageLoad) {
+        const deadline = Date.now() + timeout;
+
+        // Screens with their own activity have nothing to check before it is in the foreground
+        if (this.activity) {
+            await this.waits.waitForActivity(this.activity, { timeout }).catch(() => {});
+        }
+
+        while (Date.now() < deadline) {
+            if (await this.isCurrent()) {
+                return true;
+            }
+            await this.driver.pause(500);
+        }
+
+        throw new Error(`${this.constructor.name} was not displayed within ${timeout}ms`);
+    }
+
+    /**
+     * Optimized logging with performance metrics
+     */
+    async logStep(success, message, screenshotName = null) {
+        const timestamp = new Date().toISOString();
+        const status = success ? '✅' : '❌';
+        const performanceInfo = this.getPerformanceMetrics();
+
+        console.log(`${status} [${timestamp}] ${message}`);
+        console.log(`📊 Performance: ${performanceInfo}`);
+
+        if (screenshotName) {
+            try {
+                const timestamp_suffix = new Date().toISOString().replace(/[:.]/g, '-');
+                const screenshotPath = `./screenshots/${screenshotName}_${timestamp_suffix}.png`;
+                await this.driver.saveScreenshot(screenshotPath);
+                console.log(`📸 Screenshot: ${screenshotPath}`);
+            } catch (error) {
+                console.error('❌ Screenshot failed:', error.message);
+            }
+        }
+    }
+
+    /**
+     * Get performance metrics
+     */
+    getPerformanceMetrics() {
+        const cacheHitRate = this.performanceMetrics.elementLookups > 0
+            ? ((this.performanceMetrics.cacheHits / this.performanceMetrics.elementLookups) * 100).toFixed(1)
+            : 0;
+
+        return `Lookups: ${this.performanceMetrics.elementLookups}, Cache Hit Rate: ${cacheHitRate}%, Stale Evictions: ${this.performanceMetrics.staleEvictions}, Total Wait: ${this.performanceMetrics.totalWaitTime}ms`;
+    }
+
+    /**
+     * Parallel element lookup for better performance
+     */
+    async findElementsParallel(elementConfigs) {
+        const promises = elementConfigs.map(config =>
+            this.findElement(config.selector, config.description, config.timeout)
+        );
+
+        try {
+            const results = await Promise.all(promises);
+            console.log(`⚡ Successfully found ${results.length} elements in parallel`);
+            return results;
+        } catch (error) {
+            console.error('❌ Parallel element lookup failed:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Smart wait utility with exponential backoff
+     */
+    async smartWait(condition, maxAttempts = 5, initialDelay = 500) {
+        let delay = initialDelay;
+
+        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
+            try {
+                const result = await condition();
+                if (result) {
+                    console.log(`⏱️ Condition met on attempt ${attempt}`);
+                    return result;
+                }
+            } catch (error) {
+                if (attempt === maxAttempts) {
+                    throw error;
+                }
+            }
+
+            console.log(`⏱️ Waiting ${delay}ms before attempt ${attempt + 1}`);
+            await this.driver.pause(delay);
+            delay *= 2; // Exponential backoff
+        }
+
+        throw new Error(`Condition not met after ${maxAttempts} attempts`);
+    }
+
+    /**
+     * Clear element cache when navigating to new pages
+     */
+    clearCache() {
+        const cacheSize = this.elementCache.size;
+        this.elementCache.clear();
+        console.log(`🧹 Cleared ${cacheSize} cached elements`);
+    }
+
+    /**
+     * Press the toolbar "Navigate up" button
+     */
+    async navigateUp() {
+        try {
+            const backNavigation = this.locatorChains.navigateUp
+                ? await this.findElementWithFallback('navigateUp', "Navigate Up Button")
+                : await this.findElement(this.locators.navigateUp, "Navigate Up Button");
+            await backNavigation.click();
+
+            // Clear cache as we're leaving the page
+            this.clearCache();
+
+            await this.logStep(true, `Navigated up from ${this.constructor.name}`);
+        } catch (error) {
+            await this.logStep(false, `Failed to navigate up from ${this.constructor.name}: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = BasePage;
+module.exports.createSharedState = createSharedState;
@@ -0,0 +1,108 @@
+/**
+ * Explore Feed Card Component
+ * Features:
+ * - Finds a card by its header title instead of a feed position
+ * - Scrolls the card into view when it is below the first screen
+ * - Scoped child lookups (subtitle, overflow menu, image, list items)
+ */
+
+const { FeedCardLocators } = require('../../objectRepo/objectRepo');
+const { toWdioSelector, resolveDynamicLocator } = require('../../objectRepo/locatorAdapter');
+
+const headerByTitle = resolveDynamicLocator(FeedCardLocators.headerByTitle, 'headerByTitle');
+const cardByTitle = resolveDynamicLocator(FeedCardLocators.cardByTitle, 'cardByTitle');
+
+const CHILD_SELECTORS = {
+    headerTitle: toWdioSelector(FeedCardLocators.headerTitle),
+    subtitle: toWdioSelector(FeedCardLocators.subtitle),
+    overflowMenu: toWdioSelector(FeedCardLocators.overflowMenu),
+    image: toWdioSelector(FeedCardLocators.image),
+    listItems: toWdioSelector(FeedCardLocators.listItems)
+};
+
+class FeedCard {
+    /**
+     * @param {BasePage} page - page object that owns the feed
+     * @param {string} title - card header title
+     * @param {WebdriverIO.Element} element - card root element
+     */
+    constructor(page, title, element) {
+        this.page = page;
+        this.title = title;
+        this.element = element;
+    }
+
+    /**
+     * Scroll to the card with the given header title and resolve its root element
+     */
+    static async findByHeader(page, title, options = {}) {
+        if (!title || typeof title !== 'string') {
+            throw new Error('Invalid card title parameter');
+        }
+
+        await page.scrollToElement(headerByTitle(title), `"${title}" card header`, options);
+        const element = await page.findElement(cardByTitle(title), `"${title}" card`);
+
+        return new FeedCard(page, title, element);
+    }
+
+    /**
+     * Find a child element inside this card
+     */
+    async findChild(childName, description, timeout = this.page.timeouts.elementWait) {
+        const child = await this.element.$(CHILD_SELECTORS[childName]);
+
+        await child.waitForDisplayed({
+            timeout,
+            timeoutMsg: `${description} not displayed in "${this.title}" card within ${timeout}ms`
+        });
+
+        return child;
+    }
+
+    async getHeaderTitle() {
+        return this.findChild('headerTitle', 'Header title');
+    }
+
+    async getSubtitle() {
+        return this.findChild('subtitle', 'Subtitle');
+    }
+
+    async getOverflowMenu() {
+        return this.findChild('overflowMenu', 'Overflow menu');
+    }
+
+    async getImage() {
+        return this.findChild('image', 'Image');
+    }
+
+    /**
+     * List items currently rendered inside the card, e.g. "In the news" stories
+     */
+    async getListItems() {
+        return this.element.$$(CHILD_SELECTORS.listItems);
+    }
+
+    /**
+     * Get one list item by position, failing with the number actually found
+     */
+    async getListItem(index) {
+        const items = await this.getListItems();
+
+        if (!items[index]) {
+            throw new Error(`"${this.title}" card has ${items.length} list item(s), item ${index + 1} requested`);
+        }
+
+        return items[index];
+    }
+}
+
+// Header titles of the Explore feed cards
+FeedCard.TITLES = {
+    IN_THE_NEWS: 'In the news',
+    FEATURED_ARTICLE: 'Featured article',
+    TOP_READ: 'Top read',
+    PICTURE_OF_THE_DAY: 'Picture of the day'
+};
+
+module.exports = FeedCard;
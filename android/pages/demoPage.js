@@ -1,793 +1,725 @@
 /**
  * Optimized DemoPage Class
  * Features:
- * - Element caching for O(1) lookups
- * - Parallel element operations
- * - Smart wait strategies
- * - Retry mechanisms
+ * - Facade over the per-screen page objects used by the Cucumber steps
+ * - Element caching for O(1) lookups (shared across page objects)
+ * - Navigation graph for reaching any screen from the current one
+ * - Reading list management, tracking created lists for cleanup
+ * - Deletes test lists an earlier, crashed run left behind
+ * - App language management with content-language verification
  * - Comprehensive error handling
  * - Performance monitoring
  */
 
-class DemoPage {
+const BasePage = require('./basePage');
+const ExplorePage = require('./explorePage');
+const SettingsPage = require('./settingsPage');
+const LanguagePage = require('./languagePage');
+const WikipediaLanguagesPage = require('./wikipediaLanguagesPage');
+const ArticlePage = require('./articlePage');
+const ReadingListPage = require('./readingListPage');
+const ReadingListDetailPage = require('./readingListDetailPage');
+const SearchPage = require('./searchPage');
+const HistoryPage = require('./historyPage');
+const PageNavigator = require('./pageNavigator');
+const NetworkController = require('../utils/networkController');
+const DeepLink = require('../utils/deepLink');
+const AppLifecycle = require('../utils/appLifecycle');
+const { resolveLanguage } = require('../utils/languageCatalog');
+const { TEST_DATA_PREFIX } = require('../objectRepo/objectRepo');
+
+class DemoPage extends BasePage {
     constructor(driver) {
-        this.driver = driver;
-        this.elementCache = new Map();
-        this.performanceMetrics = {
-            elementLookups: 0,
-            cacheHits: 0,
-            totalWaitTime: 0
+        super(driver);
+
+        // Per-screen page objects share one element cache and metrics object
+        this.explorePage = new ExplorePage(driver, this.shared);
+        this.settingsPage = new SettingsPage(driver, this.shared);
+        this.languagePage = new LanguagePage(driver, this.shared);
+        this.wikipediaLanguagesPage = new WikipediaLanguagesPage(driver, this.shared);
+        this.articlePage = new ArticlePage(driver, this.shared);
+        this.readingListPage = new ReadingListPage(driver, this.shared);
+        this.readingListDetailPage = new ReadingListDetailPage(driver, this.shared);
+        this.searchPage = new SearchPage(driver, this.shared);
+        this.historyPage = new HistoryPage(driver, this.shared);
+
+        this.network = new NetworkController(driver);
+        this.deepLink = new DeepLink(driver);
+        this.lifecycle = new AppLifecycle(driver);
+
+        // What was on screen before the last lifecycle event, see runLifecycleEvent()
+        this.lifecycleSnapshot = null;
+
+        // Lists this scenario created, so the cleanup hook can delete them again
+        this.readingLists = {
+            current: null,
+            created: new Set()
         };
 
-        // Optimized locators with better strategies
-        this.locators = {
-            // IDs are fastest for lookup
-            eclipseIcon: "id:org.wikipedia.alpha:id/menu_overflow_button",
-            settingsOption: "id:org.wikipedia.alpha:id/explore_overflow_settings",
-            searchBox: "id:org.wikipedia.alpha:id/preference_languages_filter",
-            wikiHeaderLogo: "id:org.wikipedia.alpha:id/single_fragment_toolbar_wordmark",
-            featureArticleImage: "id:org.wikipedia.alpha:id/view_featured_article_card_image",
-
-            // UiSelector optimized for better performance
-            changeLanguageOption: '-android uiautomator:new UiSelector().className("android.widget.RelativeLayout").instance(0)',
-            languageFromList: '-android uiautomator:new UiSelector().className("android.widget.LinearLayout").instance(2)',
-            inTheNewsEclipseButton: '-android uiautomator:new UiSelector().resourceId("org.wikipedia.alpha:id/view_list_card_header_menu").instance(0)',
-            featureArticleEclipseButton: '-android uiautomator:new UiSelector().resourceId("org.wikipedia.alpha:id/view_list_card_header_menu").instance(1)',
-
-            // Accessibility IDs for better reliability
-            exploreButton: '~Explore',
-            readingListButton: '-android uiautomator:new UiSelector().resourceId("org.wikipedia.alpha:id/icon").instance(1)',
-            historyButton: '-android uiautomator:new UiSelector().resourceId("org.wikipedia.alpha:id/icon").instance(2)',
-            navigateToBrowserButton: '-android uiautomator:new UiSelector().resourceId("org.wikipedia.alpha:id/icon").instance(3)',
-
-            // Additional optimized locators
-            newsArticle: '-android uiautomator:new UiSelector().className("android.widget.LinearLayout").instance(6)',
-            moreOptionsIcon: '~More options',
-            addToReadingList: '-android uiautomator:new UiSelector().text("Add to Reading List")',
-            readingListNameInput: "id:org.wikipedia.alpha:id/text_input",
-            okButton: "id:android:id/button1",
-            gotItOkButton: "id:org.wikipedia.alpha:id/onboarding_button",
-            navigateUp: '~Navigate up',
-            readingListTitle: "id:org.wikipedia.alpha:id/item_title",
-            articleTitle: '-android uiautomator:new UiSelector().resourceId("org.wikipedia.alpha:id/page_list_item_title").instance(0)'
-        };
+        this.navigator = new PageNavigator({
+            ExplorePage: this.explorePage,
+            SettingsPage: this.settingsPage,
+            LanguagePage: this.languagePage,
+            WikipediaLanguagesPage: this.wikipediaLanguagesPage,
+            ArticlePage: this.articlePage,
+            ReadingListPage: this.readingListPage,
+            ReadingListDetailPage: this.readingListDetailPage,
+            SearchPage: this.searchPage,
+            HistoryPage: this.historyPage
+        });
+    }
 
-        // Default timeouts optimized for performance
-        this.timeouts = {
-            elementWait: 15000,
-            pageLoad: 30000,
-            retryAttempts: 3,
-            retryDelay: 1000
-        };
+    /**
+     * Navigate to any known page, e.g. "ReadingListPage"
+     */
+    async goTo(pageName) {
+        return this.navigator.navigateTo(pageName);
     }
 
     /**
-     * Optimized element finder with caching and retry mechanism
-     * Time Complexity: O(1) for cached elements, O(log n) for new lookups
+     * Start directly on a page through its activity instead of navigating the UI
      */
-    async findElement(selector, description, timeout = null) {
-        const cacheKey = `${selector}_${description}`;
-        this.performanceMetrics.elementLookups++;
-
-        // Check cache first - O(1) lookup
-        if (this.elementCache.has(cacheKey)) {
-            this.performanceMetrics.cacheHits++;
-            console.log(`🔍 Cache hit for ${description}`);
-            return this.elementCache.get(cacheKey);
+    async startOn(pageName) {
+        const page = this.navigator.getPage(pageName);
+
+        try {
+            await this.deepLink.startPage(pageName);
+            this.clearCache();
+
+            await page.waitUntilCurrent();
+
+            await this.logStep(true, `Started on ${pageName}`, "started_on_page");
+        } catch (error) {
+            await this.logStep(false, `Failed to start on ${pageName}: ${error.message}`);
+            throw error;
         }
+    }
 
-        const actualTimeout = timeout || this.timeouts.elementWait;
-        const startTime = Date.now();
+    /**
+     * Open an article by title through a wikipedia.org link, in the app's content language
+     */
+    async openArticle(title) {
+        try {
+            await this.deepLink.openArticle(title, this.shared.appLocale || 'en');
+            this.clearCache();
 
-        for (let attempt = 1; attempt <= this.timeouts.retryAttempts; attempt++) {
-            try {
-                console.log(`🔍 Attempting to find ${description} (attempt ${attempt}/${this.timeouts.retryAttempts})`);
+            await this.articlePage.waitUntilCurrent();
+            await this.articlePage.verifyContentShown();
 
-                const element = await this.driver.$(selector);
-                await element.waitForDisplayed({
-                    timeout: actualTimeout,
-                    reverse: false,
-                    timeoutMsg: `Element ${description} not displayed within ${actualTimeout}ms`
-                });
+            await this.logStep(true, `Opened article "${title}" by deep link`, "article_deep_link");
+        } catch (error) {
+            await this.logStep(false, `Failed to open article "${title}" by deep link: ${error.message}`);
+            throw error;
+        }
+    }
 
-                // Cache the element for future use
-                this.elementCache.set(cacheKey, element);
+    // ---------------- Explore ----------------
 
-                const duration = Date.now() - startTime;
-                this.performanceMetrics.totalWaitTime += duration;
+    async clickEclipseIcon() {
+        return this.explorePage.clickEclipseIcon();
+    }
 
-                console.log(`✅ Found ${description} in ${duration}ms`);
-                return element;
+    async navigateToSettings() {
+        return this.explorePage.navigateToSettings();
+    }
 
-            } catch (error) {
-                console.warn(`⚠️ Attempt ${attempt} failed for ${description}: ${error.message}`);
+    async verifyWikiHeaderLogo() {
+        return this.explorePage.verifyWikiHeaderLogo();
+    }
 
-                if (attempt === this.timeouts.retryAttempts) {
-                    // Take screenshot on final failure
-                    const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
-                    const screenshotPath = `./screenshots/error_${description.replace(/\s+/g, "_").toLowerCase()}_${timestamp}.png`;
+    async verifyEclipseButton() {
+        return this.explorePage.verifyEclipseButton();
+    }
 
-                    try {
-                        await this.driver.saveScreenshot(screenshotPath);
-                        console.log(`📸 Screenshot saved: ${screenshotPath}`);
-                    } catch (screenshotError) {
-                        console.error('❌ Failed to save screenshot:', screenshotError.message);
-                    }
+    async verifySubHeadingAndTodaysDate(subHeaderName) {
+        return this.explorePage.verifySubHeadingAndTodaysDate(subHeaderName);
+    }
 
-                    throw new Error(`Failed to locate ${description} after ${this.timeouts.retryAttempts} attempts: ${error.message}`);
-                }
+    async verifyInTheNewsEclipseButton() {
+        return this.explorePage.verifyInTheNewsEclipseButton();
+    }
 
-                // Wait before retry
-                await this.driver.pause(this.timeouts.retryDelay);
-            }
-        }
+    async verifyFeatureArticleEclipseButtonAndImage() {
+        return this.explorePage.verifyFeatureArticleEclipseButtonAndImage();
     }
 
-    /**
-     * Optimized logging with performance metrics
-     */
-    async logStep(success, message, screenshotName = null) {
-        const timestamp = new Date().toISOString();
-        const status = success ? '✅' : '❌';
-        const performanceInfo = this.getPerformanceMetrics();
+    async verifyExploreButton() {
+        return this.explorePage.verifyExploreButton();
+    }
 
-        console.log(`${status} [${timestamp}] ${message}`);
-        console.log(`📊 Performance: ${performanceInfo}`);
+    async verifyReadingListHistoryNavigatingButtons() {
+        return this.explorePage.verifyReadingListHistoryNavigatingButtons();
+    }
 
-        if (screenshotName) {
-            try {
-                const timestamp_suffix = new Date().toISOString().replace(/[:.]/g, '-');
-                const screenshotPath = `./screenshots/${screenshotName}_${timestamp_suffix}.png`;
-                await this.driver.saveScreenshot(screenshotPath);
-                console.log(`📸 Screenshot: ${screenshotPath}`);
-            } catch (error) {
-                console.error('❌ Screenshot failed:', error.message);
-            }
-        }
+    async verifyTwoNewArticles() {
+        return this.explorePage.verifyTwoNewArticles();
+    }
+
+    async clickOnNewsArticle() {
+        return this.explorePage.clickOnNewsArticle();
+    }
+
+    // ---------------- Settings / Language ----------------
+
+    async clickChangeLanguage() {
+        return this.settingsPage.clickChangeLanguage();
+    }
+
+    async enterLanguageInSearchBox(language) {
+        return this.languagePage.enterLanguageInSearchBox(language);
+    }
+
+    async selectLanguageFromList(language) {
+        const selected = await this.languagePage.selectLanguageFromList(language);
+        await this.syncAppLocale(selected);
+        return selected;
     }
 
     /**
-     * Get performance metrics
+     * Keep the shared app locale in line with the primary app language,
+     * so date checks format dates the way the feed does
      */
-    getPerformanceMetrics() {
-        const cacheHitRate = this.performanceMetrics.elementLookups > 0
-            ? ((this.performanceMetrics.cacheHits / this.performanceMetrics.elementLookups) * 100).toFixed(1)
-            : 0;
+    async syncAppLocale(selected = null) {
+        if (await this.wikipediaLanguagesPage.isCurrent()) {
+            const [primary] = await this.wikipediaLanguagesPage.getAppLanguages();
+            this.shared.appLocale = primary ? resolveLanguage(primary).code : null;
+        } else if (selected) {
+            // Picked straight from Settings, away from the language list
+            this.shared.appLocale = selected.code;
+        }
 
-        return `Lookups: ${this.performanceMetrics.elementLookups}, Cache Hit Rate: ${cacheHitRate}%, Total Wait: ${this.performanceMetrics.totalWaitTime}ms`;
+        console.log(`🌐 App content language: ${this.shared.appLocale || 'device default'}`);
     }
 
     /**
-     * Parallel element lookup for better performance
+     * Open the "Wikipedia languages" list from Settings. It is only shown with more than one
+     * app language; with a single one Settings opens the language picker instead.
+     * Resolves with whether the list is shown.
      */
-    async findElementsParallel(elementConfigs) {
-        const promises = elementConfigs.map(config =>
-            this.findElement(config.selector, config.description, config.timeout)
-        );
+    async openWikipediaLanguages() {
+        await this.goTo('SettingsPage');
+        await this.settingsPage.clickChangeLanguage();
 
-        try {
-            const results = await Promise.all(promises);
-            console.log(`⚡ Successfully found ${results.length} elements in parallel`);
-            return results;
-        } catch (error) {
-            console.error('❌ Parallel element lookup failed:', error.message);
-            throw error;
+        return this.wikipediaLanguagesPage.isCurrent();
+    }
+
+    async showWikipediaLanguages() {
+        if (await this.wikipediaLanguagesPage.isCurrent()) {
+            return;
+        }
+
+        if (!await this.openWikipediaLanguages()) {
+            await this.languagePage.navigateUp();
+            throw new Error('The app has a single language, so Settings shows no Wikipedia languages list');
         }
     }
 
-    /**
-     * Smart wait utility with exponential backoff
-     */
-    async smartWait(condition, maxAttempts = 5, initialDelay = 500) {
-        let delay = initialDelay;
+    async getAppLanguages() {
+        await this.showWikipediaLanguages();
+        return this.wikipediaLanguagesPage.getAppLanguages();
+    }
 
-        for (let attempt = 1; attempt <= maxAttempts; attempt++) {
-            try {
-                const result = await condition();
-                if (result) {
-                    console.log(`⏱️ Condition met on attempt ${attempt}`);
-                    return result;
-                }
-            } catch (error) {
-                if (attempt === maxAttempts) {
-                    throw error;
-                }
+    async addAppLanguage(language) {
+        if (await this.openWikipediaLanguages()) {
+            await this.wikipediaLanguagesPage.openAddLanguage();
+            await this.languagePage.enterLanguageInSearchBox(language);
+            await this.languagePage.selectLanguageFromList(language);
+            await this.wikipediaLanguagesPage.waitUntilCurrent();
+        } else {
+            // A single app language: Settings opened the picker itself, and picking adds the second language
+            await this.languagePage.enterLanguageInSearchBox(language);
+            await this.languagePage.selectLanguageFromList(language);
+
+            // With two languages Settings shows the list, where they can be reordered and removed
+            if (!await this.openWikipediaLanguages()) {
+                throw new Error(`The Wikipedia languages list is not shown after adding "${language}"`);
             }
-
-            console.log(`⏱️ Waiting ${delay}ms before attempt ${attempt + 1}`);
-            await this.driver.pause(delay);
-            delay *= 2; // Exponential backoff
         }
 
-        throw new Error(`Condition not met after ${maxAttempts} attempts`);
+        await this.syncAppLocale();
     }
 
-    /**
-     * Clear element cache when navigating to new pages
-     */
-    clearCache() {
-        const cacheSize = this.elementCache.size;
-        this.elementCache.clear();
-        console.log(`🧹 Cleared ${cacheSize} cached elements`);
+    async moveAppLanguage(language, position) {
+        await this.showWikipediaLanguages();
+        await this.wikipediaLanguagesPage.moveLanguage(language, position);
+        await this.syncAppLocale();
     }
 
-    // ---------------- Optimized Core Methods ----------------
+    async removeAppLanguage(language) {
+        await this.showWikipediaLanguages();
+        await this.wikipediaLanguagesPage.removeLanguage(language);
+        await this.syncAppLocale();
+    }
 
     /**
-     * Click Eclipse Icon with optimized error handling
+     * Verify the Explore feed is shown in the given language through its localized "In the news" header
      */
-    async clickEclipseIcon() {
-        try {
-            const icon = await this.findElement(this.locators.eclipseIcon, "Eclipse Icon");
-            await icon.click();
+    async verifyFeedLanguage(language) {
+        const resolved = resolveLanguage(language);
+        if (!resolved.inTheNews) {
+            throw new Error(`No localized "In the news" title for "${language}". Add it to utils/languageCatalog.js`);
+        }
 
-            // Wait for settings menu to appear using smart wait
-            await this.smartWait(async () => {
-                try {
-                    const settings = await this.driver.$(this.locators.settingsOption);
-                    return await settings.isDisplayed();
-                } catch {
-                    return false;
-                }
-            });
+        try {
+            await this.goTo('ExplorePage');
+            await this.explorePage.getFeedCard(resolved.inTheNews);
 
-            await this.logStep(true, "Eclipse icon clicked successfully", "eclipse_icon_clicked");
+            await this.logStep(true, `Explore feed is shown in ${resolved.name} ("${resolved.inTheNews}")`, "feed_language");
         } catch (error) {
-            await this.logStep(false, `Failed to click Eclipse icon: ${error.message}`);
+            await this.logStep(false, `Explore feed is not shown in ${resolved.name}: ${error.message}`);
             throw error;
         }
     }
 
+    // ---------------- Network ----------------
+
+    async setNetworkCondition(condition) {
+        await this.network.setCondition(condition);
+
+        // Screens re-render their offline state, so cached elements may be gone
+        this.clearCache();
+    }
+
+    // ---------------- Lifecycle ----------------
+
     /**
-     * Navigate to Settings with validation
+     * Record what the user would expect to get back after a lifecycle event
      */
-    async navigateToSettings() {
-        try {
-            const settings = await this.findElement(this.locators.settingsOption, "Settings Option");
-            await settings.click();
+    async captureAppState() {
+        const snapshot = { page: null, articleTitle: null, scroll: null, readingListDraft: null };
 
-            // Clear cache as we're navigating to a new page
-            this.clearCache();
+        snapshot.readingListDraft = await this.articlePage.getReadingListNameDraft();
+        if (snapshot.readingListDraft !== null) {
+            snapshot.page = 'ArticlePage';
+            return snapshot;
+        }
 
-            await this.logStep(true, "Navigated to Settings successfully", "navigated_to_settings");
-        } catch (error) {
-            await this.logStep(false, `Failed to navigate to Settings: ${error.message}`);
-            throw error;
+        snapshot.page = await this.navigator.detectCurrentPage();
+        if (snapshot.page === 'ArticlePage') {
+            snapshot.articleTitle = await this.articlePage.getArticleTitle();
+            snapshot.scroll = await this.articlePage.getScrollPosition();
         }
+
+        return snapshot;
     }
 
     /**
-     * Click Change Language option
+     * Snapshot the screen, run the event, then wait for the app to settle
      */
-    async clickChangeLanguage() {
+    async runLifecycleEvent(description, event) {
         try {
-            const changeLang = await this.findElement(this.locators.changeLanguageOption, "Change Language Option");
-            await changeLang.click();
+            this.lifecycleSnapshot = await this.captureAppState();
+            await event();
 
-            await this.smartWait(async () => {
-                try {
-                    const searchBox = await this.driver.$(this.locators.searchBox);
-                    return await searchBox.isDisplayed();
-                } catch {
-                    return false;
-                }
-            });
+            this.clearCache();
+            await this.waits.waitForIdle();
 
-            await this.logStep(true, "Change Language option clicked successfully", "change_language_clicked");
+            await this.logStep(true, `${description} completed`, "lifecycle_event");
         } catch (error) {
-            await this.logStep(false, `Failed to click Change Language: ${error.message}`);
+            await this.logStep(false, `${description} failed: ${error.message}`);
             throw error;
         }
     }
 
-    /**
-     * Enter language in search box with input validation
-     */
-    async enterLanguageInSearchBox(language) {
-        if (!language || typeof language !== 'string' || language.trim().length === 0) {
-            throw new Error('Invalid language parameter: must be a non-empty string');
-        }
+    async backgroundApp(seconds) {
+        return this.runLifecycleEvent(`Background for ${seconds}s`, () => this.lifecycle.background(seconds));
+    }
 
-        try {
-            const searchBox = await this.findElement(this.locators.searchBox, "Language Search Box");
-            await searchBox.clearValue();
-            await searchBox.setValue(language.trim());
-
-            // Verify text was entered
-            const enteredText = await searchBox.getText();
-            if (!enteredText.includes(language.trim())) {
-                throw new Error(`Failed to enter language text. Expected: ${language}, Got: ${enteredText}`);
-            }
+    async restartApp() {
+        return this.runLifecycleEvent('Terminate and relaunch', () => this.lifecycle.restart());
+    }
 
-            await this.logStep(true, `Language "${language}" entered successfully`, "language_entered");
-        } catch (error) {
-            await this.logStep(false, `Failed to enter language: ${error.message}`);
-            throw error;
+    async simulateProcessDeath() {
+        return this.runLifecycleEvent('Process death', () => this.lifecycle.simulateProcessDeath());
+    }
+
+    async rotateDevice(orientation) {
+        return this.runLifecycleEvent(`Rotate to ${orientation}`, () => this.lifecycle.rotate(orientation));
+    }
+
+    requireLifecycleSnapshot(field) {
+        if (!this.lifecycleSnapshot || this.lifecycleSnapshot[field] === null) {
+            throw new Error(`Nothing to compare: no ${field} was recorded before the last lifecycle event`);
         }
+        return this.lifecycleSnapshot[field];
+    }
+
+    async verifyArticlePreserved() {
+        const expectedTitle = this.requireLifecycleSnapshot('articleTitle');
+
+        await this.articlePage.waitUntilCurrent();
+        await this.articlePage.verifyArticleTitle(expectedTitle);
     }
 
     /**
-     * Select language from list with validation
+     * Compare scroll fractions, since rotation re-lays out the article
      */
-    async selectLanguageFromList(language) {
-        if (!language || typeof language !== 'string') {
-            throw new Error('Invalid language parameter');
-        }
+    async verifyScrollPositionPreserved(tolerance = 0.05) {
+        const expected = this.requireLifecycleSnapshot('scroll');
 
         try {
-            const langElement = await this.findElement(this.locators.languageFromList, "Language From List");
-            await langElement.click();
+            const actual = await this.articlePage.getScrollPosition();
+            if (Math.abs(actual.fraction - expected.fraction) > tolerance) {
+                throw new Error(`Scroll position not restored. Expected ${(expected.fraction * 100).toFixed(1)}%, but got ${(actual.fraction * 100).toFixed(1)}%`);
+            }
 
-            await this.logStep(true, `Language "${language}" selected successfully`, "language_selected");
+            await this.logStep(true, `Scroll position restored at ${(actual.fraction * 100).toFixed(1)}%`, "scroll_position_restored");
         } catch (error) {
-            await this.logStep(false, `Failed to select language: ${error.message}`);
+            await this.logStep(false, `Scroll position verification failed: ${error.message}`);
             throw error;
         }
     }
 
-    /**
-     * Verify Wikipedia header logo with retry mechanism
-     */
-    async verifyWikiHeaderLogo() {
+    async verifyReadingListDraft(expectedName) {
         try {
-            const logo = await this.findElement(this.locators.wikiHeaderLogo, "Wikipedia Header Logo");
-            const isDisplayed = await logo.isDisplayed();
-
-            await this.logStep(isDisplayed, "Wikipedia header logo verification", "wiki_header_logo");
-
-            if (!isDisplayed) {
-                throw new Error('Wikipedia header logo is not displayed');
+            const draft = await this.articlePage.getReadingListNameDraft();
+            if (draft === null) {
+                throw new Error('The reading list name dialog is no longer shown');
             }
+            if (draft !== expectedName) {
+                throw new Error(`Reading list name mismatch. Expected "${expectedName}", but got "${draft}"`);
+            }
+
+            await this.logStep(true, `Reading list dialog still contains "${draft}"`, "reading_list_draft_restored");
         } catch (error) {
-            await this.logStep(false, `Logo verification failed: ${error.message}`);
+            await this.logStep(false, `Reading list dialog verification failed: ${error.message}`);
             throw error;
         }
     }
 
-    /**
-     * Verify Eclipse button with optimized check
-     */
-    async verifyEclipseButton() {
-        try {
-            const button = await this.findElement(this.locators.eclipseIcon, "Eclipse Button");
-            const isDisplayed = await button.isDisplayed();
-
-            await this.logStep(isDisplayed, "Eclipse button verification", "eclipse_button");
+    async verifyPageShown(pageName) {
+        const page = this.navigator.getPage(pageName);
 
-            if (!isDisplayed) {
-                throw new Error('Eclipse button is not displayed');
-            }
+        try {
+            await page.waitUntilCurrent();
+            await this.logStep(true, `${pageName} is shown`);
         } catch (error) {
-            await this.logStep(false, `Eclipse button verification failed: ${error.message}`);
+            await this.logStep(false, `${pageName} is not shown: ${error.message}`);
             throw error;
         }
     }
 
     /**
-     * Verify subheading and today's date with optimized element lookup
+     * Wait for the app to reach Explore after an install or launch.
+     * A fresh install opens on onboarding, which the interrupt watcher skips.
      */
-    async verifySubHeadingAndTodaysDate(subHeaderName) {
-        if (!subHeaderName || typeof subHeaderName !== 'string') {
-            throw new Error('Invalid subHeaderName parameter');
-        }
+    async waitForAppLaunch() {
+        this.clearCache();
+        await this.waits.waitForIdle({ timeout: 30000 });
+        await this.interrupts.check();
+        await this.explorePage.waitUntilCurrent();
+    }
 
-        try {
-            const index = subHeaderName.toLowerCase() === "in the news" ? 0 : 1;
-
-            // Use parallel lookup for better performance
-            const [subHeading, todaysDate] = await this.findElementsParallel([
-                {
-                    selector: `-android uiautomator:new UiSelector().resourceId("org.wikipedia.alpha:id/view_card_header_title").text("${subHeaderName}")`,
-                    description: `${subHeaderName} Subheading`
-                },
-                {
-                    selector: `-android uiautomator:new UiSelector().resourceId("org.wikipedia.alpha:id/view_card_header_subtitle").instance(${index})`,
-                    description: "Today's Date Subtitle"
-                }
-            ]);
+    async getHistoryTitles() {
+        await this.goTo('HistoryPage');
+        return this.historyPage.getEntryTitles();
+    }
 
-            const subHeadingText = await subHeading.getText();
-            const dateText = await todaysDate.getText();
+    // ---------------- Search ----------------
 
-            // Validate subheading
-            if (subHeadingText.trim() !== subHeaderName) {
-                throw new Error(`Subheading mismatch. Expected "${subHeaderName}", but got "${subHeadingText}"`);
-            }
+    async search(term) {
+        await this.goTo('SearchPage');
+        return this.searchPage.search(term);
+    }
 
-            // Validate today's date
-            const options = { year: "numeric", month: "short", day: "numeric" };
-            const expectedDate = new Intl.DateTimeFormat("en-US", options).format(new Date());
-            if (dateText.trim() !== expectedDate) {
-                throw new Error(`Date mismatch. Expected "${expectedDate}", but got "${dateText}"`);
-            }
+    async verifyTopSearchResultsContain(titles, count) {
+        return this.searchPage.verifyTopResultsContain(titles, count);
+    }
 
-            await this.logStep(true, `Verified subheading "${subHeaderName}" with today's date`, "subheading_and_date");
-        } catch (error) {
-            await this.logStep(false, `Subheading verification failed: ${error.message}`);
-            throw error;
-        }
+    async openSearchResult(title) {
+        await this.searchPage.openResultByTitle(title);
+        await this.articlePage.waitUntilCurrent();
     }
 
-    /**
-     * Verify In The News Eclipse Button with optimized check
-     */
-    async verifyInTheNewsEclipseButton() {
-        try {
-            const btn = await this.findElement(this.locators.inTheNewsEclipseButton, "In The News Eclipse Button");
-            const isDisplayed = await btn.isDisplayed();
+    async openSearchResultAt(position) {
+        const title = await this.searchPage.openResultAt(position);
+        await this.articlePage.waitUntilCurrent();
+        return title;
+    }
 
-            await this.logStep(isDisplayed, "In The News Eclipse button verification", "in_the_news_eclipse_button");
+    async verifyNoSearchResults() {
+        return this.searchPage.verifyNoResults();
+    }
 
-            if (!isDisplayed) {
-                throw new Error('In The News Eclipse button is not displayed');
-            }
-        } catch (error) {
-            await this.logStep(false, `In The News Eclipse button verification failed: ${error.message}`);
-            throw error;
-        }
+    async clearRecentSearches() {
+        await this.goTo('SearchPage');
+        return this.searchPage.clearRecentSearches();
     }
 
-    /**
-     * Verify Feature Article Eclipse Button and Image with parallel lookup
-     */
-    async verifyFeatureArticleEclipseButtonAndImage() {
-        try {
-            const [btn, img] = await this.findElementsParallel([
-                { selector: this.locators.featureArticleEclipseButton, description: "Feature Article Eclipse Button" },
-                { selector: this.locators.featureArticleImage, description: "Feature Article Image" }
-            ]);
+    async verifySearchLanguage(language) {
+        await this.goTo('SearchPage');
+        return this.searchPage.verifySearchLanguage(language);
+    }
 
-            const btnDisplayed = await btn.isDisplayed();
-            const imgDisplayed = await img.isDisplayed();
+    // ---------------- Article ----------------
 
-            await this.logStep(btnDisplayed, "Feature Article Eclipse button verification", "feature_article_eclipse_button");
-            await this.logStep(imgDisplayed, "Feature Article image verification", "feature_article_image");
+    async clickOnMoreOptionsIcon() {
+        return this.articlePage.clickOnMoreOptionsIcon();
+    }
 
-            if (!btnDisplayed) {
-                throw new Error('Feature Article Eclipse button is not displayed');
-            }
-            if (!imgDisplayed) {
-                throw new Error('Feature Article image is not displayed');
-            }
-        } catch (error) {
-            await this.logStep(false, `Feature Article verification failed: ${error.message}`);
-            throw error;
-        }
+    async clickOnAddToReadingListOption() {
+        return this.articlePage.clickOnAddToReadingListOption();
     }
 
-    /**
-     * Verify Explore Button with optimized check
-     */
-    async verifyExploreButton() {
-        try {
-            const explore = await this.findElement(this.locators.exploreButton, "Explore Button");
-            const isDisplayed = await explore.isDisplayed();
+    async enterReadingListName(listName) {
+        await this.articlePage.enterReadingListName(listName);
 
-            await this.logStep(isDisplayed, "Explore button verification", "explore_button");
+        // Remember the list for later verification and cleanup
+        this.readingLists.current = listName.trim();
+        this.readingLists.created.add(listName.trim());
+    }
 
-            if (!isDisplayed) {
-                throw new Error('Explore button is not displayed');
-            }
-        } catch (error) {
-            await this.logStep(false, `Explore button verification failed: ${error.message}`);
-            throw error;
-        }
+    async clickOnOkButton() {
+        return this.articlePage.clickOnOkButton();
+    }
+
+    async clickOnGotItOkButton() {
+        return this.articlePage.clickOnGotItOkButton();
+    }
+
+    async verifyArticleTitle(title) {
+        return this.articlePage.verifyArticleTitle(title);
+    }
+
+    async verifyArticleLeadParagraphContains(text) {
+        return this.articlePage.verifyLeadParagraphContains(text);
+    }
+
+    async verifyArticleSections(headings) {
+        return this.articlePage.verifySectionHeadings(headings);
+    }
+
+    async getArticleTableOfContents() {
+        return this.articlePage.getTableOfContents();
     }
 
+    async followArticleLink(linkText) {
+        return this.articlePage.followLink(linkText);
+    }
+
+    // ---------------- Reading list ----------------
+
     /**
-     * Verify Reading List, History and Navigate buttons with parallel processing
+     * Navigate to Reading List section through the navigation graph
      */
-    async verifyReadingListHistoryNavigatingButtons() {
+    async navigateToReadingListSection() {
         try {
-            const buttonConfigs = [
-                { locator: this.locators.readingListButton, name: "Reading List" },
-                { locator: this.locators.historyButton, name: "History" },
-                { locator: this.locators.navigateToBrowserButton, name: "Navigate to Browser" }
-            ];
-
-            // Parallel lookup for better performance
-            const elements = await this.findElementsParallel(
-                buttonConfigs.map(btn => ({
-                    selector: btn.locator,
-                    description: `${btn.name} Button`
-                }))
-            );
-
-            // Check all elements in parallel
-            const visibilityResults = await Promise.all(
-                elements.map(async (el, index) => {
-                    const isDisplayed = await el.isDisplayed();
-                    const btnName = buttonConfigs[index].name;
-
-                    await this.logStep(isDisplayed, `${btnName} button verification`, `${btnName.toLowerCase().replace(' ', '_')}_button`);
-
-                    return { name: btnName, isDisplayed };
-                })
-            );
-
-            // Check if any button is not displayed
-            const failedButtons = visibilityResults.filter(result => !result.isDisplayed);
-
-            if (failedButtons.length > 0) {
-                const failedNames = failedButtons.map(btn => btn.name).join(', ');
-                throw new Error(`Following buttons are not displayed: ${failedNames}`);
-            }
-
+            await this.goTo('ReadingListPage');
         } catch (error) {
-            await this.logStep(false, `Navigation buttons verification failed: ${error.message}`);
+            await this.logStep(false, `Failed to navigate to Reading List section: ${error.message}`);
             throw error;
         }
     }
 
-        /**
-     * Click on news article with smart wait
-     */
-    async clickOnNewsArticle() {
-        try {
-            const newArticle = await this.findElement(this.locators.newsArticle, "News Article");
-            await newArticle.click();
+    async verifyNewsArticleIsAddedToReadingList() {
+        const listName = this.readingLists.current;
+        if (!listName) {
+            throw new Error('Reading list name not set. Call enterReadingListName() first.');
+        }
 
-            // Wait for article page to load using smart wait
-            await this.smartWait(async () => {
-                try {
-                    const moreOptions = await this.driver.$(this.locators.moreOptionsIcon);
-                    return await moreOptions.isDisplayed();
-                } catch {
-                    return false;
-                }
-            });
+        try {
+            const titles = await this.getArticlesInReadingList(listName);
+            if (titles.length === 0) {
+                throw new Error(`News article is NOT added to the reading list "${listName}"`);
+            }
 
-            await this.logStep(true, "News article clicked successfully", "news_article_clicked");
+            await this.logStep(true, `Verified reading list "${listName}" contains: ${titles.join(', ')}`, "verified_article_in_reading_list");
         } catch (error) {
-            await this.logStep(false, `Failed to click news article: ${error.message}`);
+            await this.logStep(false, `Reading list verification failed: ${error.message}`);
             throw error;
         }
     }
 
-    /**
-     * Click on More Options Icon with validation
-     */
-    async clickOnMoreOptionsIcon() {
-        try {
-            const moreOptions = await this.findElement(this.locators.moreOptionsIcon, "More Options Icon");
-            await moreOptions.click();
-
-            // Wait longer for options menu to appear and stabilize
-            await this.driver.pause(2000);
-
-            // Try multiple selectors for the "Add to Reading List" option
-            let addToListOption = null;
-            const possibleSelectors = [
-                this.locators.addToReadingList, // Original selector
-                '-android uiautomator:new UiSelector().textContains("Add to")', // Partial text match
-                '-android uiautomator:new UiSelector().textContains("Reading")', // Partial text match
-                '//*[@text="Add to Reading List"]', // XPath fallback
-                '//*[@text="Add to reading list"]' // XPath with lowercase
-            ];
-
-            for (const selector of possibleSelectors) {
-                try {
-                    addToListOption = await this.driver.$(selector);
-                    if (await addToListOption.isDisplayed()) {
-                        console.log(`✅ Found Add to Reading List option with selector: ${selector}`);
-                        break;
-                    }
-                } catch (error) {
-                    console.log(`⚠️ Selector failed: ${selector} - ${error.message}`);
-                }
-            }
+    async createReadingList(listName) {
+        await this.goTo('ReadingListPage');
+        await this.readingListPage.createList(listName);
 
-            if (!addToListOption) {
-                throw new Error('Could not find Add to Reading List option with any selector');
-            }
+        this.readingLists.created.add(listName.trim());
+    }
 
-            await this.logStep(true, "More options icon clicked successfully", "more_options_icon_clicked");
-        } catch (error) {
-            await this.logStep(false, `Failed to click more options: ${error.message}`);
-            throw error;
+    async renameReadingList(listName, newName) {
+        await this.goTo('ReadingListPage');
+        await this.readingListPage.renameList(listName, newName);
+
+        if (this.readingLists.created.delete(listName.trim())) {
+            this.readingLists.created.add(newName.trim());
         }
     }
 
-    /**
-     * Click on Add to Reading List option
-     */
-    async clickOnAddToReadingListOption() {
-        try {
-            // Try multiple selectors to find the "Add to Reading List" option
-            let addToReadingList = null;
-            const possibleSelectors = [
-                this.locators.addToReadingList, // Original selector
-                '-android uiautomator:new UiSelector().textContains("Add to")', // Partial text match
-                '-android uiautomator:new UiSelector().textContains("Reading")', // Partial text match
-                '//*[@text="Add to Reading List"]', // XPath fallback
-                '//*[@text="Add to reading list"]', // XPath with lowercase
-                '//*[contains(@text, "Add to Reading List")]', // XPath contains
-                '//*[contains(@text, "Add to reading list")]' // XPath contains lowercase
-            ];
-
-            for (const selector of possibleSelectors) {
-                try {
-                    addToReadingList = await this.driver.$(selector);
-                    if (await addToReadingList.isDisplayed()) {
-                        console.log(`✅ Found Add to Reading List option with selector: ${selector}`);
-                        await addToReadingList.click();
-                        break;
-                    }
-                } catch (error) {
-                    console.log(`⚠️ Selector failed: ${selector} - ${error.message}`);
-                }
-            }
+    async deleteReadingList(listName) {
+        await this.goTo('ReadingListPage');
+        await this.readingListPage.deleteList(listName);
 
-            if (!addToReadingList) {
-                throw new Error('Could not find Add to Reading List option with any selector');
-            }
+        this.readingLists.created.delete(listName.trim());
+    }
 
-            // Wait for reading list input to appear
-            await this.driver.pause(2000); // Give time for the dialog to appear
+    async sortReadingLists(order) {
+        await this.goTo('ReadingListPage');
+        await this.readingListPage.sortLists(order);
+    }
 
-            await this.logStep(true, "Add to Reading List option clicked successfully", "add_to_reading_list_clicked");
-        } catch (error) {
-            await this.logStep(false, `Failed to click Add to Reading List: ${error.message}`);
-            throw error;
-        }
+    async getReadingListNames() {
+        await this.goTo('ReadingListPage');
+        return this.readingListPage.getListNames();
+    }
+
+    async verifyReadingListsSortedByName(reversed = false) {
+        await this.goTo('ReadingListPage');
+        return this.readingListPage.verifyListsSortedByName(reversed);
     }
 
     /**
-     * Enter reading list name with validation
+     * Save the first `count` "In the news" stories to a reading list
      */
-    async enterReadingListName(listName) {
-        if (!listName || typeof listName !== 'string' || listName.trim().length === 0) {
-            throw new Error('Invalid listName parameter: must be a non-empty string');
+    async addNewsArticlesToReadingList(listName, count) {
+        if (!Number.isInteger(count) || count < 1) {
+            throw new Error(`Invalid article count: ${count}`);
         }
 
-        try {
-            const readingListName = await this.findElement(this.locators.readingListNameInput, "Reading List Name Input");
-            await readingListName.clearValue();
-            await readingListName.setValue(listName.trim());
-
-            // Verify text was entered
-            const enteredText = await readingListName.getText();
-            if (!enteredText || !enteredText.includes(listName.trim())) {
-                throw new Error(`Failed to enter reading list name. Expected: ${listName}`);
-            }
+        for (let index = 0; index < count; index++) {
+            await this.goTo('ExplorePage');
+            await this.explorePage.clickOnNewsArticle(index);
+            await this.articlePage.waitUntilCurrent();
 
-            // Store the list name for later verification
-            this.readingListName = listName.trim();
-            await this.logStep(true, `Reading list name "${listName}" entered successfully`, "reading_list_name_entered");
-        } catch (error) {
-            await this.logStep(false, `Failed to enter reading list name: ${error.message}`);
-            throw error;
+            if (await this.articlePage.addToReadingList(listName)) {
+                this.readingLists.created.add(listName.trim());
+            }
+            await this.articlePage.navigateUp();
         }
+
+        this.readingLists.current = listName.trim();
     }
 
     /**
-     * Click on OK button with validation
+     * Open a reading list and return the titles of its articles
      */
-    async clickOnOkButton() {
-        try {
-            const okButton = await this.findElement(this.locators.okButton, "OK Button");
-            await okButton.click();
+    async getArticlesInReadingList(listName) {
+        await this.goTo('ReadingListPage');
+        await this.readingListPage.openList(listName);
+        await this.readingListDetailPage.waitUntilCurrent();
 
-            await this.logStep(true, "OK button clicked successfully", "ok_button_clicked");
-        } catch (error) {
-            await this.logStep(false, `Failed to click OK button: ${error.message}`);
-            throw error;
+        return this.readingListDetailPage.getArticleTitles();
+    }
+
+    /**
+     * Open an article saved in a reading list; without a title the first article is opened
+     */
+    async openSavedArticle(articleTitle, listName) {
+        const titles = await this.getArticlesInReadingList(listName);
+        const title = articleTitle || titles[0];
+
+        if (!title || !titles.includes(title)) {
+            throw new Error(`Article "${articleTitle || '(first)'}" not found in reading list "${listName}"`);
         }
+
+        await this.readingListDetailPage.openArticle(title);
+        await this.articlePage.waitUntilCurrent();
+        await this.articlePage.verifyContentShown();
+        return title;
     }
 
     /**
-     * Click on Got It OK button with validation
+     * Move an article between lists; without a title the first article of the source list is moved
      */
-    async clickOnGotItOkButton() {
-        try {
-            const gotItOkButton = await this.findElement(this.locators.gotItOkButton, "Got It OK Button");
-            await gotItOkButton.click();
+    async moveArticleBetweenReadingLists(articleTitle, fromList, toList) {
+        const titles = await this.getArticlesInReadingList(fromList);
+        const title = articleTitle || titles[0];
 
-            await this.logStep(true, "Got it OK button clicked successfully", "got_it_ok_button_clicked");
-        } catch (error) {
-            await this.logStep(false, `Failed to click Got It OK button: ${error.message}`);
-            throw error;
+        if (!title || !titles.includes(title)) {
+            throw new Error(`Article "${articleTitle || '(first)'}" not found in reading list "${fromList}"`);
         }
+
+        await this.readingListDetailPage.moveArticleTo(title, toList);
+        return title;
     }
 
     /**
-     * Navigate to Reading List section with optimized waits
+     * Delete test lists a previous run left on the device, e.g. when it crashed before its
+     * cleanup hook, then return to the feed. Lists without the test-data prefix are kept.
+     * Never throws, so it is safe in hooks.
      */
-    async navigateToReadingListSection() {
+    async deleteLeftoverReadingLists(prefix = TEST_DATA_PREFIX) {
         try {
-            // Navigate back first
-            const backNavigation = await this.findElement(this.locators.navigateUp, "Navigate Up Button");
-            await backNavigation.click();
+            await this.goTo('ReadingListPage');
+            const leftovers = (await this.readingListPage.getListNames()).filter(listName => listName.startsWith(prefix));
 
-            // Wait for main page to load
-            await this.smartWait(async () => {
+            if (leftovers.length > 0) {
+                console.log(`🧹 Deleting reading lists left by an earlier run: ${leftovers.join(', ')}`);
+            }
+
+            for (const listName of leftovers) {
                 try {
-                    const readingListBtn = await this.driver.$(this.locators.readingListButton);
-                    return await readingListBtn.isDisplayed();
-                } catch {
-                    return false;
+                    await this.readingListPage.deleteList(listName);
+                } catch (error) {
+                    console.error(`❌ Could not delete leftover reading list "${listName}": ${error.message}`);
                 }
-            });
-
-            await this.logStep(true, "Navigated back to main page", "navigated_back_to_main_page");
-
-            // Navigate to reading list section
-            const readingListSection = await this.findElement(this.locators.readingListButton, "Reading List Section");
-            await readingListSection.click();
-
-            // Clear cache for new page
-            this.clearCache();
+            }
 
-            await this.logStep(true, "Navigated to Reading List section successfully", "navigated_to_reading_list_section");
+            await this.goTo('ExplorePage');
         } catch (error) {
-            await this.logStep(false, `Failed to navigate to Reading List section: ${error.message}`);
-            throw error;
+            console.error(`❌ Could not check for leftover reading lists: ${error.message}`);
         }
     }
 
     /**
-     * Verify news article is added to reading list with parallel validation
+     * Take over the state an earlier DemoPage tracked, after session recovery replaced its session.
+     * Throws when the app on the new session does not hold that state, e.g. on a clean device.
      */
-    async verifyNewsArticleIsAddedToReadingList() {
-        if (!this.readingListName) {
-            throw new Error('Reading list name not set. Call enterReadingListName() first.');
+    async restoreState(previous) {
+        this.readingLists.current = previous.readingLists.current;
+        this.readingLists.created = new Set(previous.readingLists.created);
+        const appLocale = previous.shared.appLocale;
+
+        if (this.readingLists.created.size > 0) {
+            await this.goTo('ReadingListPage');
+            const listNames = await this.readingListPage.getListNames();
+            const missing = [...this.readingLists.created].filter(listName => !listNames.includes(listName));
+            if (missing.length > 0) {
+                throw new Error(`Reading lists missing on the new session: ${missing.join(', ')}`);
+            }
         }
 
-        try {
-            // Parallel validation for better performance
-            const [listTitle, articleInList] = await this.findElementsParallel([
-                { selector: this.locators.readingListTitle, description: "Reading List Title" },
-                { selector: this.locators.articleTitle, description: "Article in List" }
-            ]);
-
-            // Verify the list name
-            const titleText = await listTitle.getText();
-            if (titleText.trim() !== this.readingListName) {
-                throw new Error(`Reading list name mismatch. Expected "${this.readingListName}", but got "${titleText}"`);
+        if (appLocale) {
+            // The primary language can only be read from the list, which needs two app languages
+            if (!await this.openWikipediaLanguages()) {
+                await this.languagePage.navigateUp();
+                throw new Error(`App language "${appLocale}" could not be confirmed on the new session`);
             }
 
-            await this.logStep(true, `Verified reading list name "${this.readingListName}"`, "verified_reading_list_name");
-
-            // Verify the article is added to the list
-            const isDisplayed = await articleInList.isDisplayed();
-            if (!isDisplayed) {
-                throw new Error("News article is NOT added to the reading list");
+            await this.syncAppLocale();
+            if (this.shared.appLocale !== appLocale) {
+                throw new Error(`App language is "${this.shared.appLocale}" on the new session, expected "${appLocale}"`);
             }
+        }
 
-            await this.logStep(true, "Verified news article is added to the reading list", "verified_article_in_reading_list");
-        } catch (error) {
-            await this.logStep(false, `Reading list verification failed: ${error.message}`);
-            throw error;
+        if (this.readingLists.created.size > 0 || appLocale) {
+            await this.goTo('ExplorePage');
         }
     }
 
     /**
-     * Verify if there are two news articles displayed
+     * Delete every reading list this scenario created. Never throws, so it is safe in hooks.
      */
-    async verifyTwoNewArticles() {
-        try {
-            // Find news articles using individual selectors
-            const article1 = await this.findElement(this.locators.newsArticle, "First News Article");
-            const article2 = await this.findElement(this.locators.secondNewsArticle, "Second News Article");
-
-            // Verify both articles are displayed
-            const article1Displayed = await article1.isDisplayed();
-            const article2Displayed = await article2.isDisplayed();
+    async cleanupReadingLists() {
+        const listNames = [...this.readingLists.created];
+        if (listNames.length === 0) {
+            return;
+        }
 
-            if (!article1Displayed) {
-                throw new Error('First news article is not displayed');
-            }
+        console.log(`🧹 Deleting reading lists created by this scenario: ${listNames.join(', ')}`);
 
-            if (!article2Displayed) {
-                throw new Error('Second news article is not displayed');
+        for (const listName of listNames) {
+            try {
+                await this.goTo('ReadingListPage');
+                if (await this.readingListPage.hasList(listName)) {
+                    await this.readingListPage.deleteList(listName);
+                }
+                this.readingLists.created.delete(listName);
+            } catch (error) {
+                console.error(`❌ Could not delete reading list "${listName}": ${error.message}`);
             }
-
-            await this.logStep(true, "Two news articles verified successfully", "two_news_articles");
-        } catch (error) {
-            await this.logStep(false, `Two news articles verification failed: ${error.message}`);
-            throw error;
         }
     }
 }
 
-module.exports = DemoPage;
\ No newline at end of file
+module.exports = DemoPage;
@@ -0,0 +1,396 @@
+/**
+ * Explore Page Object
+ * Covers the Explore feed, its overflow menu and the bottom navigation bar
+ */
+
+const BasePage = require('./basePage');
+const FeedCard = require('./components/feedCard');
+const DateExpectation = require('../utils/dateExpectation');
+const { MainAppLocators, SearchLocators } = require('../objectRepo/objectRepo');
+const { resolveLocators } = require('../objectRepo/locatorAdapter');
+
+// Resolved at load time so a missing objectRepo entry fails before any scenario runs
+const LOCATORS = {
+    ...resolveLocators(MainAppLocators, [
+        'eclipseIcon',
+        'settingsOption',
+        'wikiHeaderLogo',
+        'exploreButton',
+        'readingListButton',
+        'historyButton',
+        'navigateToBrowserButton',
+        'moreOptionsIcon'
+    ], 'ExplorePage'),
+    ...resolveLocators(SearchLocators, ['searchContainer', 'searchInput'], 'ExplorePage')
+};
+
+class ExplorePage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+
+        this.activity = 'MainActivity';
+        this.trait = this.locators.wikiHeaderLogo;
+
+        this.dateExpectation = new DateExpectation(driver);
+    }
+
+    /**
+     * Click Eclipse Icon with optimized error handling
+     */
+    async clickEclipseIcon() {
+        try {
+            const icon = await this.findElement(this.locators.eclipseIcon, "Eclipse Icon");
+            await icon.click();
+
+            // Wait for settings menu to appear using smart wait
+            await this.smartWait(async () => {
+                try {
+                    const settings = await this.driver.$(this.locators.settingsOption);
+                    return await settings.isDisplayed();
+                } catch {
+                    return false;
+                }
+            });
+
+            await this.logStep(true, "Eclipse icon clicked successfully", "eclipse_icon_clicked");
+        } catch (error) {
+            await this.logStep(false, `Failed to click Eclipse icon: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Navigate to Settings with validation
+     */
+    async navigateToSettings() {
+        try {
+            const settings = await this.findElement(this.locators.settingsOption, "Settings Option");
+            await settings.click();
+
+            // Clear cache as we're navigating to a new page
+            this.clearCache();
+
+            await this.logStep(true, "Navigated to Settings successfully", "navigated_to_settings");
+        } catch (error) {
+            await this.logStep(false, `Failed to navigate to Settings: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Open Settings through the overflow menu (navigator transition)
+     */
+    async openSettings() {
+        await this.clickEclipseIcon();
+        await this.navigateToSettings();
+    }
+
+    /**
+     * Open the Reading lists tab from the bottom navigation bar
+     */
+    async openReadingLists() {
+        try {
+            const readingListSection = await this.findElement(this.locators.readingListButton, "Reading List Section");
+            await readingListSection.click();
+
+            // Clear cache for new page
+            this.clearCache();
+
+            await this.logStep(true, "Navigated to Reading List section successfully", "navigated_to_reading_list_section");
+        } catch (error) {
+            await this.logStep(false, `Failed to navigate to Reading List section: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Open the search screen from the "Search Wikipedia" bar
+     */
+    async openSearch() {
+        try {
+            const searchBar = await this.findElement(this.locators.searchContainer, "Search Wikipedia Bar");
+            await searchBar.click();
+            await this.findElement(this.locators.searchInput, "Search Text Field");
+
+            // Clear cache as we're navigating to a new page
+            this.clearCache();
+
+            await this.logStep(true, "Opened search", "search_opened");
+        } catch (error) {
+            await this.logStep(false, `Failed to open search: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Open the History tab from the bottom navigation bar
+     */
+    async openHistory() {
+        try {
+            const history = await this.findElement(this.locators.historyButton, "History Button");
+            await history.click();
+
+            // Clear cache for new page
+            this.clearCache();
+
+            await this.logStep(true, "Navigated to History successfully");
+        } catch (error) {
+            await this.logStep(false, `Failed to navigate to History: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Find an Explore feed card by its header title, e.g. "In the news"
+     */
+    async getFeedCard(title) {
+        return FeedCard.findByHeader(this, title);
+    }
+
+    /**
+     * Verify Wikipedia header logo with retry mechanism
+     */
+    async verifyWikiHeaderLogo() {
+        try {
+            const logo = await this.findElement(this.locators.wikiHeaderLogo, "Wikipedia Header Logo");
+            const isDisplayed = await logo.isDisplayed();
+
+            await this.logStep(isDisplayed, "Wikipedia header logo verification", "wiki_header_logo");
+
+            if (!isDisplayed) {
+                throw new Error('Wikipedia header logo is not displayed');
+            }
+        } catch (error) {
+            await this.logStep(false, `Logo verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify Eclipse button with optimized check
+     */
+    async verifyEclipseButton() {
+        try {
+            const button = await this.findElement(this.locators.eclipseIcon, "Eclipse Button");
+            const isDisplayed = await button.isDisplayed();
+
+            await this.logStep(isDisplayed, "Eclipse button verification", "eclipse_button");
+
+            if (!isDisplayed) {
+                throw new Error('Eclipse button is not displayed');
+            }
+        } catch (error) {
+            await this.logStep(false, `Eclipse button verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify subheading and today's date on the card with that header
+     */
+    async verifySubHeadingAndTodaysDate(subHeaderName) {
+        if (!subHeaderName || typeof subHeaderName !== 'string') {
+            throw new Error('Invalid subHeaderName parameter');
+        }
+
+        try {
+            const card = await this.getFeedCard(subHeaderName);
+            const [subHeading, todaysDate] = await Promise.all([
+                card.getHeaderTitle(),
+                card.getSubtitle()
+            ]);
+
+            const subHeadingText = await subHeading.getText();
+            const dateText = await todaysDate.getText();
+
+            // Validate subheading
+            if (subHeadingText.trim() !== subHeaderName) {
+                throw new Error(`Subheading mismatch. Expected "${subHeaderName}", but got "${subHeadingText}"`);
+            }
+
+            // Validate today's date in the device timezone and the app's language
+            await this.dateExpectation.verifyToday(dateText, { locale: this.shared.appLocale });
+
+            await this.logStep(true, `Verified subheading "${subHeaderName}" with today's date`, "subheading_and_date");
+        } catch (error) {
+            await this.logStep(false, `Subheading verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify the overflow menu of the "In the news" card
+     */
+    async verifyInTheNewsEclipseButton() {
+        try {
+            const card = await this.getFeedCard(FeedCard.TITLES.IN_THE_NEWS);
+            const btn = await card.getOverflowMenu();
+            const isDisplayed = await btn.isDisplayed();
+
+            await this.logStep(isDisplayed, "In The News Eclipse button verification", "in_the_news_eclipse_button");
+
+            if (!isDisplayed) {
+                throw new Error('In The News Eclipse button is not displayed');
+            }
+        } catch (error) {
+            await this.logStep(false, `In The News Eclipse button verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify the overflow menu and image of the "Featured article" card
+     */
+    async verifyFeatureArticleEclipseButtonAndImage() {
+        try {
+            const card = await this.getFeedCard(FeedCard.TITLES.FEATURED_ARTICLE);
+            const [btn, img] = await Promise.all([
+                card.getOverflowMenu(),
+                card.getImage()
+            ]);
+
+            const btnDisplayed = await btn.isDisplayed();
+            const imgDisplayed = await img.isDisplayed();
+
+            await this.logStep(btnDisplayed, "Feature Article Eclipse button verification", "feature_article_eclipse_button");
+            await this.logStep(imgDisplayed, "Feature Article image verification", "feature_article_image");
+
+            if (!btnDisplayed) {
+                throw new Error('Feature Article Eclipse button is not displayed');
+            }
+            if (!imgDisplayed) {
+                throw new Error('Feature Article image is not displayed');
+            }
+        } catch (error) {
+            await this.logStep(false, `Feature Article verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify Explore Button with optimized check
+     */
+    async verifyExploreButton() {
+        try {
+            const explore = await this.findElement(this.locators.exploreButton, "Explore Button");
+            const isDisplayed = await explore.isDisplayed();
+
+            await this.logStep(isDisplayed, "Explore button verification", "explore_button");
+
+            if (!isDisplayed) {
+                throw new Error('Explore button is not displayed');
+            }
+        } catch (error) {
+            await this.logStep(false, `Explore button verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify Reading List, History and Navigate buttons with parallel processing
+     */
+    async verifyReadingListHistoryNavigatingButtons() {
+        try {
+            const buttonConfigs = [
+                { locator: this.locators.readingListButton, name: "Reading List" },
+                { locator: this.locators.historyButton, name: "History" },
+                { locator: this.locators.navigateToBrowserButton, name: "Navigate to Browser" }
+            ];
+
+            // Parallel lookup for better performance
+            const elements = await this.findElementsParallel(
+                buttonConfigs.map(btn => ({
+                    selector: btn.locator,
+                    description: `${btn.name} Button`
+                }))
+            );
+
+            // Check all elements in parallel
+            const visibilityResults = await Promise.all(
+                elements.map(async (el, index) => {
+                    const isDisplayed = await el.isDisplayed();
+                    const btnName = buttonConfigs[index].name;
+
+                    await this.logStep(isDisplayed, `${btnName} button verification`, `${btnName.toLowerCase().replace(' ', '_')}_button`);
+
+                    return { name: btnName, isDisplayed };
+                })
+            );
+
+            // Check if any button is not displayed
+            const failedButtons = visibilityResults.filter(result => !result.isDisplayed);
+
+            if (failedButtons.length > 0) {
+                const failedNames = failedButtons.map(btn => btn.name).join(', ');
+                throw new Error(`Following buttons are not displayed: ${failedNames}`);
+            }
+
+        } catch (error) {
+            await this.logStep(false, `Navigation buttons verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Click an "In the news" story (the first by default) with smart wait
+     */
+    async clickOnNewsArticle(index = 0) {
+        try {
+            const card = await this.getFeedCard(FeedCard.TITLES.IN_THE_NEWS);
+            const newArticle = await card.getListItem(index);
+            await newArticle.click();
+
+            // Wait for article page to load using smart wait
+            await this.smartWait(async () => {
+                try {
+                    const moreOptions = await this.driver.$(this.locators.moreOptionsIcon);
+                    return await moreOptions.isDisplayed();
+                } catch {
+                    return false;
+                }
+            });
+
+            // Clear cache as we're navigating to a new page
+            this.clearCache();
+
+            await this.logStep(true, `News article ${index + 1} clicked successfully`, "news_article_clicked");
+        } catch (error) {
+            await this.logStep(false, `Failed to click news article: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify the "In the news" card shows at least two stories
+     */
+    async verifyTwoNewArticles() {
+        try {
+            const card = await this.getFeedCard(FeedCard.TITLES.IN_THE_NEWS);
+            const [article1, article2] = await Promise.all([
+                card.getListItem(0),
+                card.getListItem(1)
+            ]);
+
+            // Verify both articles are displayed
+            const article1Displayed = await article1.isDisplayed();
+            const article2Displayed = await article2.isDisplayed();
+
+            if (!article1Displayed) {
+                throw new Error('First news article is not displayed');
+            }
+
+            if (!article2Displayed) {
+                throw new Error('Second news article is not displayed');
+            }
+
+            await this.logStep(true, "Two news articles verified successfully", "two_news_articles");
+        } catch (error) {
+            await this.logStep(false, `Two news articles verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = ExplorePage;
@@ -0,0 +1,52 @@
+/**
+ * History Page Object
+ * Covers the History tab of the main screen: articles viewed, newest first
+ */
+
+const BasePage = require('./basePage');
+const { MainAppLocators, HistoryLocators } = require('../objectRepo/objectRepo');
+const { resolveLocators } = require('../objectRepo/locatorAdapter');
+
+const LOCATORS = {
+    ...resolveLocators(MainAppLocators, ['exploreButton'], 'HistoryPage'),
+    ...resolveLocators(HistoryLocators, ['historyList', 'entryTitles'], 'HistoryPage')
+};
+
+class HistoryPage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+
+        this.activity = 'MainActivity';
+        this.trait = this.locators.historyList;
+    }
+
+    /**
+     * Switch back to the Explore tab from the bottom navigation bar
+     */
+    async openExplore() {
+        try {
+            const explore = await this.findElement(this.locators.exploreButton, "Explore Button");
+            await explore.click();
+
+            // Clear cache for new page
+            this.clearCache();
+
+            await this.logStep(true, "Navigated to Explore successfully");
+        } catch (error) {
+            await this.logStep(false, `Failed to navigate to Explore: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Titles of the viewed articles, newest first
+     */
+    async getEntryTitles() {
+        await this.waits.waitForElementCountStable(this.locators.entryTitles, { minCount: 0 });
+        return this.collectTexts(this.locators.entryTitles);
+    }
+}
+
+module.exports = HistoryPage;
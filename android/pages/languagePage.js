@@ -0,0 +1,90 @@
+/**
+ * Language Page Object
+ * Covers the "Add a language" picker opened from Settings.
+ * Languages are picked by visible name or ISO code, see utils/languageCatalog.
+ */
+
+const BasePage = require('./basePage');
+const { MainAppLocators, LanguageLocators } = require('../objectRepo/objectRepo');
+const { resolveLocators, resolveDynamicLocator, resolveLocatorChains } = require('../objectRepo/locatorAdapter');
+const { resolveLanguage, visibleNames } = require('../utils/languageCatalog');
+
+const LOCATORS = resolveLocators(MainAppLocators, [
+    'searchBox',
+    'navigateUp'
+], 'LanguagePage');
+
+const languageRowByNames = resolveDynamicLocator(LanguageLocators.languageRowByNames, 'languageRowByNames');
+
+const LOCATOR_CHAINS = resolveLocatorChains(['navigateUp'], 'LanguagePage');
+
+class LanguagePage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+        this.locatorChains = LOCATOR_CHAINS;
+
+        this.trait = this.locators.searchBox;
+    }
+
+    /**
+     * Enter language in search box with input validation.
+     * ISO codes are typed as the English language name, since the filter matches names.
+     */
+    async enterLanguageInSearchBox(language) {
+        if (!language || typeof language !== 'string' || language.trim().length === 0) {
+            throw new Error('Invalid language parameter: must be a non-empty string');
+        }
+
+        const searchText = resolveLanguage(language).name;
+
+        try {
+            const searchBox = await this.findElement(this.locators.searchBox, "Language Search Box");
+            await searchBox.clearValue();
+            await searchBox.setValue(searchText);
+
+            // Verify text was entered
+            const enteredText = await searchBox.getText();
+            if (!enteredText.includes(searchText)) {
+                throw new Error(`Failed to enter language text. Expected: ${language}, Got: ${enteredText}`);
+            }
+
+            await this.logStep(true, `Language "${language}" entered successfully`, "language_entered");
+        } catch (error) {
+            await this.logStep(false, `Failed to enter language: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Select a language by visible name ("German", "Deutsch") or ISO code ("de").
+     * Resolves with the catalog entry of the selected language.
+     */
+    async selectLanguageFromList(language) {
+        if (!language || typeof language !== 'string') {
+            throw new Error('Invalid language parameter');
+        }
+
+        const resolved = resolveLanguage(language);
+
+        try {
+            const langElement = await this.scrollToElement(
+                languageRowByNames(visibleNames(resolved)),
+                `Language "${resolved.name}" in list`
+            );
+            await langElement.click();
+
+            // The picker closes after a selection
+            this.clearCache();
+
+            await this.logStep(true, `Language "${language}" selected successfully`, "language_selected");
+            return resolved;
+        } catch (error) {
+            await this.logStep(false, `Failed to select language: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = LanguagePage;
@@ -0,0 +1,149 @@
+/**
+ * Page Navigator
+ * Features:
+ * - Declarative transition graph between page objects
+ * - Current screen detection
+ * - Shortest-path navigation (BFS) so steps only name the target page
+ * - Re-plans from the detected screen when a transition lands elsewhere
+ */
+
+/**
+ * Known transitions between screens.
+ * `action` is the method invoked on the source page object.
+ */
+const TRANSITIONS = [
+    { from: 'ExplorePage', to: 'SettingsPage', action: 'openSettings' },
+    { from: 'ExplorePage', to: 'ArticlePage', action: 'clickOnNewsArticle' },
+    { from: 'ExplorePage', to: 'ReadingListPage', action: 'openReadingLists' },
+    { from: 'ExplorePage', to: 'SearchPage', action: 'openSearch' },
+    { from: 'ExplorePage', to: 'HistoryPage', action: 'openHistory' },
+    { from: 'SettingsPage', to: 'LanguagePage', action: 'clickChangeLanguage' },
+    { from: 'SettingsPage', to: 'ExplorePage', action: 'navigateUp' },
+    // Up from the picker returns to "Wikipedia languages" when it was opened from there
+    { from: 'LanguagePage', to: 'SettingsPage', action: 'navigateUp' },
+    { from: 'WikipediaLanguagesPage', to: 'LanguagePage', action: 'openAddLanguage' },
+    { from: 'WikipediaLanguagesPage', to: 'SettingsPage', action: 'navigateUp' },
+    { from: 'ArticlePage', to: 'ExplorePage', action: 'navigateUp' },
+    { from: 'SearchPage', to: 'ExplorePage', action: 'navigateUp' },
+    { from: 'ReadingListPage', to: 'ExplorePage', action: 'openExplore' },
+    { from: 'HistoryPage', to: 'ExplorePage', action: 'openExplore' },
+    // Opening a list needs its name, so only the way back is part of the graph
+    { from: 'ReadingListDetailPage', to: 'ReadingListPage', action: 'navigateUp' }
+];
+
+// Most specific screens first: Explore, Reading lists and History share MainActivity
+const DETECTION_ORDER = [
+    'LanguagePage',
+    'WikipediaLanguagesPage',
+    'SettingsPage',
+    'ArticlePage',
+    'SearchPage',
+    'ReadingListDetailPage',
+    'ReadingListPage',
+    'HistoryPage',
+    'ExplorePage'
+];
+
+class PageNavigator {
+    /**
+     * @param {Object<string, BasePage>} pages - page objects keyed by class name
+     * @param {Array} transitions - edges of the navigation graph
+     */
+    constructor(pages, transitions = TRANSITIONS) {
+        this.pages = pages;
+        this.transitions = transitions;
+    }
+
+    /**
+     * Resolve a page object by name, failing fast on typos
+     */
+    getPage(pageName) {
+        const page = this.pages[pageName];
+        if (!page) {
+            throw new Error(`Unknown page "${pageName}". Known pages: ${Object.keys(this.pages).join(', ')}`);
+        }
+        return page;
+    }
+
+    /**
+     * Detect which page is currently on screen
+     */
+    async detectCurrentPage() {
+        const candidates = DETECTION_ORDER.filter(name => this.pages[name]);
+
+        for (const pageName of candidates) {
+            if (await this.pages[pageName].isCurrent()) {
+                console.log(`🧭 Current page detected: ${pageName}`);
+                return pageName;
+            }
+        }
+
+        throw new Error(`Unable to detect current page (checked: ${candidates.join(', ')})`);
+    }
+
+    /**
+     * Breadth-first search for the shortest list of transitions between two pages
+     */
+    findPath(fromPage, toPage) {
+        if (fromPage === toPage) {
+            return [];
+        }
+
+        const visited = new Set([fromPage]);
+        const queue = [{ page: fromPage, path: [] }];
+
+        while (queue.length > 0) {
+            const { page, path } = queue.shift();
+
+            for (const transition of this.transitions.filter(t => t.from === page)) {
+                if (visited.has(transition.to)) {
+                    continue;
+                }
+
+                const nextPath = [...path, transition];
+                if (transition.to === toPage) {
+                    return nextPath;
+                }
+
+                visited.add(transition.to);
+                queue.push({ page: transition.to, path: nextPath });
+            }
+        }
+
+        throw new Error(`No navigation path from ${fromPage} to ${toPage}`);
+    }
+
+    /**
+     * Navigate to the target page from wherever the app currently is
+     */
+    async navigateTo(targetPage, maxTransitions = 10) {
+        const target = this.getPage(targetPage);
+        let currentPage = await this.detectCurrentPage();
+
+        for (let count = 0; currentPage !== targetPage; count++) {
+            if (count >= maxTransitions) {
+                throw new Error(`Could not reach ${targetPage} within ${maxTransitions} transitions`);
+            }
+
+            const path = this.findPath(currentPage, targetPage);
+            const [transition] = path;
+            console.log(`🧭 Navigating ${[currentPage, ...path.map(t => t.to)].join(' → ')}`);
+
+            await this.getPage(transition.from)[transition.action]();
+
+            const next = this.getPage(transition.to);
+            try {
+                await next.waitUntilCurrent(next.timeouts.elementWait);
+                currentPage = transition.to;
+            } catch {
+                // The back stack can differ from the graph, e.g. Up from the language picker
+                currentPage = await this.detectCurrentPage();
+            }
+        }
+
+        return target;
+    }
+}
+
+module.exports = PageNavigator;
+module.exports.TRANSITIONS = TRANSITIONS;
@@ -0,0 +1,98 @@
+/**
+ * Reading List Detail Page Object
+ * Covers an opened reading list: its articles and moving them to other lists
+ */
+
+const BasePage = require('./basePage');
+const { DynamicLocators, ReadingListLocators } = require('../objectRepo/objectRepo');
+const { resolveLocators, resolveDynamicLocator, resolveLocatorChains } = require('../objectRepo/locatorAdapter');
+
+const LOCATORS = resolveLocators(ReadingListLocators, ['articleTitles'], 'ReadingListDetailPage');
+
+const LOCATOR_CHAINS = resolveLocatorChains(['navigateUp'], 'ReadingListDetailPage');
+
+const articleByTitle = resolveDynamicLocator(ReadingListLocators.articleByTitle, 'articleByTitle');
+const menuItemStartingWith = resolveDynamicLocator(ReadingListLocators.menuItemStartingWith, 'menuItemStartingWith');
+const readingListByName = resolveDynamicLocator(DynamicLocators.readingListByName, 'readingListByName');
+
+// Article context menu entry; the full text varies between app versions
+const MOVE_TO_LIST_PREFIX = 'Move to';
+
+class ReadingListDetailPage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+        this.locatorChains = LOCATOR_CHAINS;
+
+        this.activity = 'ReadingListActivity';
+    }
+
+    /**
+     * Titles of every article in the opened list
+     */
+    async getArticleTitles() {
+        await this.waits.waitForElementCountStable(this.locators.articleTitles, { minCount: 0 });
+        return this.collectTexts(this.locators.articleTitles);
+    }
+
+    /**
+     * Open an article of this list
+     */
+    async openArticle(articleTitle) {
+        try {
+            const row = await this.scrollToElement(articleByTitle(articleTitle), `Article "${articleTitle}"`);
+            await row.click();
+
+            // Clear cache as we're navigating to a new page
+            this.clearCache();
+
+            await this.logStep(true, `Opened article "${articleTitle}"`, "saved_article_opened");
+        } catch (error) {
+            await this.logStep(false, `Failed to open article "${articleTitle}": ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Long-press an article row to open its context menu
+     */
+    async openArticleContextMenu(articleTitle) {
+        const row = await this.scrollToElement(articleByTitle(articleTitle), `Article "${articleTitle}"`);
+        await this.gestures.longPress(row);
+    }
+
+    /**
+     * Move an article of this list to another existing list
+     */
+    async moveArticleTo(articleTitle, targetList) {
+        if (!articleTitle || !targetList) {
+            throw new Error('Both articleTitle and targetList are required');
+        }
+
+        try {
+            await this.openArticleContextMenu(articleTitle);
+
+            const moveOption = await this.findElement(menuItemStartingWith(MOVE_TO_LIST_PREFIX), "Move To List Menu Item");
+            await moveOption.click();
+
+            const target = await this.scrollToElement(readingListByName(targetList), `Reading List "${targetList}"`);
+            await target.click();
+
+            const row = await this.driver.$(articleByTitle(articleTitle));
+            await row.waitForExist({
+                reverse: true,
+                timeout: this.timeouts.elementWait,
+                timeoutMsg: `Article "${articleTitle}" still shown after moving it to "${targetList}"`
+            });
+            this.clearCache();
+
+            await this.logStep(true, `Moved "${articleTitle}" to reading list "${targetList}"`, "article_moved");
+        } catch (error) {
+            await this.logStep(false, `Failed to move "${articleTitle}" to "${targetList}": ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = ReadingListDetailPage;
@@ -0,0 +1,272 @@
+/**
+ * Reading List Page Object
+ * Covers the Reading lists tab of the main screen: creating, renaming,
+ * deleting, sorting and opening lists
+ */
+
+const BasePage = require('./basePage');
+const { MainAppLocators, DynamicLocators, ReadingListLocators } = require('../objectRepo/objectRepo');
+const { resolveLocators, resolveDynamicLocator } = require('../objectRepo/locatorAdapter');
+
+const LOCATORS = {
+    ...resolveLocators(MainAppLocators, [
+        'readingListTitle',
+        'readingListNameInput',
+        'okButton',
+        'exploreButton'
+    ], 'ReadingListPage'),
+    ...resolveLocators(ReadingListLocators, [
+        'listsOverflowMenu',
+        'listTitles'
+    ], 'ReadingListPage')
+};
+
+const readingListByName = resolveDynamicLocator(DynamicLocators.readingListByName, 'readingListByName');
+const menuItemByText = resolveDynamicLocator(DynamicLocators.elementByText, 'elementByText');
+
+// Visible texts of the toolbar overflow and the list context menu
+const MENU_ITEMS = {
+    createList: 'Create new list',
+    sortBy: 'Sort by',
+    rename: 'Rename',
+    deleteList: 'Delete list'
+};
+
+// The default list is pinned to the top whatever the sort order
+const DEFAULT_LIST_NAME = 'Saved';
+
+// Sort orders accepted by sortLists(), mapped to the option text in the "Sort by" dialog
+const SORT_OPTIONS = {
+    'name': 'Sort by name',
+    'name reversed': 'Sort by name (reverse)',
+    'recent': 'Sort by recent',
+    'recent reversed': 'Sort by recent (reverse)'
+};
+
+class ReadingListPage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+
+        this.activity = 'MainActivity';
+        this.trait = this.locators.readingListTitle;
+    }
+
+    /**
+     * Switch back to the Explore tab from the bottom navigation bar
+     */
+    async openExplore() {
+        try {
+            const explore = await this.findElement(this.locators.exploreButton, "Explore Button");
+            await explore.click();
+
+            // Clear cache for new page
+            this.clearCache();
+
+            await this.logStep(true, "Navigated to Explore successfully");
+        } catch (error) {
+            await this.logStep(false, `Failed to navigate to Explore: ${error.message}`);
+            throw error;
+        }
+    }
+
+    validateListName(listName) {
+        if (!listName || typeof listName !== 'string' || listName.trim().length === 0) {
+            throw new Error('Invalid listName parameter: must be a non-empty string');
+        }
+    }
+
+    /**
+     * Click a menu entry by its visible text
+     */
+    async clickMenuItem(text) {
+        const item = await this.findElement(menuItemByText(text), `"${text}" Menu Item`);
+        await item.click();
+    }
+
+    /**
+     * Type a list name into the name dialog and confirm it
+     */
+    async submitListName(listName) {
+        const input = await this.findElement(this.locators.readingListNameInput, "Reading List Name Input");
+        await input.clearValue();
+        await input.setValue(listName);
+
+        const okButton = await this.findElement(this.locators.okButton, "OK Button");
+        await okButton.click();
+        await this.waits.waitForIdle();
+    }
+
+    /**
+     * Names of all reading lists, in the order they are displayed
+     */
+    async getListNames() {
+        await this.waits.waitForElementCountStable(this.locators.listTitles, { minCount: 0 });
+        return this.collectTexts(this.locators.listTitles);
+    }
+
+    async hasList(listName) {
+        return (await this.getListNames()).includes(listName);
+    }
+
+    /**
+     * Create an empty reading list from the toolbar overflow menu
+     */
+    async createList(listName) {
+        this.validateListName(listName);
+        const name = listName.trim();
+
+        try {
+            if (await this.hasList(name)) {
+                throw new Error(`A reading list named "${name}" already exists`);
+            }
+
+            const overflow = await this.findElement(this.locators.listsOverflowMenu, "Reading Lists Overflow Menu");
+            await overflow.click();
+            await this.clickMenuItem(MENU_ITEMS.createList);
+            await this.submitListName(name);
+
+            await this.findElement(readingListByName(name), `Reading List "${name}"`);
+            await this.logStep(true, `Created reading list "${name}"`, "reading_list_created");
+        } catch (error) {
+            await this.logStep(false, `Failed to create reading list "${name}": ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Long-press a reading list row to open its context menu
+     */
+    async openReadingListContextMenu(listName) {
+        try {
+            const listRow = await this.scrollToElement(readingListByName(listName), `Reading List "${listName}"`);
+            await this.gestures.longPress(listRow);
+
+            await this.logStep(true, `Opened context menu for reading list "${listName}"`, "reading_list_context_menu");
+        } catch (error) {
+            await this.logStep(false, `Failed to open context menu for "${listName}": ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Rename a reading list through its context menu
+     */
+    async renameList(listName, newName) {
+        this.validateListName(listName);
+        this.validateListName(newName);
+
+        try {
+            await this.openReadingListContextMenu(listName);
+            await this.clickMenuItem(MENU_ITEMS.rename);
+            await this.submitListName(newName.trim());
+
+            await this.findElement(readingListByName(newName.trim()), `Reading List "${newName}"`);
+            await this.logStep(true, `Renamed reading list "${listName}" to "${newName}"`, "reading_list_renamed");
+        } catch (error) {
+            await this.logStep(false, `Failed to rename reading list "${listName}": ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Delete a reading list through its context menu and confirm the dialog
+     */
+    async deleteList(listName) {
+        this.validateListName(listName);
+
+        try {
+            await this.openReadingListContextMenu(listName);
+            await this.clickMenuItem(MENU_ITEMS.deleteList);
+
+            await this.waits.waitForDialog();
+            const confirm = await this.findElement(this.locators.okButton, "Delete Confirmation OK Button");
+            await confirm.click();
+
+            const row = await this.driver.$(readingListByName(listName));
+            await row.waitForExist({
+                reverse: true,
+                timeout: this.timeouts.elementWait,
+                timeoutMsg: `Reading list "${listName}" still shown after deleting it`
+            });
+            this.clearCache();
+
+            await this.logStep(true, `Deleted reading list "${listName}"`, "reading_list_deleted");
+        } catch (error) {
+            await this.logStep(false, `Failed to delete reading list "${listName}": ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Sort the reading lists, e.g. sortLists('name reversed')
+     */
+    async sortLists(order) {
+        const optionText = SORT_OPTIONS[order];
+        if (!optionText) {
+            throw new Error(`Unknown sort order "${order}". Expected one of: ${Object.keys(SORT_OPTIONS).join(', ')}`);
+        }
+
+        try {
+            const overflow = await this.findElement(this.locators.listsOverflowMenu, "Reading Lists Overflow Menu");
+            await overflow.click();
+            await this.clickMenuItem(MENU_ITEMS.sortBy);
+            await this.clickMenuItem(optionText);
+
+            await this.waits.waitForIdle();
+            this.clearCache();
+
+            await this.logStep(true, `Sorted reading lists by ${order}`, "reading_lists_sorted");
+        } catch (error) {
+            await this.logStep(false, `Failed to sort reading lists by ${order}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Verify the user-created lists are in alphabetical (or reverse) order
+     */
+    async verifyListsSortedByName(reversed = false) {
+        try {
+            const names = (await this.getListNames()).filter(name => name !== DEFAULT_LIST_NAME);
+            const expected = [...names].sort((a, b) => a.localeCompare(b, undefined, { sensitivity: 'base' }));
+            if (reversed) {
+                expected.reverse();
+            }
+
+            if (names.join('|') !== expected.join('|')) {
+                throw new Error(`Reading lists not sorted by name${reversed ? ' (reverse)' : ''}. Got: ${names.join(', ')}`);
+            }
+
+            await this.logStep(true, `Verified reading lists are sorted by name${reversed ? ' (reverse)' : ''}`, "reading_lists_sort_order");
+        } catch (error) {
+            await this.logStep(false, `Reading list sort verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Open a reading list to see its articles
+     */
+    async openList(listName) {
+        this.validateListName(listName);
+
+        try {
+            const listRow = await this.scrollToElement(readingListByName(listName), `Reading List "${listName}"`);
+            await listRow.click();
+
+            // Clear cache for new page
+            this.clearCache();
+
+            await this.logStep(true, `Opened reading list "${listName}"`);
+        } catch (error) {
+            await this.logStep(false, `Failed to open reading list "${listName}": ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+ReadingListPage.SORT_OPTIONS = SORT_OPTIONS;
+
+module.exports = ReadingListPage;
@@ -0,0 +1,226 @@
+/**
+ * Search Page Object
+ * Covers the search screen opened from the Explore search bar:
+ * results, the "no results" state and recent searches
+ */
+
+const BasePage = require('./basePage');
+const { MainAppLocators, SearchLocators } = require('../objectRepo/objectRepo');
+const { resolveLocators, resolveDynamicLocator, resolveLocatorChains } = require('../objectRepo/locatorAdapter');
+const { resolveLanguage } = require('../utils/languageCatalog');
+
+const LOCATORS = {
+    ...resolveLocators(MainAppLocators, ['okButton', 'navigateUp'], 'SearchPage'),
+    ...resolveLocators(SearchLocators, [
+        'searchInput',
+        'searchLanguageButton',
+        'resultTitles',
+        'noResultsMessage',
+        'recentSearchesDeleteButton',
+        'recentSearchItems'
+    ], 'SearchPage')
+};
+
+const LOCATOR_CHAINS = resolveLocatorChains(['navigateUp'], 'SearchPage');
+
+const resultByTitle = resolveDynamicLocator(SearchLocators.resultByTitle, 'resultByTitle');
+
+class SearchPage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+        this.locatorChains = LOCATOR_CHAINS;
+
+        this.activity = 'SearchActivity';
+        this.trait = this.locators.searchInput;
+    }
+
+    /**
+     * Type a search term and wait until results or the "no results" state settle
+     */
+    async search(term) {
+        if (!term || typeof term !== 'string' || term.trim().length === 0) {
+            throw new Error('Invalid search term: must be a non-empty string');
+        }
+
+        try {
+            const searchInput = await this.findElement(this.locators.searchInput, "Search Text Field");
+            await searchInput.clearValue();
+            await searchInput.setValue(term.trim());
+
+            await this.driver.waitUntil(async () =>
+                await this.isElementPresent(this.locators.resultTitles) ||
+                await this.isElementPresent(this.locators.noResultsMessage), {
+                timeout: this.timeouts.pageLoad,
+                timeoutMsg: `Neither results nor "no results" shown for "${term}" within ${this.timeouts.pageLoad}ms`
+            });
+
+            // Results keep arriving while the query runs
+            await this.waits.waitForIdle();
+
+            await this.logStep(true, `Searched for "${term}"`, "search_performed");
+        } catch (error) {
+            await this.logStep(false, `Search for "${term}" failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Titles of the first `limit` results, in display order
+     */
+    async getResultTitles(limit = Infinity) {
+        await this.waits.waitForElementCountStable(this.locators.resultTitles);
+
+        const results = await this.driver.$$(this.locators.resultTitles);
+        const titles = [];
+
+        for (const result of results.slice(0, limit)) {
+            titles.push((await result.getText()).trim());
+        }
+
+        return titles;
+    }
+
+    /**
+     * Verify each expected title is among the top `count` results
+     */
+    async verifyTopResultsContain(expectedTitles, count) {
+        try {
+            const titles = await this.getResultTitles(count);
+            const missing = expectedTitles.filter(title => !titles.includes(title));
+
+            if (missing.length > 0) {
+                throw new Error(`Top ${count} results miss ${missing.map(t => `"${t}"`).join(', ')}. Got: ${titles.join(', ')}`);
+            }
+
+            await this.logStep(true, `Top ${count} results contain ${expectedTitles.join(', ')}`, "search_results_verified");
+        } catch (error) {
+            await this.logStep(false, `Search result verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async openResultByTitle(title) {
+        try {
+            const result = await this.scrollToElement(resultByTitle(title), `Search Result "${title}"`);
+            await result.click();
+
+            // Clear cache as we're navigating to a new page
+            this.clearCache();
+
+            await this.logStep(true, `Opened search result "${title}"`, "search_result_opened");
+        } catch (error) {
+            await this.logStep(false, `Failed to open search result "${title}": ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Open a result by its 1-based position in the list
+     */
+    async openResultAt(position) {
+        try {
+            const results = await this.driver.$$(this.locators.resultTitles);
+            if (!Number.isInteger(position) || position < 1 || position > results.length) {
+                throw new Error(`Invalid result position ${position}: ${results.length} result(s) shown`);
+            }
+
+            const title = (await results[position - 1].getText()).trim();
+            await results[position - 1].click();
+            this.clearCache();
+
+            await this.logStep(true, `Opened search result ${position} ("${title}")`, "search_result_opened");
+            return title;
+        } catch (error) {
+            await this.logStep(false, `Failed to open search result ${position}: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async verifyNoResults() {
+        try {
+            await this.findElement(this.locators.noResultsMessage, "No Results Message");
+
+            const results = await this.driver.$$(this.locators.resultTitles);
+            if (results.length > 0) {
+                throw new Error(`Expected no results, but ${results.length} result(s) are shown`);
+            }
+
+            await this.logStep(true, "No results state shown", "search_no_results");
+        } catch (error) {
+            await this.logStep(false, `No results verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Clear the query to show recent searches, then delete them all
+     */
+    async clearRecentSearches() {
+        try {
+            const searchInput = await this.findElement(this.locators.searchInput, "Search Text Field");
+            await searchInput.clearValue();
+
+            if (!await this.isElementPresent(this.locators.recentSearchesDeleteButton)) {
+                await this.logStep(true, "No recent searches to clear");
+                return;
+            }
+
+            const deleteButton = await this.findElement(this.locators.recentSearchesDeleteButton, "Clear Recent Searches Button");
+            await deleteButton.click();
+
+            await this.waits.waitForDialog();
+            const confirm = await this.findElement(this.locators.okButton, "Clear Recent Searches Confirmation");
+            await confirm.click();
+
+            await this.driver.waitUntil(async () => (await this.driver.$$(this.locators.recentSearchItems)).length === 0, {
+                timeout: this.timeouts.elementWait,
+                timeoutMsg: 'Recent searches still shown after clearing them'
+            });
+            this.clearCache();
+
+            await this.logStep(true, "Cleared recent searches", "recent_searches_cleared");
+        } catch (error) {
+            await this.logStep(false, `Failed to clear recent searches: ${error.message}`);
+            throw error;
+        }
+    }
+
+    async getRecentSearches() {
+        const items = await this.driver.$$(this.locators.recentSearchItems);
+        const texts = [];
+
+        for (const item of items) {
+            texts.push((await item.getText()).trim());
+        }
+
+        return texts;
+    }
+
+    /**
+     * Verify searches run against the given language's wiki, shown as its code on the language button
+     */
+    async verifySearchLanguage(language) {
+        const resolved = resolveLanguage(language);
+        if (!resolved.code) {
+            throw new Error(`Unknown ISO code for "${language}". Add it to utils/languageCatalog.js`);
+        }
+
+        try {
+            const languageButton = await this.findElement(this.locators.searchLanguageButton, "Search Language Button");
+            const code = (await languageButton.getText()).trim().toLowerCase();
+
+            if (code !== resolved.code) {
+                throw new Error(`Search language mismatch. Expected "${resolved.code}", but got "${code}"`);
+            }
+
+            await this.logStep(true, `Search results are in ${resolved.name}`, "search_language");
+        } catch (error) {
+            await this.logStep(false, `Search language verification failed: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = SearchPage;
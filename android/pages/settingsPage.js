@@ -0,0 +1,56 @@
+/**
+ * Settings Page Object
+ * Covers the app Settings screen opened from the Explore overflow menu
+ */
+
+const BasePage = require('./basePage');
+const { MainAppLocators, LanguageLocators } = require('../objectRepo/objectRepo');
+const { resolveLocators, resolveLocatorChains } = require('../objectRepo/locatorAdapter');
+
+const LOCATORS = {
+    ...resolveLocators(MainAppLocators, [
+        'changeLanguageOption',
+        'searchBox',
+        'navigateUp'
+    ], 'SettingsPage'),
+    ...resolveLocators(LanguageLocators, ['appLanguageTitles'], 'SettingsPage')
+};
+
+const LOCATOR_CHAINS = resolveLocatorChains(['navigateUp'], 'SettingsPage');
+
+class SettingsPage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+        this.locatorChains = LOCATOR_CHAINS;
+
+        this.activity = 'SettingsActivity';
+    }
+
+    /**
+     * Click Change Language option. With a single app language the picker opens
+     * directly, otherwise the "Wikipedia languages" list is shown first.
+     */
+    async clickChangeLanguage() {
+        try {
+            const changeLang = await this.findElement(this.locators.changeLanguageOption, "Change Language Option");
+            await changeLang.click();
+
+            await this.smartWait(async () => {
+                return await this.isElementPresent(this.locators.searchBox) ||
+                    await this.isElementPresent(this.locators.appLanguageTitles);
+            });
+
+            // Clear cache as we're navigating to a new page
+            this.clearCache();
+
+            await this.logStep(true, "Change Language option clicked successfully", "change_language_clicked");
+        } catch (error) {
+            await this.logStep(false, `Failed to click Change Language: ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = SettingsPage;
@@ -0,0 +1,152 @@
+/**
+ * Wikipedia Languages Page Object
+ * Covers the app language list opened from Settings: adding, reordering
+ * and removing languages. The first language drives the Explore feed.
+ */
+
+const BasePage = require('./basePage');
+const { MainAppLocators, DynamicLocators, LanguageLocators } = require('../objectRepo/objectRepo');
+const { resolveLocators, resolveDynamicLocator, resolveLocatorChains } = require('../objectRepo/locatorAdapter');
+const { resolveLanguage, visibleNames } = require('../utils/languageCatalog');
+
+const LOCATORS = {
+    ...resolveLocators(MainAppLocators, ['okButton', 'navigateUp'], 'WikipediaLanguagesPage'),
+    ...resolveLocators(LanguageLocators, [
+        'appLanguageTitles',
+        'deleteSelectedLanguages',
+        'languagesOverflowMenu'
+    ], 'WikipediaLanguagesPage')
+};
+
+const LOCATOR_CHAINS = resolveLocatorChains(['navigateUp'], 'WikipediaLanguagesPage');
+
+const appLanguageTitleByNames = resolveDynamicLocator(LanguageLocators.appLanguageTitleByNames, 'appLanguageTitleByNames');
+const dragHandleByNames = resolveDynamicLocator(LanguageLocators.dragHandleByNames, 'dragHandleByNames');
+const checkboxByNames = resolveDynamicLocator(LanguageLocators.checkboxByNames, 'checkboxByNames');
+const menuItemByText = resolveDynamicLocator(DynamicLocators.elementByText, 'elementByText');
+
+// Visible texts of the screen's actions
+const MENU_ITEMS = {
+    addLanguage: 'Add language',
+    removeLanguage: 'Remove language'
+};
+
+class WikipediaLanguagesPage extends BasePage {
+    constructor(driver, shared) {
+        super(driver, shared);
+
+        this.locators = LOCATORS;
+        this.locatorChains = LOCATOR_CHAINS;
+
+        this.activity = 'WikipediaLanguagesActivity';
+        this.trait = this.locators.appLanguageTitles;
+    }
+
+    /**
+     * App languages in their current order; the first one is the primary language
+     */
+    async getAppLanguages() {
+        await this.waits.waitForElementCountStable(this.locators.appLanguageTitles);
+
+        const titles = await this.driver.$$(this.locators.appLanguageTitles);
+        const names = [];
+        for (const title of titles) {
+            names.push((await title.getText()).trim());
+        }
+
+        return names;
+    }
+
+    /**
+     * Open the "Add a language" picker
+     */
+    async openAddLanguage() {
+        try {
+            const addLanguage = await this.scrollToElement(menuItemByText(MENU_ITEMS.addLanguage), "Add Language Button");
+            await addLanguage.click();
+
+            // Clear cache as we're navigating to a new page
+            this.clearCache();
+
+            await this.logStep(true, "Opened the language picker", "add_language_opened");
+        } catch (error) {
+            await this.logStep(false, `Failed to open the language picker: ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Drag a language to a 1-based position in the list
+     */
+    async moveLanguage(language, position) {
+        const resolved = resolveLanguage(language);
+
+        try {
+            const languages = await this.getAppLanguages();
+            if (!Number.isInteger(position) || position < 1 || position > languages.length) {
+                throw new Error(`Invalid position ${position}: there are ${languages.length} app languages`);
+            }
+
+            const targetLanguage = resolveLanguage(languages[position - 1]);
+            if (targetLanguage.name === resolved.name) {
+                await this.logStep(true, `"${resolved.name}" is already at position ${position}`);
+                return;
+            }
+
+            const [source, target] = await Promise.all([
+                this.findElement(dragHandleByNames(visibleNames(resolved)), `Drag Handle of "${resolved.name}"`),
+                this.findElement(dragHandleByNames(visibleNames(targetLanguage)), `Drag Handle of "${targetLanguage.name}"`)
+            ]);
+
+            // A short hold lets the list pick up the row before it moves
+            await this.gestures.dragElementTo(source, target, { holdDuration: 300 });
+            await this.waits.waitForIdle();
+            this.clearCache();
+
+            await this.logStep(true, `Moved "${resolved.name}" to position ${position}`, "language_reordered");
+        } catch (error) {
+            await this.logStep(false, `Failed to move "${resolved.name}": ${error.message}`);
+            throw error;
+        }
+    }
+
+    /**
+     * Remove a language through "Remove language" selection mode
+     */
+    async removeLanguage(language) {
+        const resolved = resolveLanguage(language);
+
+        try {
+            const overflow = await this.findElement(this.locators.languagesOverflowMenu, "Languages Overflow Menu");
+            await overflow.click();
+
+            const removeOption = await this.findElement(menuItemByText(MENU_ITEMS.removeLanguage), "Remove Language Menu Item");
+            await removeOption.click();
+
+            const checkbox = await this.findElement(checkboxByNames(visibleNames(resolved)), `Checkbox of "${resolved.name}"`);
+            await checkbox.click();
+
+            const deleteSelected = await this.findElement(this.locators.deleteSelectedLanguages, "Delete Selected Languages");
+            await deleteSelected.click();
+
+            await this.waits.waitForDialog();
+            const confirm = await this.findElement(this.locators.okButton, "Remove Confirmation OK Button");
+            await confirm.click();
+
+            const title = await this.driver.$(appLanguageTitleByNames(visibleNames(resolved)));
+            await title.waitForExist({
+                reverse: true,
+                timeout: this.timeouts.elementWait,
+                timeoutMsg: `Language "${resolved.name}" still listed after removing it`
+            });
+            this.clearCache();
+
+            await this.logStep(true, `Removed app language "${resolved.name}"`, "language_removed");
+        } catch (error) {
+            await this.logStep(false, `Failed to remove "${resolved.name}": ${error.message}`);
+            throw error;
+        }
+    }
+}
+
+module.exports = WikipediaLanguagesPage;
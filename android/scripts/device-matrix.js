@@ -0,0 +1,163 @@
+#!/usr/bin/env node
+/**
+ * Device Matrix Runner
+ * Features:
+ * - Runs the selected features once per device profile on BrowserStack
+ * - Profiles and groups come from the device profile registry (device-profiles.yml)
+ * - Limits how many devices run at once
+ * - Prefixes every worker's output with its profile
+ * - Writes one Cucumber JSON per device and a combined scenario × device report
+ *
+ * Usage:
+ *   node scripts/device-matrix.js [--profiles samsung_s22,smoke-devices] [--concurrency 2] [cucumber args...]
+ *   e.g. npm run test:matrix -- --profiles android-12-plus --tags @smoke
+ *
+ * --profiles takes profile and group names; groups expand to their profiles.
+ * MATRIX_PROFILES and MATRIX_CONCURRENCY can be used instead of the flags.
+ * The default-matrix group runs by default, or every profile if the registry has no such group,
+ * two at a time.
+ */
+
+require('dotenv').config();
+const fs = require('fs');
+const path = require('path');
+const readline = require('readline');
+const { spawn } = require('child_process');
+const { deviceProfiles } = require('../capabilities');
+const { runWithConcurrency, parseScenarioResults, buildMatrix, formatMatrix } = require('../utils/deviceMatrix');
+
+const ROOT = path.join(__dirname, '..');
+const REPORT_DIR = path.join(ROOT, 'reports', 'matrix');
+const CUCUMBER_BIN = path.join(ROOT, 'node_modules', '.bin', process.platform === 'win32' ? 'cucumber-js.cmd' : 'cucumber-js');
+const DEFAULT_MATRIX_GROUP = 'default-matrix';
+
+function defaultProfiles() {
+    return deviceProfiles.getGroupNames().includes(DEFAULT_MATRIX_GROUP) ? [DEFAULT_MATRIX_GROUP] : deviceProfiles.getNames();
+}
+
+function parseArgs(argv, env = process.env) {
+    const options = {
+        profiles: env.MATRIX_PROFILES ? env.MATRIX_PROFILES.split(',') : defaultProfiles(),
+        concurrency: Number(env.MATRIX_CONCURRENCY || 2),
+        cucumberArgs: []
+    };
+
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === '--profiles') {
+            options.profiles = argv[++i].split(',');
+        } else if (argv[i] === '--concurrency') {
+            options.concurrency = Number(argv[++i]);
+        } else {
+            options.cucumberArgs.push(argv[i]);
+        }
+    }
+
+    // Unknown names throw with the valid profiles and groups
+    options.profiles = deviceProfiles.select(options.profiles.map(profile => profile.trim()).filter(Boolean));
+    if (options.profiles.length === 0) {
+        throw new Error('No device profiles selected');
+    }
+
+    // Run every feature unless a feature file or folder was given
+    const isFeaturePath = arg => !arg.startsWith('-') && fs.existsSync(path.resolve(ROOT, arg.replace(/:\d+$/, '')));
+    if (!options.cucumberArgs.some(isFeaturePath)) {
+        options.cucumberArgs.unshift('features');
+    }
+
+    return options;
+}
+
+function pipeWithPrefix(stream, prefix, output) {
+    readline.createInterface({ input: stream }).on('line', line => output.write(`${prefix} ${line}\n`));
+}
+
+/**
+ * Run cucumber-js for one profile. Resolves with the run and its scenario results; never rejects.
+ */
+function runProfile(profile, cucumberArgs) {
+    const { deviceName, osVersion } = deviceProfiles.get(profile);
+    const jsonPath = path.join(REPORT_DIR, `${profile}.json`);
+    const prefix = `[${profile}]`;
+    const startedAt = Date.now();
+
+    console.log(`📱 ${prefix} Starting on ${deviceName} (Android ${osVersion})`);
+
+    // A report left from an earlier run must not pass for this one if cucumber-js writes none
+    fs.rmSync(jsonPath, { force: true });
+
+    return new Promise(resolve => {
+        const child = spawn(CUCUMBER_BIN, [
+            ...cucumberArgs,
+            '--require', 'features/step_definitions/steps.js',
+            '--format', 'progress',
+            '--format', `json:${jsonPath}`
+        ], {
+            cwd: ROOT,
+            env: { ...process.env, BROWSERSTACK: 'true', DEVICE_PROFILE: profile },
+            shell: process.platform === 'win32'
+        });
+
+        pipeWithPrefix(child.stdout, prefix, process.stdout);
+        pipeWithPrefix(child.stderr, prefix, process.stderr);
+
+        // 'error' and 'close' can both fire for one child
+        let settled = false;
+        const finish = (exitCode) => {
+            if (settled) {
+                return;
+            }
+            settled = true;
+
+            let results = [];
+            try {
+                results = parseScenarioResults(JSON.parse(fs.readFileSync(jsonPath, 'utf8')), { profile, deviceName, osVersion });
+            } catch (error) {
+                console.error(`❌ ${prefix} No Cucumber report: ${error.message}`);
+            }
+
+            const durationMs = Date.now() - startedAt;
+            console.log(`${exitCode === 0 ? '✅' : '❌'} ${prefix} Finished with exit code ${exitCode} in ${Math.round(durationMs / 1000)}s`);
+            resolve({ profile, deviceName, osVersion, exitCode, durationMs, results });
+        };
+
+        child.on('error', error => {
+            console.error(`❌ ${prefix} Could not start cucumber-js: ${error.message}`);
+            finish(1);
+        });
+        child.on('close', code => finish(code === null ? 1 : code));
+    });
+}
+
+async function main() {
+    const options = parseArgs(process.argv.slice(2));
+
+    if (!process.env.BROWSERSTACK_USERNAME || !process.env.BROWSERSTACK_ACCESS_KEY) {
+        throw new Error('The device matrix runs on BrowserStack: set BROWSERSTACK_USERNAME and BROWSERSTACK_ACCESS_KEY');
+    }
+
+    fs.mkdirSync(REPORT_DIR, { recursive: true });
+    console.log(`🧮 Device matrix: ${options.profiles.join(', ')} (${options.concurrency} at a time)`);
+
+    const runs = await runWithConcurrency(options.profiles, options.concurrency,
+        profile => runProfile(profile, options.cucumberArgs));
+
+    const matrix = buildMatrix(runs);
+    const reportPath = path.join(REPORT_DIR, 'matrix-report.json');
+    fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), ...matrix }, null, 2));
+
+    console.log(`\n🧮 Device Matrix\n${formatMatrix(matrix)}`);
+    console.log(`\n📝 Matrix report written: ${path.relative(ROOT, reportPath)}`);
+
+    return runs.every(run => run.exitCode === 0) ? 0 : 1;
+}
+
+if (require.main === module) {
+    main()
+        .then(exitCode => process.exit(exitCode))
+        .catch(error => {
+            console.error('💥 Device matrix failed:', error.message);
+            process.exit(1);
+        });
+}
+
+module.exports = { parseArgs };
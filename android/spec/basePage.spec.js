@@ -0,0 +1,73 @@
+/**
+ * BasePage element cache checks
+ * Cache hits, stale evictions and screen changes, against a stub driver
+ */
+
+const BasePage = require('../pages/basePage');
+
+/**
+ * Element whose attached/displayed state can be flipped by the test
+ */
+function stubElement(name) {
+    const element = {
+        name,
+        attached: true,
+        isExisting: async () => element.attached,
+        isDisplayed: async () => element.attached,
+        waitForDisplayed: async () => true
+    };
+    return element;
+}
+
+function stubDriver() {
+    const driver = {
+        activity: '.main.MainActivity',
+        queried: [],
+        getCurrentActivity: async () => driver.activity,
+        getWindowHandle: async () => 'NATIVE_APP',
+        $: async selector => {
+            const element = stubElement(`${selector}#${driver.queried.length}`);
+            driver.queried.push(element);
+            return element;
+        }
+    };
+    return driver;
+}
+
+describe('BasePage element cache', () => {
+    let driver;
+    let page;
+
+    beforeEach(() => {
+        spyOn(console, 'log');
+        driver = stubDriver();
+        page = new BasePage(driver);
+    });
+
+    it('hands out a cached element while it is attached and displayed', async () => {
+        const first = await page.findElement('~Search', 'Search box');
+
+        expect(await page.findElement('~Search', 'Search box')).toBe(first);
+        expect(page.performanceMetrics.cacheHits).toBe(1);
+        expect(driver.queried.length).toBe(1);
+    });
+
+    it('evicts a detached element, counts it and queries again', async () => {
+        const first = await page.findElement('~Search', 'Search box');
+        first.attached = false;
+
+        const second = await page.findElement('~Search', 'Search box');
+
+        expect(second).not.toBe(first);
+        expect(page.performanceMetrics.staleEvictions).toBe(1);
+        expect(page.performanceMetrics.cacheHits).toBe(0);
+    });
+
+    it('clears the cache when the activity changes', async () => {
+        const first = await page.findElement('~Search', 'Search box');
+        driver.activity = '.page.PageActivity';
+
+        expect(await page.findElement('~Search', 'Search box')).not.toBe(first);
+        expect(page.elementCache.size).toBe(1);
+    });
+});
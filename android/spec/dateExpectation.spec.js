@@ -0,0 +1,125 @@
+/**
+ * DateExpectation checks
+ * Locale tags, device settings and the midnight tolerance window, against a stub driver
+ */
+
+const DateExpectation = require('../utils/dateExpectation');
+
+/**
+ * Driver that answers the `mobile:` commands DateExpectation uses; a missing answer throws
+ */
+function stubDriver({ deviceInfo, props = {}, deviceTime } = {}) {
+    return {
+        execute: jasmine.createSpy('execute').and.callFake(async (command, args) => {
+            if (command === 'mobile: deviceInfo' && deviceInfo) {
+                return deviceInfo;
+            }
+            if (command === 'mobile: shell' && props[args.args[0]]) {
+                return `${props[args.args[0]]}\n`;
+            }
+            if (command === 'mobile: getDeviceTime' && deviceTime) {
+                return deviceTime;
+            }
+            throw new Error(`${command} not supported`);
+        })
+    };
+}
+
+const berlin = { timeZone: 'Europe/Berlin', locale: 'en_US' };
+
+describe('DateExpectation.toLanguageTag', () => {
+    it('converts Android locales into BCP 47 tags', () => {
+        expect(DateExpectation.toLanguageTag('de_DE')).toBe('de-DE');
+        expect(DateExpectation.toLanguageTag('en-rUS')).toBe('en-US');
+        expect(DateExpectation.toLanguageTag(' fr_FR ')).toBe('fr-FR');
+        expect(DateExpectation.toLanguageTag('ja')).toBe('ja');
+    });
+
+    it('returns null for missing locales', () => {
+        expect(DateExpectation.toLanguageTag('')).toBeNull();
+        expect(DateExpectation.toLanguageTag(null)).toBeNull();
+        expect(DateExpectation.toLanguageTag(42)).toBeNull();
+    });
+});
+
+describe('DateExpectation device settings', () => {
+    beforeEach(() => spyOn(console, 'log'));
+
+    it('reads timezone and locale from mobile: deviceInfo once per session', async () => {
+        const driver = stubDriver({ deviceInfo: { timeZone: 'Asia/Tokyo', locale: 'ja_JP' } });
+        const expectation = new DateExpectation(driver);
+
+        expect(await expectation.getDeviceSettings()).toEqual({ timeZone: 'Asia/Tokyo', locale: 'ja-JP' });
+        await expectation.getDeviceSettings();
+        expect(driver.execute).toHaveBeenCalledTimes(1);
+    });
+
+    it('falls back to system properties when deviceInfo is unavailable', async () => {
+        const expectation = new DateExpectation(stubDriver({
+            props: { 'persist.sys.timezone': 'America/New_York', 'ro.product.locale': 'de-rDE' }
+        }));
+
+        expect(await expectation.getDeviceSettings()).toEqual({ timeZone: 'America/New_York', locale: 'de-DE' });
+    });
+
+    it('defaults to the host timezone and en-US when the device reports nothing', async () => {
+        const settings = await new DateExpectation(stubDriver()).getDeviceSettings();
+
+        expect(settings.timeZone).toBe(Intl.DateTimeFormat().resolvedOptions().timeZone);
+        expect(settings.locale).toBe('en-US');
+    });
+});
+
+describe('DateExpectation accepted dates', () => {
+    const expectationAt = (deviceTime, deviceInfo = berlin, options = {}) =>
+        new DateExpectation(stubDriver({ deviceInfo, deviceTime }), { midnightToleranceMinutes: 5, ...options });
+
+    beforeEach(() => spyOn(console, 'log'));
+
+    it('accepts only today well away from midnight', async () => {
+        expect(await expectationAt('2024-03-10T12:00:00+01:00').getAcceptedDates()).toEqual(['Mar 10, 2024']);
+    });
+
+    it('accepts both days just before midnight', async () => {
+        expect(await expectationAt('2024-03-09T23:58:00+01:00').getAcceptedDates()).toEqual(['Mar 9, 2024', 'Mar 10, 2024']);
+    });
+
+    it('accepts both days just after midnight', async () => {
+        expect(await expectationAt('2024-03-10T00:02:00+01:00').getAcceptedDates()).toEqual(['Mar 9, 2024', 'Mar 10, 2024']);
+    });
+
+    it('accepts one day just outside the tolerance window', async () => {
+        expect(await expectationAt('2024-03-09T23:54:00+01:00').getAcceptedDates()).toEqual(['Mar 9, 2024']);
+        expect(await expectationAt('2024-03-09T23:58:00+01:00', berlin, { midnightToleranceMinutes: 0 }).getAcceptedDates())
+            .toEqual(['Mar 9, 2024']);
+    });
+
+    it('takes the tolerance from DATE_MIDNIGHT_TOLERANCE_MINUTES', () => {
+        process.env.DATE_MIDNIGHT_TOLERANCE_MINUTES = '15';
+        try {
+            expect(new DateExpectation(stubDriver()).options.midnightToleranceMinutes).toBe(15);
+        } finally {
+            delete process.env.DATE_MIDNIGHT_TOLERANCE_MINUTES;
+        }
+        expect(new DateExpectation(stubDriver()).options.midnightToleranceMinutes).toBe(5);
+    });
+
+    it('uses the device timezone, not the host one', async () => {
+        const tokyo = { timeZone: 'Asia/Tokyo', locale: 'en_US' };
+        expect(await expectationAt('2024-03-09T23:30:00Z', tokyo).getAcceptedDates()).toEqual(['Mar 10, 2024']);
+    });
+
+    it('formats for the device locale, or the app language when given', async () => {
+        const german = { timeZone: 'Europe/Berlin', locale: 'de_DE' };
+        expect(await expectationAt('2024-03-10T12:00:00+01:00', german).getAcceptedDates()).toEqual(['10.03.2024']);
+        expect(await expectationAt('2024-03-10T12:00:00+01:00').getAcceptedDates({ locale: 'fr_FR' })).toEqual(['10 mars 2024']);
+    });
+
+    it('compares dates with no-break spaces as plain text and names every accepted date on a mismatch', async () => {
+        const french = { timeZone: 'Europe/Berlin', locale: 'fr_FR' };
+        expect(await expectationAt('2024-03-10T12:00:00+01:00', french).verifyToday('10\u00a0mars\u00a02024')).toBe('10 mars 2024');
+
+        await expectAsync(expectationAt('2024-03-09T23:58:00+01:00').verifyToday('Mar 8, 2024'))
+            .toBeRejectedWithError('Date mismatch. Expected "Mar 9, 2024" or "Mar 10, 2024", but got "Mar 8, 2024"');
+    });
+});
@@ -0,0 +1,94 @@
+/**
+ * DemoPage reading-list cleanup and session-recovery state checks
+ * Page objects are stubbed; no driver calls are made
+ */
+
+const fs = require('fs');
+const path = require('path');
+const DemoPage = require('../pages/demoPage');
+const { TEST_DATA_PREFIX } = require('../objectRepo/objectRepo');
+
+describe('DemoPage leftover reading lists', () => {
+    let demoPage;
+
+    beforeEach(() => {
+        spyOn(console, 'log');
+        spyOn(console, 'error');
+
+        demoPage = new DemoPage({});
+        spyOn(demoPage, 'goTo').and.resolveTo();
+        spyOn(demoPage.readingListPage, 'getListNames')
+            .and.resolveTo(['Saved', 'Autotest List 1', 'Autotest List C', 'Holiday reading', 'Autotest Offline', 'autotest notes']);
+        spyOn(demoPage.readingListPage, 'deleteList').and.resolveTo();
+    });
+
+    it('finds the test-data prefix on every reading list name the features use', () => {
+        const featuresDir = path.join(__dirname, '..', 'features');
+        const listNames = fs.readdirSync(featuresDir)
+            .filter(file => file.endsWith('.feature'))
+            .flatMap(file => [...fs.readFileSync(path.join(featuresDir, file), 'utf8')
+                .matchAll(/reading list[^"\n]*"([^"]+)"(?: to "([^"]+)")?/g)])
+            .flatMap(([, name, newName]) => [name, newName].filter(Boolean));
+
+        expect(listNames.length).toBeGreaterThan(0);
+        listNames.forEach(name => expect(name.startsWith(TEST_DATA_PREFIX)).withContext(name).toBeTrue());
+    });
+
+    it('deletes only lists with the test-data prefix and returns to the feed', async () => {
+        await demoPage.deleteLeftoverReadingLists();
+
+        expect(demoPage.readingListPage.deleteList.calls.allArgs()).toEqual([['Autotest List 1'], ['Autotest List C'], ['Autotest Offline']]);
+        expect(demoPage.goTo.calls.mostRecent().args).toEqual(['ExplorePage']);
+    });
+
+    it('keeps going when one list cannot be deleted and never throws', async () => {
+        demoPage.readingListPage.deleteList.and.callFake(async listName => {
+            if (listName === 'Autotest List 1') {
+                throw new Error('context menu not shown');
+            }
+        });
+
+        await expectAsync(demoPage.deleteLeftoverReadingLists()).toBeResolved();
+        expect(demoPage.readingListPage.deleteList).toHaveBeenCalledTimes(3);
+
+        demoPage.goTo.and.rejectWith(new Error('navigation failed'));
+        await expectAsync(demoPage.deleteLeftoverReadingLists()).toBeResolved();
+    });
+});
+
+describe('DemoPage state after session recovery', () => {
+    let previous;
+    let demoPage;
+
+    beforeEach(() => {
+        spyOn(console, 'log');
+
+        previous = new DemoPage({});
+        previous.readingLists.current = 'Autotest List B';
+        previous.readingLists.created = new Set(['Autotest List A', 'Autotest List B']);
+
+        demoPage = new DemoPage({});
+        spyOn(demoPage, 'goTo').and.resolveTo();
+        spyOn(demoPage.readingListPage, 'getListNames').and.resolveTo(['Saved', 'Autotest List A', 'Autotest List B']);
+    });
+
+    it('carries the tracked lists over to the new page objects', async () => {
+        await demoPage.restoreState(previous);
+
+        expect(demoPage.readingLists.current).toBe('Autotest List B');
+        expect([...demoPage.readingLists.created]).toEqual(['Autotest List A', 'Autotest List B']);
+        expect(demoPage.readingLists.created).not.toBe(previous.readingLists.created);
+    });
+
+    it('fails when the new session lacks a list or the app language', async () => {
+        demoPage.readingListPage.getListNames.and.resolveTo(['Saved', 'Autotest List A']);
+        await expectAsync(demoPage.restoreState(previous)).toBeRejectedWithError('Reading lists missing on the new session: Autotest List B');
+
+        demoPage.readingListPage.getListNames.and.resolveTo(['Saved', 'Autotest List A', 'Autotest List B']);
+        previous.shared.appLocale = 'fr';
+        spyOn(demoPage, 'openWikipediaLanguages').and.resolveTo(true);
+        spyOn(demoPage.wikipediaLanguagesPage, 'isCurrent').and.resolveTo(true);
+        spyOn(demoPage.wikipediaLanguagesPage, 'getAppLanguages').and.resolveTo(['English', 'French']);
+        await expectAsync(demoPage.restoreState(previous)).toBeRejectedWithError('App language is "en" on the new session, expected "fr"');
+    });
+});
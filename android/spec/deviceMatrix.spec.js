@@ -0,0 +1,53 @@
+/**
+ * Device matrix checks
+ * Concurrency limit, scenario results per device and the combined matrix table
+ */
+
+const { runWithConcurrency, parseScenarioResults, buildMatrix, formatMatrix } = require('../utils/deviceMatrix');
+
+describe('Device matrix', () => {
+    const step = (status, duration = 1e9) => ({ result: { status, duration } });
+    const cucumberJson = (statuses) => [{
+        name: 'Core',
+        elements: [
+            { type: 'scenario', name: 'Search', line: 10, before: [step('passed')], steps: [step(statuses[0])] },
+            { type: 'scenario', name: 'Reading list', line: 20, steps: [step('passed'), step(statuses[1])] }
+        ]
+    }];
+    const run = (profile, results) => ({ profile, deviceName: profile, osVersion: '12.0', exitCode: 0, durationMs: 1, results });
+
+    it('never runs more tasks at once than the limit', async () => {
+        let running = 0;
+        let peak = 0;
+        const results = await runWithConcurrency([1, 2, 3, 4, 5], 2, async (item) => {
+            peak = Math.max(peak, ++running);
+            await new Promise(resolve => setTimeout(resolve, 5));
+            running--;
+            return item * 2;
+        });
+
+        expect(peak).toBe(2);
+        expect(results).toEqual([2, 4, 6, 8, 10]);
+    });
+
+    it('tags scenario results with the device and combines them per scenario', () => {
+        const device = { profile: 'pixel_6', deviceName: 'Google Pixel 6', osVersion: '13.0' };
+        const pixel = parseScenarioResults(cucumberJson(['passed', 'failed']), device);
+        expect(pixel[1]).toEqual(jasmine.objectContaining({ scenario: 'Reading list', status: 'failed', deviceName: 'Google Pixel 6', osVersion: '13.0' }));
+
+        const matrix = buildMatrix([run('pixel_6', pixel), run('samsung_s21', parseScenarioResults(cucumberJson(['skipped', 'passed']), device).slice(1))]);
+        expect(matrix.scenarios).toEqual([
+            { feature: 'Core', scenario: 'Search', results: { pixel_6: 'passed', samsung_s21: 'not run' } },
+            { feature: 'Core', scenario: 'Reading list', results: { pixel_6: 'failed', samsung_s21: 'passed' } }
+        ]);
+        expect(matrix.devices[0]).toEqual(jasmine.objectContaining({ passed: 1, failed: 1, total: 2 }));
+    });
+    it('prints one row per scenario and a totals row', () => {
+        const device = { profile: 'pixel_6', deviceName: 'Google Pixel 6', osVersion: '13.0' };
+        const lines = formatMatrix(buildMatrix([run('pixel_6', parseScenarioResults(cucumberJson(['passed', 'failed']), device))])).split('\n');
+
+        expect(lines.find(line => line.includes('Scenario'))).toContain('pixel_6 (Android 12.0)');
+        expect(lines.find(line => line.includes('Reading list'))).toContain('❌ failed');
+        expect(lines.find(line => line.includes('Passed'))).toContain('1/2');
+    });
+});
@@ -0,0 +1,65 @@
+/**
+ * Device profile registry checks
+ * Inheritance, groups, error messages and the shipped device-profiles.yml
+ */
+
+const DeviceProfileRegistry = require('../utils/deviceProfileRegistry');
+const { createBrowserStackCapabilities } = require('../capabilities');
+const { parseArgs } = require('../scripts/device-matrix');
+
+describe('Device profile registry', () => {
+    const definition = {
+        default: 'pixel_6',
+        profiles: {
+            base: { abstract: true, capabilities: { autoGrantPermissions: true } },
+            pixel_6: { extends: 'base', deviceName: 'Google Pixel 6', osVersion: 13.0 },
+            pixel_6_landscape: { extends: 'pixel_6', capabilities: { orientation: 'LANDSCAPE' } },
+            samsung_s21: { extends: 'base', deviceName: 'Samsung Galaxy S21', osVersion: '11.0' }
+        },
+        groups: {
+            smoke: ['pixel_6', 'samsung_s21'],
+            modern: { minOsVersion: '12' }
+        }
+    };
+
+    it('merges a profile over the profiles it extends', () => {
+        const registry = new DeviceProfileRegistry(definition);
+
+        expect(registry.getNames()).toEqual(['pixel_6', 'pixel_6_landscape', 'samsung_s21']);
+        expect(registry.get('pixel_6_landscape')).toEqual(jasmine.objectContaining({
+            deviceName: 'Google Pixel 6',
+            osVersion: '13',
+            capabilities: { autoGrantPermissions: true, orientation: 'LANDSCAPE' }
+        }));
+        expect(registry.get().name).toBe('pixel_6');
+    });
+
+    it('expands groups and fails on unknown profiles with the valid names', () => {
+        const registry = new DeviceProfileRegistry(definition);
+
+        expect(registry.getGroup('modern')).toEqual(['pixel_6', 'pixel_6_landscape']);
+        expect(registry.select(['smoke', 'pixel_6', 'pixel_6_landscape'])).toEqual(['pixel_6', 'samsung_s21', 'pixel_6_landscape']);
+        expect(() => registry.get('iphone')).toThrowError('Unknown device profile "iphone". Valid profiles: pixel_6, pixel_6_landscape, samsung_s21');
+        expect(() => registry.select(['tablets'])).toThrowError(/Valid groups: smoke, modern/);
+    });
+
+    it('rejects inheritance loops and profiles without a device', () => {
+        expect(() => new DeviceProfileRegistry({
+            profiles: { a: { extends: 'b', deviceName: 'A', osVersion: '12' }, b: { extends: 'a' } }
+        })).toThrowError(/inheritance loop .*a → b → a/);
+        expect(() => new DeviceProfileRegistry({ profiles: { a: { osVersion: '12' } } })).toThrowError(/"a" has no deviceName/);
+    });
+
+    it('loads the shipped registry into BrowserStack capabilities', () => {
+        const capabilities = createBrowserStackCapabilities({ deviceProfile: 'pixel_6_landscape' });
+
+        expect(capabilities['appium:deviceName']).toBe('Google Pixel 6');
+        expect(capabilities['appium:orientation']).toBe('LANDSCAPE');
+        expect(capabilities['appium:autoGrantPermissions']).toBeUndefined();
+    });
+
+    it('leaves the orientation and locale variants out of the default device matrix', () => {
+        expect(parseArgs([], {}).profiles).toEqual(['samsung_s22', 'samsung_s21', 'pixel_6']);
+        expect(parseArgs(['--profiles', 'pixel-6-variants'], {}).profiles).toEqual(['pixel_6_landscape', 'pixel_6_german']);
+    });
+});
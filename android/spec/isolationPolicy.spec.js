@@ -0,0 +1,19 @@
+/**
+ * Isolation policy checks
+ * Tag and ISOLATION_POLICY resolution
+ */
+
+const { resolveIsolationPolicy } = require('../utils/isolationPolicy');
+
+describe('Isolation policy tags', () => {
+    it('picks the tagged policy, then ISOLATION_POLICY, then clear-data', () => {
+        expect(resolveIsolationPolicy(['@smoke', '@keep-state'], {}).capabilities).toEqual({ noReset: true, fullReset: false });
+        expect(resolveIsolationPolicy(['@smoke'], { ISOLATION_POLICY: 'fresh-install' }).name).toBe('fresh-install');
+        expect(resolveIsolationPolicy([], {}).name).toBe('clear-data');
+    });
+
+    it('rejects conflicting tags and unknown policies', () => {
+        expect(() => resolveIsolationPolicy(['@keep-state', '@fresh-install'], {})).toThrowError(/Conflicting isolation tags/);
+        expect(() => resolveIsolationPolicy([], { ISOLATION_POLICY: 'wipe' })).toThrowError(/Unknown isolation policy "wipe"/);
+    });
+});
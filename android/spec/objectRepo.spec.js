@@ -0,0 +1,283 @@
+/**
+ * Offline objectRepo locator checks
+ * Every locator must match exactly one node in the page source of the screen it belongs to.
+ *
+ * The fixtures in fixtures/pageSource are synthetic: hand-written to the expected screen
+ * structure, not captured from the app. These checks catch malformed selectors, locators
+ * mapped to the wrong screen and locators that became ambiguous; they cannot catch drift
+ * in the real UI. Replacing a fixture with a `driver.getPageSource()` dump makes its
+ * checks run against the app as it is.
+ */
+
+const path = require('path');
+const PageSourceEvaluator = require('../utils/pageSourceEvaluator');
+const { parseUiSelector } = require('../utils/pageSourceEvaluator');
+const {
+    MainAppLocators,
+    SystemLocators,
+    InterruptionLocators,
+    OptimizedLocatorSets,
+    FeedCardLocators,
+    LanguageLocators,
+    SearchLocators,
+    ArticleLocators,
+    HistoryLocators,
+    getEnvironmentConfig
+} = require('../objectRepo/objectRepo');
+
+const FIXTURE_DIR = path.join(__dirname, 'fixtures', 'pageSource');
+
+// Screen fixture each locator is expected to resolve on
+const LOCATOR_SCREENS = {
+    MainAppLocators: {
+        wikiHeaderLogo: 'explore',
+        eclipseIcon: 'explore',
+        exploreButton: 'explore',
+        readingListButton: 'explore',
+        historyButton: 'explore',
+        navigateToBrowserButton: 'explore',
+        settingsOption: 'exploreOverflowMenu',
+        changeLanguageOption: 'settings',
+        searchBox: 'languages',
+        inTheNewsEclipseButton: 'explore',
+        featureArticleEclipseButton: 'explore',
+        featureArticleImage: 'explore',
+        newsArticle: 'explore',
+        secondNewsArticle: 'explore',
+        moreOptionsIcon: 'article',
+        addToReadingList: 'articleOverflowMenu',
+        readingListNameInput: 'addToReadingListDialog',
+        readingListTitle: 'readingLists',
+        articleTitle: 'readingLists',
+        okButton: 'addToReadingListDialog',
+        gotItOkButton: 'onboardingTooltip',
+        navigateUp: 'article',
+        navDrawerBtn: 'explore'
+    },
+    SystemLocators: {
+        permissionAllowBtn: 'permissionDialog',
+        permissionDenyBtn: 'permissionDialog',
+        dialogOkBtn: 'addToReadingListDialog',
+        dialogCancelBtn: 'addToReadingListDialog',
+        dialogTitle: 'addToReadingListDialog',
+        dialogButtonPanel: 'addToReadingListDialog',
+        anrWaitBtn: 'anrDialog',
+        anrCloseBtn: 'anrDialog',
+        systemNavigationBack: 'permissionDialog',
+        systemNavigationHome: 'permissionDialog',
+        systemNavigationRecent: 'permissionDialog'
+    },
+    InterruptionLocators: {
+        onboardingSkipButton: 'onboarding',
+        appRatingTitle: 'appRatingDialog'
+    }
+};
+
+const evaluators = new Map();
+
+function evaluatorFor(screen) {
+    if (!evaluators.has(screen)) {
+        evaluators.set(screen, PageSourceEvaluator.fromFile(path.join(FIXTURE_DIR, `${screen}.xml`)));
+    }
+    return evaluators.get(screen);
+}
+
+function expectSingleMatch(name, locator, screen) {
+    const matches = evaluatorFor(screen).findAll(locator);
+
+    expect(matches.length)
+        .withContext(`${name} (${locator.using}: ${locator.value}) on ${screen}: ${matches.map(PageSourceEvaluator.describeNode).join(', ')}`)
+        .toBe(1);
+}
+
+describe('PageSourceEvaluator', () => {
+    const explore = () => evaluatorFor('explore');
+
+    it('resolves ids with and without the package prefix', () => {
+        expect(explore().count({ using: 'id', value: 'org.wikipedia.alpha:id/feed_view' })).toBe(1);
+        expect(explore().count({ using: 'id', value: 'feed_view' })).toBe(1);
+    });
+
+    it('applies instance() after the other UiSelector filters', () => {
+        const [second] = explore().findAll({
+            using: '-android uiautomator',
+            value: 'new UiSelector().resourceId("org.wikipedia.alpha:id/view_card_header_title").instance(1)'
+        });
+
+        expect(second.getAttribute('text')).toBe('Featured article');
+    });
+
+    it('supports textContains and description', () => {
+        expect(explore().count({ using: '-android uiautomator', value: 'new UiSelector().textContains("solar eclipse")' })).toBe(1);
+        expect(explore().count({ using: '-android uiautomator', value: 'new UiSelector().description("Explore")' })).toBe(1);
+    });
+
+    it('rejects UiSelector methods it cannot evaluate', () => {
+        expect(() => parseUiSelector('new UiSelector().checked(true)')).toThrowError(/Could not parse|Unsupported/);
+        expect(() => parseUiSelector('new UiSelector().focused("x")')).toThrowError(/Unsupported UiSelector method/);
+    });
+});
+
+Object.entries({ MainAppLocators, SystemLocators, InterruptionLocators }).forEach(([collectionName, collection]) => {
+    describe(`${collectionName} against synthetic page-source fixtures`, () => {
+        it('maps every locator to a screen fixture', () => {
+            const unmapped = Object.keys(collection).filter(name => !LOCATOR_SCREENS[collectionName][name]);
+            expect(unmapped).withContext(`add these to LOCATOR_SCREENS.${collectionName}`).toEqual([]);
+        });
+
+        Object.entries(LOCATOR_SCREENS[collectionName]).forEach(([name, screen]) => {
+            it(`${name} matches exactly one node on ${screen}`, () => {
+                expect(collection[name]).withContext(`${collectionName}.${name} is not defined`).toBeDefined();
+                expectSingleMatch(name, collection[name], screen);
+            });
+        });
+    });
+});
+
+describe('FeedCardLocators against the explore fixture', () => {
+    const explore = () => evaluatorFor('explore');
+
+    ['In the news', 'Featured article'].forEach(title => {
+        it(`finds exactly one "${title}" card with its own header`, () => {
+            const cards = explore().findAll(FeedCardLocators.cardByTitle(title));
+            expect(cards.length).toBe(1);
+
+            const [header] = explore().findAllWithin(cards[0], FeedCardLocators.headerTitle);
+            expect(header.getAttribute('text')).toBe(title);
+            expect(explore().findAllWithin(cards[0], FeedCardLocators.subtitle).length).toBe(1);
+            expect(explore().findAllWithin(cards[0], FeedCardLocators.overflowMenu).length).toBe(1);
+        });
+    });
+
+    it('scopes list items and images to their card', () => {
+        const [news] = explore().findAll(FeedCardLocators.cardByTitle('In the news'));
+        const [featured] = explore().findAll(FeedCardLocators.cardByTitle('Featured article'));
+
+        expect(explore().findAllWithin(news, FeedCardLocators.listItems).length).toBe(2);
+        expect(explore().findAllWithin(news, FeedCardLocators.image).length).toBe(0);
+        expect(explore().findAllWithin(featured, FeedCardLocators.image).length).toBe(1);
+    });
+});
+
+describe('LanguageLocators against the languages fixture', () => {
+    const languages = () => evaluatorFor('languages');
+
+    it('matches a language by its English name without partial matches', () => {
+        const rows = languages().findAll(LanguageLocators.languageRowByNames(['German']));
+        expect(rows.length).toBe(1);
+        expect(languages().findAllWithin(rows[0], { using: 'xpath', value: './/*[@text="Deutsch"]' }).length).toBe(1);
+    });
+
+    it('matches a language by its native name', () => {
+        expect(languages().count(LanguageLocators.languageRowByNames(['Alemannisch']))).toBe(1);
+        expect(languages().count(LanguageLocators.languageRowByNames(['Deutsch', 'German']))).toBe(1);
+    });
+});
+
+describe('SearchLocators against search fixtures', () => {
+    const SINGLE_MATCH_SCREENS = {
+        searchContainer: 'explore',
+        searchInput: 'searchResults',
+        searchLanguageButton: 'searchResults',
+        noResultsMessage: 'searchNoResults',
+        recentSearchesDeleteButton: 'recentSearches'
+    };
+
+    Object.entries(SINGLE_MATCH_SCREENS).forEach(([name, screen]) => {
+        it(`${name} matches exactly one node on ${screen}`, () => {
+            expectSingleMatch(name, SearchLocators[name], screen);
+        });
+    });
+
+    it('lists every result title in order', () => {
+        const titles = evaluatorFor('searchResults').findAll(SearchLocators.resultTitles).map(node => node.getAttribute('text'));
+        expect(titles).toEqual(['BrowserStack', 'Browser Stack Exchange', 'Software testing']);
+    });
+
+    it('finds a result by exact title only', () => {
+        expect(evaluatorFor('searchResults').count(SearchLocators.resultByTitle('BrowserStack'))).toBe(1);
+        expect(evaluatorFor('searchResults').count(SearchLocators.resultByTitle('Browser'))).toBe(0);
+    });
+
+    it('shows no results and no recent searches on the empty state', () => {
+        expect(evaluatorFor('searchNoResults').count(SearchLocators.resultTitles)).toBe(0);
+        expect(evaluatorFor('searchNoResults').count(SearchLocators.recentSearchItems)).toBe(0);
+        expect(evaluatorFor('recentSearches').count(SearchLocators.recentSearchItems)).toBe(2);
+    });
+});
+
+describe('ArticleLocators', () => {
+    it('finds the article WebView and the link preview sheet', () => {
+        expectSingleMatch('webView', ArticleLocators.webView, 'article');
+        expectSingleMatch('linkPreviewTitle', ArticleLocators.linkPreviewTitle, 'linkPreview');
+        expectSingleMatch('linkPreviewOpenButton', ArticleLocators.linkPreviewOpenButton, 'linkPreview');
+    });
+
+    it('tells a loaded article from the error view', () => {
+        expect(evaluatorFor('article').count(ArticleLocators.errorView)).toBe(0);
+        expectSingleMatch('errorView', ArticleLocators.errorView, 'articleOffline');
+        expectSingleMatch('errorText', ArticleLocators.errorText, 'articleOffline');
+        expect(evaluatorFor('articleOffline').count(ArticleLocators.webView)).toBe(0);
+    });
+
+    it('keeps WebView locators on web strategies', () => {
+        const webStrategies = ['css selector', 'link text'];
+        const { linkByText, ...selectors } = ArticleLocators.web;
+
+        Object.entries(selectors).forEach(([name, locator]) => {
+            expect(webStrategies).withContext(name).toContain(locator.using);
+        });
+        expect(linkByText('Sun')).toEqual({ using: 'link text', value: 'Sun' });
+    });
+});
+
+describe('HistoryLocators', () => {
+    it('finds the history list and only its entry titles', () => {
+        expectSingleMatch('historyList', HistoryLocators.historyList, 'history');
+
+        const titles = evaluatorFor('history').findAll(HistoryLocators.entryTitles).map(node => node.getAttribute('text'));
+        expect(titles).toEqual(['Solar eclipse', 'Sun']);
+        expect(evaluatorFor('readingLists').count(HistoryLocators.entryTitles)).toBe(0);
+    });
+});
+
+describe('Interruption detection', () => {
+    const InterruptHandler = require('../utils/interruptHandler');
+
+    // Screens the watcher must leave alone
+    const REGULAR_SCREENS = ['explore', 'article', 'addToReadingListDialog', 'searchResults', 'settings'];
+
+    Object.entries(InterruptHandler.INTERRUPTIONS).forEach(([name, { detect }]) => {
+        it(`does not detect ${name} on regular screens`, () => {
+            REGULAR_SCREENS.forEach(screen => {
+                expect(evaluatorFor(screen).count(detect)).withContext(screen).toBe(0);
+            });
+        });
+    });
+
+    it('only allows policies an interruption supports', () => {
+        expect(InterruptHandler.resolvePolicies(InterruptHandler.parsePolicies('anr=accept, permission=dismiss')))
+            .toEqual(jasmine.objectContaining({ anr: 'accept', permission: 'dismiss', gotIt: 'dismiss' }));
+        expect(() => InterruptHandler.resolvePolicies({ onboarding: 'accept' })).toThrowError(/cannot be handled with "accept"/);
+        expect(() => InterruptHandler.resolvePolicies({ toast: 'dismiss' })).toThrowError(/Unknown interruption "toast"/);
+    });
+});
+
+describe('getEnvironmentConfig', () => {
+    it('resolves a known environment and rejects unknown ones', () => {
+        expect(getEnvironmentConfig('staging').appPackage).toBe('org.wikipedia.alpha.staging');
+        expect(() => getEnvironmentConfig('qa')).toThrowError(/Unknown APP_ENV "qa".*production, staging, development/);
+    });
+});
+
+describe('OptimizedLocatorSets against synthetic page-source fixtures', () => {
+    Object.entries(OptimizedLocatorSets).forEach(([setName, entries]) => {
+        entries.forEach(({ name, locator }) => {
+            it(`${setName}.${name} matches exactly one node`, () => {
+                const screen = LOCATOR_SCREENS.MainAppLocators[name];
+                expect(screen).withContext(`${name} has no screen fixture`).toBeDefined();
+                expectSingleMatch(`${setName}.${name}`, locator, screen);
+            });
+        });
+    });
+});
@@ -0,0 +1,22 @@
+/**
+ * SessionManager checks
+ * Endpoint resolution and session pool keys
+ */
+
+const { resolveEndpoint, getPoolKey } = require('../utils/sessionManager');
+const { createLocalCapabilities } = require('../capabilities');
+
+describe('Session manager', () => {
+    it('prefers APPIUM_HUB_URL, then BrowserStack, then the local server', () => {
+        expect(resolveEndpoint({ APPIUM_HUB_URL: 'http://grid.local:4444/wd/hub', BROWSERSTACK: 'true' }))
+            .toEqual(jasmine.objectContaining({ target: 'custom', hostname: 'grid.local', port: 4444 }));
+        expect(resolveEndpoint({ BROWSERSTACK: 'true', BROWSERSTACK_USERNAME: 'user', BROWSERSTACK_ACCESS_KEY: 'key' }))
+            .toEqual(jasmine.objectContaining({ target: 'browserstack', port: 443, user: 'user', key: 'key' }));
+        expect(resolveEndpoint({})).toEqual(jasmine.objectContaining({ target: 'local', hostname: '127.0.0.1', port: 4723 }));
+    });
+
+    it('pools sessions across reset flags but not across app setups', () => {
+        expect(getPoolKey(createLocalCapabilities({ noReset: true }))).toBe(getPoolKey(createLocalCapabilities()));
+        expect(getPoolKey(createLocalCapabilities({ installApp: false }))).not.toBe(getPoolKey(createLocalCapabilities()));
+    });
+});
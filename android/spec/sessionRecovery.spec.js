@@ -0,0 +1,123 @@
+/**
+ * SessionRecovery checks
+ * Session-loss detection, step wrapping and the recovery modes, against stub sessions
+ */
+
+const path = require('path');
+const os = require('os');
+const SessionRecovery = require('../utils/sessionRecovery');
+const { SessionManager } = require('../utils/sessionManager');
+
+describe('Session recovery', () => {
+    beforeEach(() => {
+        spyOn(console, 'log');
+        spyOn(console, 'error');
+    });
+
+    const lostSession = () => Object.assign(new Error('invalid session id: the session was deleted'), { name: 'invalid session id' });
+
+    function createWorld() {
+        return { driver: { sessionId: 'lost-1' }, currentStep: 'I search for "Mars"', attach: async () => {} };
+    }
+
+    function createRecovery(mode, reconnect = async () => {}) {
+        return new SessionRecovery({
+            mode,
+            reconnect,
+            sessionManager: new SessionManager(),
+            diagnosticsDir: path.join(os.tmpdir(), 'session-loss-spec')
+        });
+    }
+
+    it('tells transport failures apart from app failures', () => {
+        expect(SessionRecovery.isSessionLossError(lostSession())).toBeTrue();
+        expect(SessionRecovery.isSessionLossError(new Error('socket hang up'))).toBeTrue();
+        expect(SessionRecovery.isSessionLossError(new Error('element ("~Search") still not displayed after 10000ms'))).toBeFalse();
+    });
+
+    it('keeps the step arity Cucumber checks', () => {
+        let defined;
+        createRecovery('infrastructure').wrapStepDefiner((pattern, options, code) => { defined = code; })(/^(\d+) (\w+)$/, {}, async function (count, name) {});
+        expect(defined.length).toBe(2);
+    });
+
+    it('marks a lost session as an infrastructure failure', async () => {
+        const world = createWorld();
+        await expectAsync(createRecovery('infrastructure').runStep(world, async () => { throw lostSession(); }, []))
+            .toBeRejectedWithError(/^Infrastructure failure: session lost during "I search for "Mars""/);
+        expect(world.sessionLost).toBeTrue();
+    });
+
+    it('retries the step once on a new session', async () => {
+        const world = createWorld();
+        let attempts = 0;
+        const recovery = createRecovery('retry', async (target) => { target.driver = { sessionId: 'new-1' }; });
+
+        await recovery.runStep(world, async function () {
+            attempts++;
+            if (this.driver.sessionId === 'lost-1') {
+                throw lostSession();
+            }
+        }, []);
+
+        expect(attempts).toBe(2);
+        expect(world.sessionLost).toBeFalse();
+    });
+
+    it('fails the scenario without a retry when its state cannot be rebuilt', async () => {
+        const world = createWorld();
+        let attempts = 0;
+        const recovery = createRecovery('retry', async (target) => {
+            target.driver = { sessionId: 'new-1' };
+            throw new Error('Reading lists missing on the new session: Autotest List 1');
+        });
+        spyOn(recovery.options.sessionManager, 'releaseSession').and.resolveTo(true);
+
+        await expectAsync(recovery.runStep(world, async () => {
+            attempts++;
+            throw lostSession();
+        }, [])).toBeRejectedWithError(/^Infrastructure failure: .*could not be rebuilt on a new session: Reading lists missing/);
+
+        expect(attempts).toBe(1);
+        expect(world.sessionLost).toBeTrue();
+        expect(recovery.options.sessionManager.releaseSession).toHaveBeenCalledWith({ sessionId: 'new-1' });
+    });
+});
+
+describe('Infrastructure failures in the run result', () => {
+    // Failed scenarios are recorded for the whole run, so these specs build on each other
+    it('keeps lost sessions apart from app failures in the summary', () => {
+        SessionRecovery.recordFailedScenario('Search for Mars', { infrastructure: true });
+
+        expect(SessionRecovery.getFailureSummary()).toEqual({ app: [], infrastructure: ['Search for Mars'] });
+        expect(SessionRecovery.formatFailureSummary())
+            .toBe('Failed scenarios: 0 on the app, 1 on infrastructure (lost session)\n  @infrastructure Search for Mars');
+    });
+
+    it('turns Cucumber\'s exit code into INFRASTRUCTURE_EXIT_CODE when only sessions were lost', () => {
+        spyOn(process, 'once');
+
+        expect(SessionRecovery.applyExitCode({ CUCUMBER_WORKER_ID: '1' })).toBeNull();
+        expect(() => SessionRecovery.applyExitCode({ INFRASTRUCTURE_EXIT_CODE: 'two' })).toThrowError(/Invalid INFRASTRUCTURE_EXIT_CODE/);
+        expect(SessionRecovery.applyExitCode({ INFRASTRUCTURE_EXIT_CODE: '4' })).toBe(4);
+        expect(SessionRecovery.applyExitCode({})).toBe(3);
+
+        const [event, onExit] = process.once.calls.mostRecent().args;
+        const exitCode = process.exitCode;
+        try {
+            expect(event).toBe('exit');
+            process.exitCode = 1;
+            onExit();
+            expect(process.exitCode).toBe(3);
+        } finally {
+            process.exitCode = exitCode;
+        }
+    });
+
+    it('keeps Cucumber\'s exit code once the app failed too', () => {
+        SessionRecovery.recordFailedScenario('Open settings');
+
+        expect(SessionRecovery.getFailureSummary().app).toEqual(['Open settings']);
+        expect(SessionRecovery.applyExitCode({})).toBeNull();
+    });
+});
@@ -0,0 +1,118 @@
+/**
+ * SoftAssert checks
+ * Scenario-wide and step-scoped collection against a stub driver
+ */
+
+const SoftAssert = require('../utils/softAssert');
+
+function stubDriver() {
+    return { saveScreenshot: jasmine.createSpy('saveScreenshot').and.resolveTo() };
+}
+
+const fail = message => async () => {
+    throw new Error(message);
+};
+const pass = async () => {};
+
+describe('SoftAssert', () => {
+    beforeEach(() => {
+        spyOn(console, 'log');
+        spyOn(console, 'error');
+    });
+
+    it('rethrows right away when soft mode is off', async () => {
+        const softAssert = new SoftAssert(stubDriver());
+
+        await expectAsync(softAssert.check('Logo', fail('Logo missing'))).toBeRejectedWithError('Logo missing');
+        expect(softAssert.hasFailures()).toBe(false);
+    });
+
+    it('records every failed check with its own screenshot in scenario-wide mode', async () => {
+        const driver = stubDriver();
+        const softAssert = new SoftAssert(driver, { enabled: true });
+
+        expect(await softAssert.check('Logo', fail('Logo missing'))).toBe(false);
+        expect(await softAssert.check('Search box', pass)).toBe(true);
+        expect(await softAssert.check('Feed', fail('Feed empty'))).toBe(false);
+
+        expect(driver.saveScreenshot).toHaveBeenCalledTimes(2);
+        expect(softAssert.getFailures().map(failure => failure.description)).toEqual(['Logo', 'Feed']);
+        expect(softAssert.getFailures()[0].screenshot).toMatch(/^\.\/screenshots\/soft_failure_1_.*\.png$/);
+    });
+
+    it('fails once with a combined summary and starts over afterwards', async () => {
+        const softAssert = new SoftAssert(null, { enabled: true });
+        await softAssert.check('Logo', fail('Logo missing'));
+        await softAssert.check('Feed', fail('Feed empty'));
+
+        expect(() => softAssert.assertAll('Homepage')).toThrowError(
+            'Homepage: 2 check(s) failed\n  1. Logo: Logo missing\n  2. Feed: Feed empty'
+        );
+        expect(softAssert.hasFailures()).toBe(false);
+        expect(() => softAssert.assertAll('Homepage')).not.toThrow();
+    });
+
+    it('names the screenshot of each failure in the summary', () => {
+        expect(SoftAssert.formatSummary('Step', [{ description: 'Logo', message: 'missing', screenshot: 'logo.png' }]))
+            .toBe('Step: 1 check(s) failed\n  1. Logo: missing (screenshot: logo.png)');
+    });
+
+    it('collects a single step even when soft mode is off', async () => {
+        const softAssert = new SoftAssert(stubDriver());
+
+        await expectAsync(softAssert.collect('Verify homepage', async () => {
+            await softAssert.check('Logo', fail('Logo missing'));
+            await softAssert.check('Search box', pass);
+            await softAssert.check('Feed', fail('Feed empty'));
+        })).toBeRejectedWithError(/^Verify homepage: 2 check\(s\) failed\n {2}1\. Logo: Logo missing .*\n {2}2\. Feed: Feed empty/);
+
+        expect(softAssert.isActive()).toBe(false);
+        expect(softAssert.hasFailures()).toBe(false);
+    });
+
+    it('keeps nested collect scopes apart and restores the outer one', async () => {
+        const softAssert = new SoftAssert(null, { enabled: true });
+
+        await expectAsync(softAssert.collect('Outer', async () => {
+            await softAssert.check('Outer check', fail('outer broken'));
+            await softAssert.check('Inner step', () => softAssert.collect('Inner', async () => {
+                await softAssert.check('Inner check', fail('inner broken'));
+            }));
+            await softAssert.check('Last check', fail('last broken'));
+        })).toBeRejectedWithError(/^Outer: 3 check\(s\) failed\n {2}1\. Outer check: outer broken\n {2}2\. Inner step: Inner: 1 check\(s\) failed\n {2}1\. Inner check: inner broken\n {2}3\. Last check: last broken$/);
+
+        // Scoped failures never reach the scenario-wide list
+        expect(softAssert.scope).toBeNull();
+        expect(softAssert.hasFailures()).toBe(false);
+    });
+
+    it('passes when every collected check passes', async () => {
+        const softAssert = new SoftAssert(stubDriver());
+
+        await expectAsync(softAssert.collect('Verify homepage', async () => {
+            await softAssert.check('Logo', pass);
+        })).toBeResolved();
+    });
+
+    it('lets session-loss errors through instead of recording them', async () => {
+        const driver = stubDriver();
+        const softAssert = new SoftAssert(driver, { enabled: true });
+
+        await expectAsync(softAssert.check('Logo', fail('invalid session id: session deleted')))
+            .toBeRejectedWithError(/invalid session id/);
+        await expectAsync(softAssert.collect('Step', () => softAssert.check('Feed', fail('socket hang up'))))
+            .toBeRejectedWithError('socket hang up');
+
+        expect(softAssert.hasFailures()).toBe(false);
+        expect(driver.saveScreenshot).not.toHaveBeenCalled();
+    });
+
+    it('records a failure without a screenshot when the screenshot fails', async () => {
+        const driver = { saveScreenshot: jasmine.createSpy('saveScreenshot').and.rejectWith(new Error('no display')) };
+        const softAssert = new SoftAssert(driver, { enabled: true });
+
+        await softAssert.check('Logo', fail('Logo missing'));
+
+        expect(softAssert.getFailures()).toEqual([{ description: 'Logo', message: 'Logo missing', screenshot: null }]);
+    });
+});
@@ -11,8 +11,9 @@
  */
 
 const assert = require('assert');
-const { Builder, By, until } = require('selenium-webdriver');
-const getCapabilities = require('../capabilities');
+const { By, until } = require('selenium-webdriver');
+const { getCapabilities } = require('../capabilities');
+const sessionManager = require('../utils/sessionManager');
 const path = require('path');
 
 /**
@@ -47,10 +48,10 @@ class PerformanceMonitor {
 /**
  * Optimized driver builder for local testing
  */
-function buildOptimizedLocalDriver(customCapabilities = {}) {
+async function buildOptimizedLocalDriver(customCapabilities = {}) {
     // Get base capabilities and merge with custom ones
     const baseCapabilities = getCapabilities({
-        deviceProfile: process.env.DEVICE_PROFILE || 'samsung_s22',
+        deviceProfile: process.env.DEVICE_PROFILE,
         appPath: process.env.APP_PATH || path.join(__dirname, '..', 'LocalSample.apk')
     });
 
@@ -62,10 +63,11 @@ function buildOptimizedLocalDriver(customCapabilities = {}) {
         app: capabilities.app ? 'Configured' : 'Not configured'
     });
 
-    return new Builder()
-        .usingServer(process.env.APPIUM_HUB_URL || 'http://127.0.0.1:4723/wd/hub')
-        .withCapabilities(capabilities)
-        .build();
+    return sessionManager.createSession({
+        client: 'selenium',
+        capabilities,
+        sessionName: 'Local network status sample'
+    });
 }
 
 /**
@@ -162,7 +164,7 @@ async function optimizedLocalNetworkTest(customCapabilities = {}) {
         console.log('🚀 Starting optimized local network status test');
 
         // Build driver with local capabilities
-        driver = buildOptimizedLocalDriver(customCapabilities);
+        driver = await buildOptimizedLocalDriver(customCapabilities);
         monitor.logOperation('Local driver initialization', Date.now() - monitor.startTime);
 
         // Use more reliable locators for network status check
@@ -260,14 +262,7 @@ async function optimizedLocalNetworkTest(customCapabilities = {}) {
 
     } finally {
         // Comprehensive cleanup
-        if (driver) {
-            try {
-                await driver.quit();
-                console.log('🧹 Local driver cleaned up successfully');
-            } catch (cleanupError) {
-                console.error('❌ Error during local driver cleanup:', cleanupError.message);
-            }
-        }
+        await sessionManager.closeSession(driver);
 
         // Log performance summary
         const summary = monitor.getSummary();
@@ -10,8 +10,8 @@
  */
 
 const assert = require('assert');
-const { Builder, By, until } = require('selenium-webdriver');
-const getCapabilities = require('../capabilities');
+const { By, until } = require('selenium-webdriver');
+const sessionManager = require('../utils/sessionManager');
 
 /**
  * Performance monitoring utility
@@ -42,14 +42,14 @@ class PerformanceMonitor {
 
 /**
  * Optimized driver builder with better configuration
+ * The session manager picks the endpoint and builds capabilities unless they are passed in
  */
-function buildOptimizedDriver(capabilities = null) {
-    const defaultCapabilities = capabilities || getCapabilities();
-
-    return new Builder()
-        .usingServer(process.env.APPIUM_HUB_URL || 'http://127.0.0.1:4723/wd/hub')
-        .withCapabilities(defaultCapabilities)
-        .build();
+async function buildOptimizedDriver(capabilities = null) {
+    return sessionManager.createSession({
+        client: 'selenium',
+        capabilities,
+        sessionName: 'Wikipedia search sample'
+    });
 }
 
 /**
@@ -132,7 +132,7 @@ async function optimizedWikipediaSearchTest(capabilities = null) {
         console.log('🚀 Starting optimized Wikipedia search test');
 
         // Build driver with optimized capabilities
-        driver = buildOptimizedDriver(capabilities);
+        driver = await buildOptimizedDriver(capabilities);
         monitor.logOperation('Driver initialization', Date.now() - monitor.startTime);
 
         // Use more reliable locators instead of brittle XPath
@@ -220,14 +220,7 @@ async function optimizedWikipediaSearchTest(capabilities = null) {
 
     } finally {
         // Comprehensive cleanup
-        if (driver) {
-            try {
-                await driver.quit();
-                console.log('🧹 Driver cleaned up successfully');
-            } catch (cleanupError) {
-                console.error('❌ Error during driver cleanup:', cleanupError.message);
-            }
-        }
+        await sessionManager.closeSession(driver);
 
         // Log performance summary
         const summary = monitor.getSummary();
@@ -0,0 +1,175 @@
+/**
+ * App Lifecycle Helpers
+ * Features:
+ * - Background the app for a number of seconds
+ * - Terminate and re-activate the app
+ * - Simulate process death: Android kills the backgrounded process and
+ *   restores the task from its saved state on return
+ * - Rotate the device and put it back in portrait afterwards
+ * - Reset the app between scenarios that share a session
+ * - The app package comes from EnvironmentConfigs (APP_ENV)
+ */
+
+const { getEnvironmentConfig } = require('../objectRepo/objectRepo');
+
+// `mobile: queryAppState` results
+const APP_STATES = {
+    NOT_INSTALLED: 0,
+    NOT_RUNNING: 1,
+    RUNNING_IN_BACKGROUND_SUSPENDED: 2,
+    RUNNING_IN_BACKGROUND: 3,
+    RUNNING_IN_FOREGROUND: 4
+};
+
+const ORIENTATIONS = ['PORTRAIT', 'LANDSCAPE'];
+
+const HOME_KEYCODE = 3;
+
+// How reset() prepares the app for the next scenario in the same session
+const RESET_MODES = ['relaunch', 'clear-data'];
+
+class AppLifecycle {
+    constructor(driver, options = {}) {
+        this.driver = driver;
+        this.config = options.config || getEnvironmentConfig(options.environment);
+        this.options = {
+            stateTimeout: 15000,
+            ...options
+        };
+
+        // Orientation before the first rotation, restored after the scenario
+        this.initialOrientation = null;
+    }
+
+    get appId() {
+        return this.config.appPackage;
+    }
+
+    async getAppState() {
+        return this.driver.execute('mobile: queryAppState', { appId: this.appId });
+    }
+
+    async waitForAppState(expected, description) {
+        await this.driver.waitUntil(async () => (await this.getAppState()) === expected, {
+            timeout: this.options.stateTimeout,
+            timeoutMsg: `${this.appId} not ${description} within ${this.options.stateTimeout}ms`
+        });
+    }
+
+    /**
+     * Send the app to the background and bring it back after `seconds`
+     */
+    async background(seconds) {
+        if (!Number.isFinite(seconds) || seconds < 0) {
+            throw new Error(`Invalid background duration: ${seconds}`);
+        }
+
+        console.log(`🌙 Backgrounding ${this.appId} for ${seconds}s`);
+        await this.driver.execute('mobile: backgroundApp', { seconds });
+        await this.waitForAppState(APP_STATES.RUNNING_IN_FOREGROUND, 'back in the foreground');
+    }
+
+    async terminate() {
+        console.log(`🛑 Terminating ${this.appId}`);
+        await this.driver.execute('mobile: terminateApp', { appId: this.appId });
+        await this.waitForAppState(APP_STATES.NOT_RUNNING, 'stopped');
+    }
+
+    async activate() {
+        console.log(`▶️ Activating ${this.appId}`);
+        await this.driver.execute('mobile: activateApp', { appId: this.appId });
+        await this.waitForAppState(APP_STATES.RUNNING_IN_FOREGROUND, 'in the foreground');
+    }
+
+    /**
+     * Cold start: saved state is discarded
+     */
+    async restart() {
+        await this.terminate();
+        await this.activate();
+    }
+
+    /**
+     * Stop the app and wipe its data (`pm clear`), then start it again
+     */
+    async clearData() {
+        console.log(`🧼 Clearing data of ${this.appId}`);
+        await this.terminate();
+        await this.driver.execute('mobile: clearApp', { appId: this.appId });
+        await this.activate();
+    }
+
+    /**
+     * Prepare a session kept from the previous scenario, see isolationPolicy.js
+     */
+    async reset(mode) {
+        if (!RESET_MODES.includes(mode)) {
+            throw new Error(`Invalid reset mode "${mode}". Expected one of: ${RESET_MODES.join(', ')}`);
+        }
+
+        if (mode === 'clear-data') {
+            await this.clearData();
+        } else {
+            await this.restart();
+        }
+    }
+
+    /**
+     * Kill the backgrounded process the way the system does under memory pressure, then return to it.
+     * `am kill` needs the Appium server to run with `--relaxed-security` (or `--allow-insecure adb_shell`).
+     */
+    async simulateProcessDeath() {
+        console.log(`💀 Simulating process death of ${this.appId}`);
+        await this.driver.execute('mobile: pressKey', { keycode: HOME_KEYCODE });
+
+        try {
+            await this.driver.execute('mobile: shell', { command: 'am', args: ['kill', this.appId] });
+        } catch (error) {
+            throw new Error(`Could not kill ${this.appId}; is the Appium server running with --relaxed-security? ${error.message}`);
+        }
+
+        await this.waitForAppState(APP_STATES.NOT_RUNNING, 'killed');
+        await this.activate();
+    }
+
+    async getOrientation() {
+        return this.driver.getOrientation();
+    }
+
+    async rotate(orientation) {
+        const target = orientation.toUpperCase();
+        if (!ORIENTATIONS.includes(target)) {
+            throw new Error(`Invalid orientation "${orientation}". Expected one of: ${ORIENTATIONS.join(', ').toLowerCase()}`);
+        }
+
+        if (this.initialOrientation === null) {
+            this.initialOrientation = await this.getOrientation();
+        }
+
+        console.log(`🔄 Rotating to ${target.toLowerCase()}`);
+        await this.driver.setOrientation(target);
+    }
+
+    /**
+     * Put the device back in its original orientation. Never throws, so it is safe in hooks.
+     */
+    async restore() {
+        if (this.initialOrientation === null) {
+            return;
+        }
+
+        try {
+            if ((await this.getOrientation()) !== this.initialOrientation) {
+                await this.driver.setOrientation(this.initialOrientation);
+            }
+            this.initialOrientation = null;
+        } catch (error) {
+            console.error(`❌ Could not restore the device orientation: ${error.message}`);
+        }
+    }
+}
+
+AppLifecycle.APP_STATES = APP_STATES;
+AppLifecycle.RESET_MODES = RESET_MODES;
+
+module.exports = AppLifecycle;
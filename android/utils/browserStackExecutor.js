@@ -0,0 +1,32 @@
+/**
+ * BrowserStack Executor Commands
+ * Features:
+ * - Session status and name for the App Automate dashboard
+ * - Annotations that mark scenario boundaries in the session's text logs,
+ *   so one session shared by several scenarios still reads per scenario
+ */
+
+async function execute(driver, action, args) {
+    return driver.execute(`browserstack_executor: ${JSON.stringify({ action, arguments: args })}`);
+}
+
+async function setSessionStatus(driver, status, reason) {
+    return execute(driver, 'setSessionStatus', { status, reason });
+}
+
+async function setSessionName(driver, name) {
+    return execute(driver, 'setSessionName', { name });
+}
+
+/**
+ * @param {string} level - info, warn, debug or error
+ */
+async function annotate(driver, data, level = 'info') {
+    return execute(driver, 'annotate', { data, level });
+}
+
+module.exports = {
+    setSessionStatus,
+    setSessionName,
+    annotate
+};
@@ -0,0 +1,102 @@
+/**
+ * Context Switcher
+ * Features:
+ * - Lists the session's contexts (NATIVE_APP and WEBVIEW_*)
+ * - Waits for the app's WebView context to be attached before switching
+ * - Runs a block in the WebView and always switches back to native
+ *
+ * A WEBVIEW context is only listed for builds with WebView debugging enabled.
+ * Local runs also need a chromedriver matching the device's WebView, see
+ * createLocalCapabilities() for the CHROMEDRIVER_* settings.
+ */
+
+const { getEnvironmentConfig } = require('../objectRepo/objectRepo');
+
+const NATIVE_CONTEXT = 'NATIVE_APP';
+
+class ContextSwitcher {
+    constructor(driver, options = {}) {
+        this.driver = driver;
+        this.options = {
+            timeout: 20000,
+            interval: 500,
+            appPackage: getEnvironmentConfig().appPackage,
+            ...options
+        };
+    }
+
+    /**
+     * Names of all available contexts, e.g. ['NATIVE_APP', 'WEBVIEW_org.wikipedia.alpha']
+     */
+    async getContexts() {
+        const contexts = await this.driver.getContexts();
+        return contexts.map(context => (typeof context === 'string' ? context : context.id));
+    }
+
+    async getCurrentContext() {
+        return this.driver.getContext();
+    }
+
+    async isInWebview() {
+        return (await this.getCurrentContext()) !== NATIVE_CONTEXT;
+    }
+
+    /**
+     * Wait for the app's WebView context; falls back to any WEBVIEW_* context of the session
+     */
+    async waitForWebviewContext({ timeout = this.options.timeout } = {}) {
+        const preferred = `WEBVIEW_${this.options.appPackage}`;
+        let contexts = [];
+
+        try {
+            await this.driver.waitUntil(async () => {
+                contexts = await this.getContexts();
+                return contexts.some(context => context.startsWith('WEBVIEW_'));
+            }, {
+                timeout,
+                interval: this.options.interval
+            });
+        } catch {
+            throw new Error(`No WEBVIEW context within ${timeout}ms (available: ${contexts.join(', ') || 'none'}). Is WebView debugging enabled in this build?`);
+        }
+
+        return contexts.includes(preferred)
+            ? preferred
+            : contexts.find(context => context.startsWith('WEBVIEW_'));
+    }
+
+    async switchToWebview(options = {}) {
+        const context = await this.waitForWebviewContext(options);
+
+        if ((await this.getCurrentContext()) !== context) {
+            await this.driver.switchContext(context);
+            console.log(`🌐 Switched to ${context}`);
+        }
+
+        return context;
+    }
+
+    async switchToNative() {
+        if ((await this.getCurrentContext()) !== NATIVE_CONTEXT) {
+            await this.driver.switchContext(NATIVE_CONTEXT);
+            console.log(`📱 Switched to ${NATIVE_CONTEXT}`);
+        }
+    }
+
+    /**
+     * Run `action` in the WebView context, then return to native even if it fails
+     */
+    async inWebview(action, options = {}) {
+        await this.switchToWebview(options);
+
+        try {
+            return await action();
+        } finally {
+            await this.switchToNative();
+        }
+    }
+}
+
+ContextSwitcher.NATIVE_CONTEXT = NATIVE_CONTEXT;
+
+module.exports = ContextSwitcher;
@@ -0,0 +1,147 @@
+/**
+ * Date Expectation Service
+ * Features:
+ * - Reads the device timezone, locale and clock instead of the host's
+ * - Formats expected dates the way the app does (ICU medium date style)
+ * - Accepts either calendar day within a tolerance window around midnight
+ * - Caches device settings for the lifetime of the session
+ */
+
+// Minutes either side of midnight in which both days are accepted
+const DEFAULT_MIDNIGHT_TOLERANCE_MINUTES = 5;
+
+// The feed card subtitles use Android's DateFormat.MEDIUM, which ICU exposes as dateStyle "medium"
+const APP_DATE_FORMAT = { dateStyle: 'medium' };
+
+// ICU may use no-break spaces between date parts; compare on plain spaces
+const normalizeSpaces = text => text.replace(/\s+/g, ' ').trim();
+
+class DateExpectation {
+    constructor(driver, options = {}) {
+        this.driver = driver;
+
+        const envTolerance = Number.parseInt(process.env.DATE_MIDNIGHT_TOLERANCE_MINUTES, 10);
+        this.options = {
+            midnightToleranceMinutes: Number.isNaN(envTolerance) ? DEFAULT_MIDNIGHT_TOLERANCE_MINUTES : envTolerance,
+            ...options
+        };
+
+        this.deviceSettings = null;
+    }
+
+    /**
+     * Convert an Android locale ("de_DE", "en-rUS") into a BCP 47 language tag
+     */
+    static toLanguageTag(locale) {
+        if (!locale || typeof locale !== 'string') {
+            return null;
+        }
+
+        return locale.trim().replace(/-r([A-Z]{2})$/, '-$1').replace(/_/g, '-');
+    }
+
+    /**
+     * Run `getprop` through `mobile: shell`; needs the adb_shell insecure feature
+     */
+    async getProp(name) {
+        try {
+            const value = await this.driver.execute('mobile: shell', { command: 'getprop', args: [name] });
+            return String(value).trim() || null;
+        } catch {
+            return null;
+        }
+    }
+
+    /**
+     * Read timezone and locale from `mobile: deviceInfo`, falling back to system properties
+     */
+    async getDeviceSettings() {
+        if (this.deviceSettings) {
+            return this.deviceSettings;
+        }
+
+        let timeZone = null;
+        let locale = null;
+
+        try {
+            const info = await this.driver.execute('mobile: deviceInfo');
+            timeZone = info.timeZone || null;
+            locale = info.locale || null;
+        } catch (error) {
+            console.log(`⚠️ mobile: deviceInfo unavailable: ${error.message}`);
+        }
+
+        timeZone = timeZone || await this.getProp('persist.sys.timezone');
+        locale = locale || await this.getProp('persist.sys.locale') || await this.getProp('ro.product.locale');
+
+        this.deviceSettings = {
+            timeZone: timeZone || Intl.DateTimeFormat().resolvedOptions().timeZone,
+            locale: DateExpectation.toLanguageTag(locale) || 'en-US'
+        };
+
+        console.log(`🌍 Device timezone: ${this.deviceSettings.timeZone}, locale: ${this.deviceSettings.locale}`);
+        return this.deviceSettings;
+    }
+
+    /**
+     * Current time on the device clock, or the host clock if the device cannot report it
+     */
+    async getDeviceNow() {
+        try {
+            const deviceTime = await this.driver.execute('mobile: getDeviceTime');
+            const parsed = new Date(deviceTime);
+            if (!Number.isNaN(parsed.getTime())) {
+                return parsed;
+            }
+        } catch {
+            // Fall back to the host clock below
+        }
+
+        return new Date();
+    }
+
+    formatDate(date, { locale, timeZone }) {
+        return new Intl.DateTimeFormat(locale, { ...APP_DATE_FORMAT, timeZone }).format(date);
+    }
+
+    /**
+     * Every date string the app may legitimately show right now.
+     * Near midnight this includes both the previous and the next day.
+     *
+     * @param {Object} options
+     * @param {string} [options.locale] - app language when it differs from the device locale
+     */
+    async getAcceptedDates({ locale = null } = {}) {
+        const settings = await this.getDeviceSettings();
+        const now = await this.getDeviceNow();
+        const toleranceMs = this.options.midnightToleranceMinutes * 60 * 1000;
+        const format = {
+            locale: DateExpectation.toLanguageTag(locale) || settings.locale,
+            timeZone: settings.timeZone
+        };
+
+        const candidates = [
+            new Date(now.getTime() - toleranceMs),
+            now,
+            new Date(now.getTime() + toleranceMs)
+        ].map(date => normalizeSpaces(this.formatDate(date, format)));
+
+        return [...new Set(candidates)];
+    }
+
+    /**
+     * Check a date shown in the app against today's date on the device
+     */
+    async verifyToday(actualText, options = {}) {
+        const accepted = await this.getAcceptedDates(options);
+        const actual = normalizeSpaces(actualText);
+
+        if (!accepted.includes(actual)) {
+            throw new Error(`Date mismatch. Expected ${accepted.map(date => `"${date}"`).join(' or ')}, but got "${actualText}"`);
+        }
+
+        return actual;
+    }
+}
+
+module.exports = DateExpectation;
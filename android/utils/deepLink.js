@@ -0,0 +1,85 @@
+/**
+ * Deep Link Helper
+ * Features:
+ * - Opens Wikipedia article links straight in the app with `mobile: deepLink`
+ * - Starts app screens directly with `mobile: startActivity`
+ * - Package and launch activity come from EnvironmentConfigs (APP_ENV)
+ *
+ * Only exported activities can be started on release builds; the others
+ * need a debug build or a rooted device.
+ */
+
+const { getEnvironmentConfig } = require('../objectRepo/objectRepo');
+
+// Activities behind each page object; the main activity comes from EnvironmentConfigs
+const PAGE_ACTIVITIES = {
+    SettingsPage: 'org.wikipedia.settings.SettingsActivity',
+    SearchPage: 'org.wikipedia.search.SearchActivity',
+    WikipediaLanguagesPage: 'org.wikipedia.settings.languages.WikipediaLanguagesActivity'
+};
+
+class DeepLink {
+    constructor(driver, options = {}) {
+        this.driver = driver;
+        this.config = options.config || getEnvironmentConfig(options.environment);
+    }
+
+    /**
+     * Article URL, e.g. articleUrl('Solar eclipse') → https://en.wikipedia.org/wiki/Solar_eclipse
+     */
+    static articleUrl(title, language = 'en') {
+        if (!title || typeof title !== 'string' || title.trim().length === 0) {
+            throw new Error('Invalid article title: must be a non-empty string');
+        }
+
+        return `https://${language}.wikipedia.org/wiki/${encodeURIComponent(title.trim().replace(/ /g, '_'))}`;
+    }
+
+    /**
+     * Open a link in the app under test rather than the browser
+     */
+    async openUrl(url) {
+        console.log(`🔗 Opening ${url}`);
+        await this.driver.execute('mobile: deepLink', {
+            url,
+            package: this.config.appPackage,
+            waitForLaunch: true
+        });
+    }
+
+    async openArticle(title, language = 'en') {
+        return this.openUrl(DeepLink.articleUrl(title, language));
+    }
+
+    /**
+     * Start an activity of the app, e.g. startActivity('org.wikipedia.settings.SettingsActivity')
+     */
+    async startActivity(activity = this.config.appActivity) {
+        const intent = `${this.config.appPackage}/${activity}`;
+        console.log(`🚀 Starting ${intent}`);
+
+        await this.driver.execute('mobile: startActivity', { intent, wait: true });
+    }
+
+    /**
+     * Activity that opens the given page object's screen
+     */
+    getPageActivity(pageName) {
+        const activities = { ExplorePage: this.config.appActivity, ...PAGE_ACTIVITIES };
+        const activity = activities[pageName];
+
+        if (!activity) {
+            throw new Error(`No activity shortcut for ${pageName}. Available: ${Object.keys(activities).join(', ')}`);
+        }
+
+        return activity;
+    }
+
+    async startPage(pageName) {
+        return this.startActivity(this.getPageActivity(pageName));
+    }
+}
+
+DeepLink.PAGE_ACTIVITIES = PAGE_ACTIVITIES;
+
+module.exports = DeepLink;
@@ -0,0 +1,140 @@
+/**
+ * Device Matrix
+ * Features:
+ * - Runs tasks with a concurrency limit
+ * - Reads scenario results out of Cucumber JSON reports, tagged with the device they ran on
+ * - Combines the runs into a scenario × device matrix and prints it as a table
+ *
+ * Used by scripts/device-matrix.js.
+ */
+
+const Table = require('cli-table3');
+
+const STATUS_ORDER = ['failed', 'undefined', 'pending', 'skipped', 'passed'];
+
+const STATUS_SYMBOLS = {
+    passed: '✅',
+    failed: '❌',
+    skipped: '⏭️',
+    pending: '⏸️',
+    undefined: '❓',
+    'not run': '—'
+};
+
+/**
+ * Run `worker` over `items`, at most `limit` at a time. Resolves with the results in item order.
+ */
+async function runWithConcurrency(items, limit, worker) {
+    if (!Number.isInteger(limit) || limit < 1) {
+        throw new Error(`Invalid concurrency limit: ${limit}`);
+    }
+
+    const results = new Array(items.length);
+    let next = 0;
+
+    async function runNext() {
+        while (next < items.length) {
+            const index = next++;
+            results[index] = await worker(items[index], index);
+        }
+    }
+
+    await Promise.all(Array.from({ length: Math.min(limit, items.length) }, runNext));
+    return results;
+}
+
+/**
+ * Worst status of a scenario's hooks and steps
+ */
+function getScenarioStatus(element) {
+    const statuses = [...(element.before || []), ...(element.steps || []), ...(element.after || [])]
+        .map(step => (step.result && step.result.status) || 'skipped');
+
+    if (statuses.length === 0) {
+        return 'skipped';
+    }
+
+    return STATUS_ORDER.find(status => statuses.includes(status)) || 'passed';
+}
+
+/**
+ * Scenario results of one Cucumber JSON report, tagged with the device profile they ran on
+ */
+function parseScenarioResults(cucumberJson, { profile, deviceName, osVersion }) {
+    return cucumberJson.flatMap(feature => (feature.elements || [])
+        .filter(element => element.type !== 'background')
+        .map(element => ({
+            feature: feature.name,
+            scenario: element.name,
+            line: element.line,
+            status: getScenarioStatus(element),
+            durationMs: Math.round([...(element.steps || [])]
+                .reduce((sum, step) => sum + ((step.result && step.result.duration) || 0), 0) / 1e6),
+            profile,
+            deviceName,
+            osVersion
+        })));
+}
+
+/**
+ * Combine per-profile runs into one row per scenario and one column per device
+ * @param {Array} runs - [{ profile, deviceName, osVersion, exitCode, durationMs, results }]
+ */
+function buildMatrix(runs) {
+    const rows = new Map();
+
+    runs.forEach(run => {
+        run.results.forEach(result => {
+            const key = `${result.feature}::${result.scenario}::${result.line}`;
+            if (!rows.has(key)) {
+                rows.set(key, { feature: result.feature, scenario: result.scenario, results: {} });
+            }
+            rows.get(key).results[run.profile] = result.status;
+        });
+    });
+
+    const scenarios = [...rows.values()].map(row => {
+        runs.forEach(run => {
+            row.results[run.profile] = row.results[run.profile] || 'not run';
+        });
+        return row;
+    });
+
+    const devices = runs.map(({ profile, deviceName, osVersion, exitCode, durationMs, results }) => ({
+        profile,
+        deviceName,
+        osVersion,
+        exitCode,
+        durationMs,
+        passed: results.filter(result => result.status === 'passed').length,
+        failed: results.filter(result => result.status === 'failed').length,
+        total: results.length
+    }));
+
+    return { devices, scenarios };
+}
+
+/**
+ * Console table: one row per scenario, one column per device
+ */
+function formatMatrix({ devices, scenarios }) {
+    const headers = ['Scenario', ...devices.map(device => `${device.deviceName} (Android ${device.osVersion})`)];
+    const rows = scenarios.map(row => [
+        row.scenario,
+        ...devices.map(device => `${STATUS_SYMBOLS[row.results[device.profile]] || '?'} ${row.results[device.profile]}`)
+    ]);
+    const totals = ['Passed', ...devices.map(device => `${device.passed}/${device.total}`)];
+
+    const table = new Table({ head: headers });
+    table.push(...rows, totals);
+
+    return table.toString();
+}
+
+module.exports = {
+    runWithConcurrency,
+    getScenarioStatus,
+    parseScenarioResults,
+    buildMatrix,
+    formatMatrix
+};
@@ -0,0 +1,199 @@
+/**
+ * Device Profile Registry
+ * Features:
+ * - Loads device profiles from a YAML or JSON file (device-profiles.yml by default,
+ *   DEVICE_PROFILES_FILE to use another one)
+ * - Profile inheritance: `extends` merges a base profile under the profile's own fields
+ * - Extra Appium capabilities and BrowserStack options per profile
+ * - Named groups: a list of profiles or an OS version filter
+ * - Unknown profile and group names are hard errors that list the valid names
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+const DEFAULT_FILE = path.join(__dirname, '..', 'device-profiles.yml');
+
+/**
+ * Compare dotted version strings numerically: '12.0' > '9.1'
+ */
+function compareVersions(a, b) {
+    const left = String(a).split('.').map(Number);
+    const right = String(b).split('.').map(Number);
+
+    for (let i = 0; i < Math.max(left.length, right.length); i++) {
+        const difference = (left[i] || 0) - (right[i] || 0);
+        if (difference !== 0) {
+            return difference;
+        }
+    }
+    return 0;
+}
+
+class DeviceProfileRegistry {
+    /**
+     * @param {Object} definition - { default, profiles, groups } as in device-profiles.yml
+     * @param {string} source - where the definition came from, for error messages
+     */
+    constructor(definition = {}, source = 'device profile registry') {
+        this.source = source;
+        this.definitions = definition.profiles || {};
+        this.groupDefinitions = definition.groups || {};
+
+        if (Object.keys(this.definitions).length === 0) {
+            throw new Error(`No device profiles defined in ${source}`);
+        }
+
+        // Resolve everything up front, so a broken registry fails before any session starts
+        this.profiles = {};
+        Object.keys(this.definitions)
+            .filter(name => !this.definitions[name].abstract)
+            .forEach(name => {
+                this.profiles[name] = this.resolve(name, []);
+            });
+
+        this.defaultProfile = definition.default || Object.keys(this.profiles)[0];
+        this.get(this.defaultProfile);
+
+        this.groups = {};
+        Object.keys(this.groupDefinitions).forEach(name => {
+            this.groups[name] = this.resolveGroup(name);
+        });
+    }
+
+    static load(filePath = process.env.DEVICE_PROFILES_FILE || DEFAULT_FILE) {
+        const resolvedPath = path.resolve(filePath);
+        if (!fs.existsSync(resolvedPath)) {
+            throw new Error(`Device profile file not found: ${resolvedPath}`);
+        }
+
+        const content = fs.readFileSync(resolvedPath, 'utf8');
+        let definition;
+        try {
+            definition = /\.ya?ml$/i.test(resolvedPath)
+                ? require('js-yaml').load(content)
+                : JSON.parse(content);
+        } catch (error) {
+            throw new Error(`Could not parse device profile file ${resolvedPath}: ${error.message}`);
+        }
+
+        return new DeviceProfileRegistry(definition, resolvedPath);
+    }
+
+    /**
+     * Merge a profile over its `extends` chain
+     */
+    resolve(name, chain) {
+        const definition = this.definitions[name] || {};
+        if (chain.includes(name)) {
+            throw new Error(`Device profile inheritance loop in ${this.source}: ${[...chain, name].join(' → ')}`);
+        }
+
+        let base = { capabilities: {}, bstackOptions: {} };
+        if (definition.extends) {
+            if (!this.definitions[definition.extends]) {
+                throw new Error(`Device profile "${name}" extends unknown profile "${definition.extends}" in ${this.source}`);
+            }
+            base = this.resolve(definition.extends, [...chain, name]);
+        }
+
+        const { extends: parent, abstract, capabilities = {}, bstackOptions = {}, ...fields } = definition;
+        const profile = {
+            ...base,
+            ...fields,
+            name,
+            capabilities: { ...base.capabilities, ...capabilities },
+            bstackOptions: { ...base.bstackOptions, ...bstackOptions }
+        };
+
+        // Abstract bases may leave the device open; the profiles that run must not
+        if (chain.length === 0) {
+            ['deviceName', 'osVersion'].forEach(field => {
+                if (profile[field] === undefined || profile[field] === null || profile[field] === '') {
+                    throw new Error(`Device profile "${name}" has no ${field} in ${this.source}`);
+                }
+            });
+            profile.osVersion = String(profile.osVersion);
+        }
+
+        return profile;
+    }
+
+    resolveGroup(name) {
+        const group = this.groupDefinitions[name];
+
+        if (Array.isArray(group)) {
+            const unknown = group.filter(profile => !this.profiles[profile]);
+            if (unknown.length > 0) {
+                throw new Error(`Device group "${name}" lists unknown profile(s): ${unknown.join(', ')}. Valid profiles: ${this.getNames().join(', ')}`);
+            }
+            return [...group];
+        }
+
+        const { minOsVersion, maxOsVersion } = group || {};
+        if (minOsVersion === undefined && maxOsVersion === undefined) {
+            throw new Error(`Device group "${name}" must be a list of profiles or set minOsVersion/maxOsVersion`);
+        }
+
+        return this.getNames().filter(profile => {
+            const { osVersion } = this.profiles[profile];
+            return (minOsVersion === undefined || compareVersions(osVersion, minOsVersion) >= 0) &&
+                (maxOsVersion === undefined || compareVersions(osVersion, maxOsVersion) <= 0);
+        });
+    }
+
+    /**
+     * Profiles that can run, abstract bases excluded
+     */
+    getNames() {
+        return Object.keys(this.profiles);
+    }
+
+    getGroupNames() {
+        return Object.keys(this.groups);
+    }
+
+    has(name) {
+        return Boolean(this.profiles[name]);
+    }
+
+    get(name = this.defaultProfile) {
+        const profile = this.profiles[name];
+        if (!profile) {
+            throw new Error(`Unknown device profile "${name}". Valid profiles: ${this.getNames().join(', ')}`);
+        }
+
+        return profile;
+    }
+
+    getGroup(name) {
+        const group = this.groups[name];
+        if (!group) {
+            throw new Error(`Unknown device group "${name}". Valid groups: ${this.getGroupNames().join(', ') || '(none)'}`);
+        }
+
+        return [...group];
+    }
+
+    /**
+     * Expand a list of profile and group names, e.g. ['smoke-devices', 'samsung_s21'], into unique profile names
+     */
+    select(names) {
+        const selected = names.flatMap(name => {
+            if (this.groups[name]) {
+                return this.groups[name];
+            }
+            if (this.profiles[name]) {
+                return [name];
+            }
+            throw new Error(`Unknown device profile or group "${name}". Valid profiles: ${this.getNames().join(', ')}. Valid groups: ${this.getGroupNames().join(', ') || '(none)'}`);
+        });
+
+        return [...new Set(selected)];
+    }
+}
+
+DeviceProfileRegistry.DEFAULT_FILE = DEFAULT_FILE;
+DeviceProfileRegistry.compareVersions = compareVersions;
+
+module.exports = DeviceProfileRegistry;
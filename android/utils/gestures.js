@@ -0,0 +1,192 @@
+/**
+ * Gesture Library
+ * Features:
+ * - Scroll an element into view with a bounded number of swipes
+ * - Directional swipes within an element or the whole screen
+ * - Long-press and pinch gestures
+ * - UiAutomator2 `mobile:` gestures with W3C actions where a raw path is needed
+ */
+
+const DIRECTIONS = ['up', 'down', 'left', 'right'];
+
+class Gestures {
+    constructor(driver, options = {}) {
+        this.driver = driver;
+        this.options = {
+            maxSwipes: 10,
+            swipePercent: 0.75,
+            swipeSpeed: 2500,
+            longPressDuration: 1000,
+            pinchPercent: 0.75,
+            // Keep gestures away from the status and navigation bars
+            edgeMargin: 0.15,
+            ...options
+        };
+    }
+
+    validateDirection(direction) {
+        if (!DIRECTIONS.includes(direction)) {
+            throw new Error(`Invalid direction "${direction}". Expected one of: ${DIRECTIONS.join(', ')}`);
+        }
+    }
+
+    /**
+     * Accept either a selector string or an already-resolved element
+     */
+    async resolveElement(target) {
+        return typeof target === 'string' ? this.driver.$(target) : target;
+    }
+
+    /**
+     * Gesture area for an element, or the screen minus the edge margins
+     */
+    async getGestureArea(target = null) {
+        if (target) {
+            const element = await this.resolveElement(target);
+            return { elementId: element.elementId };
+        }
+
+        const { width, height } = await this.driver.getWindowRect();
+        const marginX = Math.round(width * this.options.edgeMargin);
+        const marginY = Math.round(height * this.options.edgeMargin);
+
+        return {
+            left: marginX,
+            top: marginY,
+            width: width - marginX * 2,
+            height: height - marginY * 2
+        };
+    }
+
+    /**
+     * Swipe the finger in a direction, within an element or across the screen.
+     * A swipe up reveals content further down.
+     */
+    async swipe(direction, { within = null, percent = this.options.swipePercent, speed = this.options.swipeSpeed } = {}) {
+        this.validateDirection(direction);
+
+        await this.driver.execute('mobile: swipeGesture', {
+            ...(await this.getGestureArea(within)),
+            direction,
+            percent,
+            speed
+        });
+
+        console.log(`👆 Swiped ${direction}${within ? ' within element' : ''}`);
+    }
+
+    /**
+     * Scroll content in a direction. Returns false once the end is reached.
+     */
+    async scroll(direction = 'down', { within = null, percent = this.options.swipePercent } = {}) {
+        this.validateDirection(direction);
+
+        return this.driver.execute('mobile: scrollGesture', {
+            ...(await this.getGestureArea(within)),
+            direction,
+            percent
+        });
+    }
+
+    /**
+     * Scroll until the element is displayed, up to `maxSwipes` scrolls
+     */
+    async scrollIntoView(selector, { direction = 'down', maxSwipes = this.options.maxSwipes, within = null } = {}) {
+        for (let swipe = 0; swipe <= maxSwipes; swipe++) {
+            try {
+                const element = await this.driver.$(selector);
+                if (await element.isDisplayed()) {
+                    console.log(`👀 Element in view after ${swipe} swipe(s): ${selector}`);
+                    return element;
+                }
+            } catch {
+                // Not in the hierarchy yet, keep scrolling
+            }
+
+            if (swipe === maxSwipes) {
+                break;
+            }
+
+            const canScrollMore = await this.scroll(direction, { within });
+            if (canScrollMore === false) {
+                // One last check: the element may have arrived with the final scroll
+                const element = await this.driver.$(selector);
+                if (await element.isDisplayed().catch(() => false)) {
+                    return element;
+                }
+                throw new Error(`Reached the end of the scrollable area without finding ${selector}`);
+            }
+        }
+
+        throw new Error(`Element ${selector} not found after ${maxSwipes} swipes ${direction}`);
+    }
+
+    /**
+     * Long-press an element, e.g. to open a reading-list item's context menu
+     */
+    async longPress(target, duration = this.options.longPressDuration) {
+        const element = await this.resolveElement(target);
+
+        await this.driver.execute('mobile: longClickGesture', {
+            elementId: element.elementId,
+            duration
+        });
+
+        console.log(`👇 Long-pressed element for ${duration}ms`);
+        return element;
+    }
+
+    /**
+     * Pinch open (zoom in) or close (zoom out) on an element
+     */
+    async pinch(target, { direction = 'open', percent = this.options.pinchPercent } = {}) {
+        if (!['open', 'close'].includes(direction)) {
+            throw new Error(`Invalid pinch direction "${direction}". Expected "open" or "close"`);
+        }
+
+        const element = await this.resolveElement(target);
+        const command = direction === 'open' ? 'mobile: pinchOpenGesture' : 'mobile: pinchCloseGesture';
+
+        await this.driver.execute(command, {
+            elementId: element.elementId,
+            percent
+        });
+
+        console.log(`🤏 Pinched ${direction} on element`);
+    }
+
+    /**
+     * Drag along an explicit path with W3C pointer actions, e.g. to reorder list items
+     */
+    async dragByCoordinates(from, to, { holdDuration = 0, moveDuration = 600 } = {}) {
+        await this.driver
+            .action('pointer', { parameters: { pointerType: 'touch' } })
+            .move({ x: Math.round(from.x), y: Math.round(from.y) })
+            .down()
+            .pause(holdDuration)
+            .move({ x: Math.round(to.x), y: Math.round(to.y), duration: moveDuration })
+            .up()
+            .perform();
+
+        console.log(`✋ Dragged from (${from.x}, ${from.y}) to (${to.x}, ${to.y})`);
+    }
+
+    /**
+     * Drag one element onto another's position
+     */
+    async dragElementTo(source, target, options = {}) {
+        const [sourceElement, targetElement] = await Promise.all([
+            this.resolveElement(source),
+            this.resolveElement(target)
+        ]);
+        const [sourceRect, targetRect] = await Promise.all([
+            this.driver.getElementRect(sourceElement.elementId),
+            this.driver.getElementRect(targetElement.elementId)
+        ]);
+
+        const center = rect => ({ x: rect.x + rect.width / 2, y: rect.y + rect.height / 2 });
+        await this.dragByCoordinates(center(sourceRect), center(targetRect), options);
+    }
+}
+
+module.exports = Gestures;
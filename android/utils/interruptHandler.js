@@ -0,0 +1,175 @@
+/**
+ * Interrupt Handler
+ * Features:
+ * - Recognises screens that pop up over any page: runtime permission prompts,
+ *   onboarding, "Got it" tooltips, app-rating dialogs and ANR dialogs
+ * - Applies a policy per interruption: dismiss, accept or fail
+ * - Keeps a log of handled interruptions for the scenario report
+ *
+ * Policies can be overridden per run, e.g.
+ * INTERRUPT_POLICIES="permission=dismiss,anr=accept". INTERRUPT_WATCHER=false turns the watcher off.
+ */
+
+const { MainAppLocators, SystemLocators, InterruptionLocators } = require('../objectRepo/objectRepo');
+const { toWdioSelector } = require('../objectRepo/locatorAdapter');
+
+const POLICIES = ['dismiss', 'accept', 'fail'];
+
+/**
+ * Known interruptions, checked in this order.
+ * `accept` and `dismiss` are the buttons each policy taps; a missing one means the policy is not available.
+ */
+const INTERRUPTIONS = {
+    anr: {
+        description: 'ANR dialog',
+        detect: SystemLocators.anrWaitBtn,
+        accept: SystemLocators.anrWaitBtn,
+        dismiss: SystemLocators.anrCloseBtn,
+        // An unresponsive app is a real failure unless a run opts out
+        policy: 'fail'
+    },
+    permission: {
+        description: 'Runtime permission prompt',
+        detect: SystemLocators.permissionAllowBtn,
+        accept: SystemLocators.permissionAllowBtn,
+        dismiss: SystemLocators.permissionDenyBtn,
+        policy: 'accept'
+    },
+    appRating: {
+        description: 'App rating dialog',
+        detect: InterruptionLocators.appRatingTitle,
+        accept: SystemLocators.dialogOkBtn,
+        dismiss: SystemLocators.dialogCancelBtn,
+        policy: 'dismiss'
+    },
+    onboarding: {
+        description: 'Onboarding',
+        detect: InterruptionLocators.onboardingSkipButton,
+        dismiss: InterruptionLocators.onboardingSkipButton,
+        policy: 'dismiss'
+    },
+    gotIt: {
+        description: '"Got it" tooltip',
+        detect: MainAppLocators.gotItOkButton,
+        dismiss: MainAppLocators.gotItOkButton,
+        policy: 'dismiss'
+    }
+};
+
+/**
+ * Parse "name=policy,name=policy" into an object
+ */
+function parsePolicies(value = '') {
+    return value.split(',')
+        .map(entry => entry.trim())
+        .filter(Boolean)
+        .reduce((policies, entry) => {
+            const [name, policy] = entry.split('=').map(part => part.trim());
+            policies[name] = policy;
+            return policies;
+        }, {});
+}
+
+/**
+ * Merge policy overrides over the defaults, rejecting unknown names and unavailable actions
+ */
+function resolvePolicies(overrides = {}) {
+    const policies = {};
+
+    Object.entries(INTERRUPTIONS).forEach(([name, interruption]) => {
+        policies[name] = interruption.policy;
+    });
+
+    Object.entries(overrides).forEach(([name, policy]) => {
+        const interruption = INTERRUPTIONS[name];
+        if (!interruption) {
+            throw new Error(`Unknown interruption "${name}". Expected one of: ${Object.keys(INTERRUPTIONS).join(', ')}`);
+        }
+        if (!POLICIES.includes(policy)) {
+            throw new Error(`Invalid policy "${policy}" for ${name}. Expected one of: ${POLICIES.join(', ')}`);
+        }
+        if (policy !== 'fail' && !interruption[policy]) {
+            throw new Error(`${interruption.description} cannot be handled with "${policy}"`);
+        }
+        policies[name] = policy;
+    });
+
+    return policies;
+}
+
+class InterruptHandler {
+    /**
+     * @param {WebdriverIO.Browser} driver
+     * @param {Array} log - shared list of handled interruptions, see createSharedState()
+     */
+    constructor(driver, log, options = {}) {
+        this.driver = driver;
+        this.log = log;
+        this.enabled = options.enabled !== undefined
+            ? options.enabled
+            : process.env.INTERRUPT_WATCHER !== 'false';
+        this.policies = resolvePolicies({
+            ...parsePolicies(process.env.INTERRUPT_POLICIES),
+            ...options.policies
+        });
+    }
+
+    async isShown(locator) {
+        try {
+            return (await this.driver.$$(toWdioSelector(locator))).length > 0;
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Handle the first known interruption on screen.
+     * Resolves with the handled entry, or null when nothing was in the way.
+     * Throws when the interruption's policy is "fail".
+     */
+    async check() {
+        if (!this.enabled) {
+            return null;
+        }
+
+        for (const [name, interruption] of Object.entries(INTERRUPTIONS)) {
+            if (!await this.isShown(interruption.detect)) {
+                continue;
+            }
+
+            const policy = this.policies[name];
+            const entry = {
+                name,
+                description: interruption.description,
+                policy,
+                timestamp: new Date().toISOString()
+            };
+            this.log.push(entry);
+
+            if (policy === 'fail') {
+                console.error(`🚧 ${interruption.description} on screen (policy: fail)`);
+                throw new Error(`Unexpected ${interruption.description} on screen (interrupt policy "${name}=fail")`);
+            }
+
+            const button = await this.driver.$(toWdioSelector(interruption[policy]));
+            await button.click();
+            console.log(`🚧 Handled ${interruption.description} (${policy})`);
+
+            return entry;
+        }
+
+        return null;
+    }
+}
+
+/**
+ * One line per handled interruption, for logs and report attachments
+ */
+InterruptHandler.formatEntries = (entries) =>
+    entries.map(entry => `${entry.timestamp} ${entry.description}: ${entry.policy}`).join('\n');
+
+InterruptHandler.INTERRUPTIONS = INTERRUPTIONS;
+InterruptHandler.resolvePolicies = resolvePolicies;
+InterruptHandler.parsePolicies = parsePolicies;
+
+module.exports = InterruptHandler;
@@ -0,0 +1,79 @@
+/**
+ * App-State Isolation Policies
+ * Features:
+ * - Chooses how much app state a scenario starts with from its tags:
+ *   @fresh-install, @clear-data or @keep-state
+ * - Maps each policy to the noReset/fullReset capabilities of the session
+ * - Falls back to ISOLATION_POLICY, then "clear-data", for untagged scenarios
+ *
+ * With `noReset: false` UiAutomator2 runs `pm clear` on the app before launching it;
+ * `fullReset: true` uninstalls and reinstalls it. BrowserStack starts every session
+ * on a cleaned device, so "keep-state" only keeps data within a session there.
+ *
+ * A pooled session (SESSION_REUSE=true) skips those capabilities, so `reset` says how
+ * AppLifecycle.reset() prepares the app instead. A reinstall always takes a new session.
+ */
+
+const DEFAULT_POLICY = 'clear-data';
+
+const ISOLATION_POLICIES = {
+    'fresh-install': {
+        description: 'App reinstalled before the scenario',
+        capabilities: { noReset: false, fullReset: true },
+        reuseSession: false
+    },
+    'clear-data': {
+        description: 'App data cleared (pm clear) before the scenario',
+        capabilities: { noReset: false, fullReset: false },
+        reuseSession: true,
+        reset: 'clear-data'
+    },
+    'keep-state': {
+        description: 'App data kept from earlier scenarios',
+        capabilities: { noReset: true, fullReset: false },
+        reuseSession: true,
+        reset: 'relaunch',
+        // Data the scenario creates is left for the scenarios after it
+        keepsData: true
+    }
+};
+
+function getIsolationPolicy(name) {
+    const policy = ISOLATION_POLICIES[name];
+    if (!policy) {
+        throw new Error(`Unknown isolation policy "${name}". Expected one of: ${Object.keys(ISOLATION_POLICIES).join(', ')}`);
+    }
+
+    return { name, ...policy };
+}
+
+/**
+ * Policy for a scenario from its tag names, e.g. ['@smoke', '@keep-state']
+ */
+function resolveIsolationPolicy(tagNames = [], env = process.env) {
+    const tagged = [...new Set(tagNames
+        .map(tag => tag.replace(/^@/, ''))
+        .filter(tag => ISOLATION_POLICIES[tag]))];
+
+    if (tagged.length > 1) {
+        throw new Error(`Conflicting isolation tags: ${tagged.map(tag => `@${tag}`).join(', ')}. Use one per scenario.`);
+    }
+
+    return getIsolationPolicy(tagged[0] || env.ISOLATION_POLICY || DEFAULT_POLICY);
+}
+
+/**
+ * One line for logs and report attachments
+ */
+function describeIsolationPolicy(policy) {
+    const { noReset, fullReset } = policy.capabilities;
+    return `Isolation: ${policy.name} - ${policy.description} (noReset: ${noReset}, fullReset: ${fullReset})`;
+}
+
+module.exports = {
+    ISOLATION_POLICIES,
+    DEFAULT_POLICY,
+    getIsolationPolicy,
+    resolveIsolationPolicy,
+    describeIsolationPolicy
+};
@@ -0,0 +1,55 @@
+/**
+ * Language Catalog
+ * Features:
+ * - Resolves a language by ISO code, English name or native name
+ * - Localized Explore card titles used to check the feed switched language
+ *
+ * Card titles come from the app's translations; add a language here before
+ * using it in a content-verification step.
+ */
+
+const LANGUAGES = {
+    en: { name: 'English', nativeName: 'English', inTheNews: 'In the news' },
+    de: { name: 'German', nativeName: 'Deutsch', inTheNews: 'In den Nachrichten' },
+    fr: { name: 'French', nativeName: 'Français', inTheNews: 'Actualités' },
+    es: { name: 'Spanish', nativeName: 'Español', inTheNews: 'En las noticias' }
+};
+
+/**
+ * Resolve "German", "Deutsch" or "de" to `{ code, name, nativeName, inTheNews }`.
+ * Languages missing from the catalog resolve by visible name only, with a null code.
+ */
+function resolveLanguage(nameOrCode) {
+    if (!nameOrCode || typeof nameOrCode !== 'string' || nameOrCode.trim().length === 0) {
+        throw new Error('Invalid language parameter: must be a language name or ISO code');
+    }
+
+    const query = nameOrCode.trim();
+    const lowerQuery = query.toLowerCase();
+
+    const match = Object.entries(LANGUAGES).find(([code, language]) =>
+        code === lowerQuery ||
+        language.name.toLowerCase() === lowerQuery ||
+        language.nativeName.toLowerCase() === lowerQuery
+    );
+
+    if (match) {
+        const [code, language] = match;
+        return { code, ...language };
+    }
+
+    return { code: null, name: query, nativeName: query, inTheNews: null };
+}
+
+/**
+ * Visible names a language may be listed under, without duplicates
+ */
+function visibleNames(language) {
+    return [...new Set([language.name, language.nativeName])];
+}
+
+module.exports = {
+    LANGUAGES,
+    resolveLanguage,
+    visibleNames
+};
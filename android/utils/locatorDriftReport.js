@@ -0,0 +1,103 @@
+/**
+ * Locator Drift Report
+ * Features:
+ * - Records elements that only matched through a fallback locator
+ * - Aggregates occurrences per element and matched strategy
+ * - Suggests the matching fallback as the new primary locator
+ * - Writes a JSON report per Cucumber worker
+ */
+
+const fs = require('fs');
+const path = require('path');
+
+class LocatorDriftReport {
+    constructor() {
+        this.entries = new Map();
+    }
+
+    /**
+     * Record a lookup that succeeded only through a fallback strategy
+     */
+    record({ element, page, primary, matched, strategyIndex }) {
+        const key = `${element}::${matched.selector}`;
+        const existing = this.entries.get(key);
+
+        if (existing) {
+            existing.occurrences++;
+            existing.lastSeen = new Date().toISOString();
+            if (!existing.pages.includes(page)) {
+                existing.pages.push(page);
+            }
+            return;
+        }
+
+        this.entries.set(key, {
+            element,
+            pages: [page],
+            primarySelector: primary.selector,
+            matchedSelector: matched.selector,
+            strategyIndex,
+            suggestedPrimaryLocator: matched.locator,
+            occurrences: 1,
+            firstSeen: new Date().toISOString(),
+            lastSeen: new Date().toISOString()
+        });
+    }
+
+    /**
+     * Get all recorded drift entries, most frequent first
+     */
+    getEntries() {
+        return [...this.entries.values()].sort((a, b) => b.occurrences - a.occurrences);
+    }
+
+    hasDrift() {
+        return this.entries.size > 0;
+    }
+
+    /**
+     * Print a console summary of drifted elements
+     */
+    printSummary() {
+        if (!this.hasDrift()) {
+            console.log('🧭 Locator drift: all elements matched their primary locator');
+            return;
+        }
+
+        console.log('\n🧭 Locator Drift Summary:');
+        this.getEntries().forEach(entry => {
+            console.log(`   - ${entry.element} (${entry.pages.join(', ')}): primary failed ${entry.occurrences}x`);
+            console.log(`     primary:   ${entry.primarySelector}`);
+            console.log(`     suggested: ${entry.matchedSelector}`);
+        });
+    }
+
+    /**
+     * Write the report to disk. Each Cucumber worker writes its own file.
+     */
+    writeReport(directory = 'reports') {
+        if (!this.hasDrift()) {
+            return null;
+        }
+
+        const workerSuffix = process.env.CUCUMBER_WORKER_ID ? `-worker-${process.env.CUCUMBER_WORKER_ID}` : '';
+        const reportPath = path.join(directory, `locator-drift${workerSuffix}.json`);
+
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(reportPath, JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            driftedElements: this.getEntries()
+        }, null, 2));
+
+        console.log(`📝 Locator drift report written: ${reportPath}`);
+        return reportPath;
+    }
+
+    reset() {
+        this.entries.clear();
+    }
+}
+
+// One report per process, shared by every page object
+module.exports = new LocatorDriftReport();
+module.exports.LocatorDriftReport = LocatorDriftReport;
@@ -0,0 +1,174 @@
+/**
+ * Network Controller
+ * Features:
+ * - Airplane mode, Wi-Fi and mobile data switches on local devices and emulators
+ * - BrowserStack network profiles through the App Automate REST API on remote runs
+ * - Named conditions ("offline", "online", ...) that work on both
+ * - Restores the network after a scenario so a local device is not left offline
+ */
+
+const BROWSERSTACK_API = 'https://api-cloud.browserstack.com/app-automate/sessions';
+
+/**
+ * Named network conditions.
+ * `local` is passed to `mobile: setConnectivity`, `browserstack` is a BrowserStack network profile.
+ */
+const CONDITIONS = {
+    online: { local: { wifi: true, data: true, airplaneMode: false }, browserstack: 'reset' },
+    offline: { local: { wifi: false, data: false, airplaneMode: false }, browserstack: 'no-network' },
+    'airplane mode': { local: { airplaneMode: true }, browserstack: 'airplane-mode' },
+    'wifi only': { local: { wifi: true, data: false, airplaneMode: false } },
+    'mobile data only': { local: { wifi: false, data: true, airplaneMode: false } },
+    '2g': { browserstack: '2g-gprs-good' },
+    '3g': { browserstack: '3g-umts-good' },
+    '4g': { browserstack: '4g-lte-good' }
+};
+
+class NetworkController {
+    constructor(driver, options = {}) {
+        this.driver = driver;
+        this.options = {
+            remote: process.env.BROWSERSTACK === 'true',
+            userName: process.env.BROWSERSTACK_USERNAME,
+            accessKey: process.env.BROWSERSTACK_ACCESS_KEY,
+            // How long to wait for the device to report the new state
+            settleTimeout: 15000,
+            ...options
+        };
+
+        // Name of the condition last applied, null while untouched
+        this.condition = null;
+    }
+
+    get target() {
+        return this.options.remote ? 'browserstack' : 'local';
+    }
+
+    /**
+     * Apply a named condition, e.g. setCondition('offline')
+     */
+    async setCondition(name) {
+        const condition = CONDITIONS[name];
+        if (!condition) {
+            throw new Error(`Unknown network condition "${name}". Expected one of: ${Object.keys(CONDITIONS).join(', ')}`);
+        }
+
+        const setting = condition[this.target];
+        if (!setting) {
+            const supported = Object.keys(CONDITIONS).filter(key => CONDITIONS[key][this.target]);
+            throw new Error(`Network condition "${name}" is not available on ${this.target} runs. Available: ${supported.join(', ')}`);
+        }
+
+        if (this.options.remote) {
+            await this.setBrowserStackProfile(setting);
+        } else {
+            await this.setConnectivity(setting);
+        }
+
+        this.condition = name;
+        console.log(`📶 Network condition: ${name}`);
+    }
+
+    async goOffline() {
+        return this.setCondition('offline');
+    }
+
+    async goOnline() {
+        return this.setCondition('online');
+    }
+
+    /**
+     * Switch individual radios on a local device, e.g. { wifi: false, data: false }
+     */
+    async setConnectivity(settings) {
+        if (this.options.remote) {
+            throw new Error('Individual Wi-Fi, data and airplane mode switches are only available locally. Use a named condition on BrowserStack.');
+        }
+
+        await this.driver.execute('mobile: setConnectivity', settings);
+
+        await this.driver.waitUntil(async () => {
+            const state = await this.getConnectivity();
+            return Object.entries(settings).every(([key, value]) => state[key] === value);
+        }, {
+            timeout: this.options.settleTimeout,
+            timeoutMsg: `Device did not report ${JSON.stringify(settings)} within ${this.options.settleTimeout}ms`
+        });
+    }
+
+    async setAirplaneMode(enabled) {
+        return this.setConnectivity({ airplaneMode: enabled });
+    }
+
+    async setWifi(enabled) {
+        return this.setConnectivity({ wifi: enabled });
+    }
+
+    async setMobileData(enabled) {
+        return this.setConnectivity({ data: enabled });
+    }
+
+    /**
+     * Current radio state as { wifi, data, airplaneMode }
+     */
+    async getConnectivity() {
+        if (!this.options.remote) {
+            return this.driver.execute('mobile: getConnectivity', {});
+        }
+
+        // Bitmask: 1 airplane mode, 2 Wi-Fi, 4 data
+        const mask = await this.driver.getNetworkConnection();
+        return {
+            airplaneMode: Boolean(mask & 1),
+            wifi: Boolean(mask & 2),
+            data: Boolean(mask & 4)
+        };
+    }
+
+    async isOffline() {
+        const { wifi, data, airplaneMode } = await this.getConnectivity();
+        return airplaneMode || (!wifi && !data);
+    }
+
+    /**
+     * Apply a BrowserStack network profile to the running session
+     */
+    async setBrowserStackProfile(profile) {
+        const { userName, accessKey } = this.options;
+        if (!userName || !accessKey) {
+            throw new Error('BROWSERSTACK_USERNAME and BROWSERSTACK_ACCESS_KEY are required to change the network profile');
+        }
+
+        const response = await fetch(`${BROWSERSTACK_API}/${this.driver.sessionId}/update_network.json`, {
+            method: 'PUT',
+            headers: {
+                'Content-Type': 'application/json',
+                Authorization: `Basic ${Buffer.from(`${userName}:${accessKey}`).toString('base64')}`
+            },
+            body: JSON.stringify({ networkProfile: profile })
+        });
+
+        if (!response.ok) {
+            throw new Error(`BrowserStack rejected network profile "${profile}": ${response.status} ${await response.text()}`);
+        }
+    }
+
+    /**
+     * Bring the network back if a scenario changed it. Never throws, so it is safe in hooks.
+     */
+    async restore() {
+        if (this.condition === null || this.condition === 'online') {
+            return;
+        }
+
+        try {
+            await this.goOnline();
+        } catch (error) {
+            console.error(`❌ Could not restore the network after "${this.condition}": ${error.message}`);
+        }
+    }
+}
+
+NetworkController.CONDITIONS = CONDITIONS;
+
+module.exports = NetworkController;
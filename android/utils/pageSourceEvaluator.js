@@ -0,0 +1,159 @@
+/**
+ * Page Source Evaluator
+ * Features:
+ * - Resolves objectRepo locators against saved `driver.getPageSource()` XML
+ * - Supports id, accessibility id, class name, xpath and common UiSelector chains
+ * - Lets locator syntax and uniqueness be checked without a device
+ */
+
+const fs = require('fs');
+const { DOMParser } = require('@xmldom/xmldom');
+const xpath = require('xpath');
+
+// Node attribute used by each UiSelector method, with its match function
+const UI_SELECTOR_MATCHERS = {
+    resourceId: (node, value) => node.getAttribute('resource-id') === value,
+    className: (node, value) => node.getAttribute('class') === value,
+    text: (node, value) => node.getAttribute('text') === value,
+    textContains: (node, value) => node.getAttribute('text').includes(value),
+    textStartsWith: (node, value) => node.getAttribute('text').startsWith(value),
+    description: (node, value) => node.getAttribute('content-desc') === value,
+    descriptionContains: (node, value) => node.getAttribute('content-desc').includes(value)
+};
+
+const UI_SELECTOR_PREFIX = 'new UiSelector()';
+const UI_SELECTOR_METHOD = /\.(\w+)\(\s*(?:"((?:[^"\\]|\\.)*)"|(\d+))\s*\)/g;
+
+/**
+ * Parse a `new UiSelector()...` chain into a list of `{ method, argument }` calls
+ */
+function parseUiSelector(expression) {
+    const trimmed = expression.trim();
+    if (!trimmed.startsWith(UI_SELECTOR_PREFIX)) {
+        throw new Error(`Unsupported UiAutomator expression: ${expression}`);
+    }
+
+    const chain = trimmed.slice(UI_SELECTOR_PREFIX.length);
+    const calls = [];
+    let consumed = 0;
+    let match;
+
+    UI_SELECTOR_METHOD.lastIndex = 0;
+    while ((match = UI_SELECTOR_METHOD.exec(chain)) !== null) {
+        if (match.index !== consumed) {
+            break;
+        }
+
+        const [, method, stringArgument, numberArgument] = match;
+        if (method !== 'instance' && !UI_SELECTOR_MATCHERS[method]) {
+            throw new Error(`Unsupported UiSelector method "${method}" in: ${expression}`);
+        }
+
+        calls.push({
+            method,
+            argument: numberArgument !== undefined
+                ? Number(numberArgument)
+                : stringArgument.replace(/\\(.)/g, '$1')
+        });
+        consumed = UI_SELECTOR_METHOD.lastIndex;
+    }
+
+    if (consumed !== chain.length) {
+        throw new Error(`Could not parse UiSelector chain near "${chain.slice(consumed)}" in: ${expression}`);
+    }
+
+    return calls;
+}
+
+class PageSourceEvaluator {
+    constructor(pageSource) {
+        this.document = new DOMParser().parseFromString(pageSource, 'text/xml');
+
+        // Every UI node in document order; the <hierarchy> root is not a node
+        this.nodes = xpath.select('/hierarchy//*', this.document);
+    }
+
+    /**
+     * Load a saved page-source fixture from disk
+     */
+    static fromFile(filePath) {
+        return new PageSourceEvaluator(fs.readFileSync(filePath, 'utf8'));
+    }
+
+    /**
+     * Find every node matching an objectRepo `{ using, value }` locator
+     */
+    findAll(locator) {
+        const { using, value } = locator;
+
+        switch (using) {
+            case 'id':
+                return this.nodes.filter(node => {
+                    const resourceId = node.getAttribute('resource-id');
+                    // Appium prefixes bare ids with the app package
+                    return value.includes(':id/')
+                        ? resourceId === value
+                        : resourceId.endsWith(`:id/${value}`);
+                });
+            case 'accessibility id':
+                return this.nodes.filter(node => node.getAttribute('content-desc') === value);
+            case 'class name':
+                return this.nodes.filter(node => node.getAttribute('class') === value);
+            case 'xpath':
+                return xpath.select(value, this.document).filter(node => node.nodeType === 1);
+            case '-android uiautomator':
+                return this.findByUiSelector(value);
+            default:
+                throw new Error(`Unsupported locator strategy: ${using}`);
+        }
+    }
+
+    /**
+     * Resolve a UiSelector chain; instance(n) picks the n-th match in document order
+     */
+    findByUiSelector(expression) {
+        const calls = parseUiSelector(expression);
+        const filters = calls.filter(call => call.method !== 'instance');
+        const instanceCall = calls.find(call => call.method === 'instance');
+
+        const matches = this.nodes.filter(node =>
+            filters.every(({ method, argument }) => UI_SELECTOR_MATCHERS[method](node, argument))
+        );
+
+        if (!instanceCall) {
+            return matches;
+        }
+
+        return matches[instanceCall.argument] ? [matches[instanceCall.argument]] : [];
+    }
+
+    /**
+     * Evaluate a relative XPath locator (e.g. a feed card child) from a context node
+     */
+    findAllWithin(contextNode, locator) {
+        if (locator.using !== 'xpath') {
+            throw new Error(`Scoped lookups support xpath only, got: ${locator.using}`);
+        }
+
+        return xpath.select(locator.value, contextNode).filter(node => node.nodeType === 1);
+    }
+
+    count(locator) {
+        return this.findAll(locator).length;
+    }
+
+    /**
+     * Summarise a node for assertion messages
+     */
+    static describeNode(node) {
+        const attributes = ['class', 'resource-id', 'text', 'content-desc']
+            .map(name => [name, node.getAttribute(name)])
+            .filter(([, value]) => value)
+            .map(([name, value]) => `${name}="${value}"`);
+
+        return `<${attributes.join(' ')}>`;
+    }
+}
+
+module.exports = PageSourceEvaluator;
+module.exports.parseUiSelector = parseUiSelector;
@@ -0,0 +1,371 @@
+/**
+ * Session Manager
+ * Features:
+ * - Resolves the Appium endpoint: local server, BrowserStack hub or APPIUM_HUB_URL
+ * - Builds capabilities through capabilities.js unless they are passed in
+ * - Creates WebdriverIO clients by default, selenium-webdriver clients on request
+ * - Tracks open sessions and closes them, falling back to a force quit
+ * - Optional session pool (SESSION_REUSE=true): one session per worker and device,
+ *   handed to the next scenario until it dies or the capabilities change
+ *
+ * The client can also be chosen per run with SESSION_CLIENT=selenium.
+ */
+
+const { getCapabilities } = require('../capabilities');
+const browserStack = require('./browserStackExecutor');
+
+const CLIENTS = ['webdriverio', 'selenium'];
+
+const LOCAL_URL = 'http://127.0.0.1:4723/wd/hub';
+const BROWSERSTACK_URL = 'https://hub.browserstack.com/wd/hub';
+
+/**
+ * Endpoint of the Appium server for this run.
+ * APPIUM_HUB_URL wins over BROWSERSTACK; credentials in the URL are kept for both clients.
+ */
+function resolveEndpoint(env = process.env) {
+    let target = 'local';
+    let url = LOCAL_URL;
+
+    if (env.APPIUM_HUB_URL) {
+        target = 'custom';
+        url = env.APPIUM_HUB_URL;
+    } else if (env.BROWSERSTACK === 'true') {
+        target = 'browserstack';
+        url = BROWSERSTACK_URL;
+    }
+
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch {
+        throw new Error(`Invalid APPIUM_HUB_URL "${url}": expected e.g. http://127.0.0.1:4723/wd/hub`);
+    }
+
+    const protocol = parsed.protocol.replace(':', '');
+    const endpoint = {
+        target,
+        url,
+        protocol,
+        hostname: parsed.hostname,
+        port: parsed.port ? Number(parsed.port) : (protocol === 'https' ? 443 : 80),
+        path: parsed.pathname,
+        user: decodeURIComponent(parsed.username) || undefined,
+        key: decodeURIComponent(parsed.password) || undefined
+    };
+
+    if (target === 'browserstack') {
+        endpoint.user = env.BROWSERSTACK_USERNAME;
+        endpoint.key = env.BROWSERSTACK_ACCESS_KEY;
+    }
+
+    return endpoint;
+}
+
+/**
+ * Connection retries: remote hubs queue sessions while a device is allocated
+ */
+function getConnectionOptions(endpoint) {
+    return endpoint.target === 'local'
+        ? { connectionRetryTimeout: 30000, connectionRetryCount: 2 }
+        : { connectionRetryTimeout: 120000, connectionRetryCount: 3 };
+}
+
+/**
+ * Capabilities that decide whether a pooled session fits a scenario.
+ * The scenario name and the reset flags are left out: the pool resets the app itself.
+ */
+function getPoolKey(capabilities) {
+    const { noReset, fullReset, 'appium:noReset': bsNoReset, 'appium:fullReset': bsFullReset, ...rest } = capabilities;
+    const key = { ...rest };
+
+    if (key['bstack:options']) {
+        const { sessionName, ...bstackOptions } = key['bstack:options'];
+        key['bstack:options'] = bstackOptions;
+    }
+
+    return JSON.stringify(key);
+}
+
+class SessionManager {
+    constructor(options = {}) {
+        this.options = {
+            client: process.env.SESSION_CLIENT || 'webdriverio',
+            reuse: process.env.SESSION_REUSE === 'true',
+            ...options
+        };
+
+        // sessionId → { driver, client, target, name, startedAt, scenarios }
+        this.sessions = new Map();
+
+        // Pool key → driver of the session kept for the next scenario
+        this.pool = new Map();
+    }
+
+    resolveEndpoint() {
+        return resolveEndpoint(this.options.env);
+    }
+
+    /**
+     * Open a session.
+     * @param {Object} options - `client`, `capabilities`, `name`; anything else goes to getCapabilities()
+     * @returns {Promise<WebdriverIO.Browser|import('selenium-webdriver').WebDriver>}
+     */
+    async createSession(options = {}) {
+        const { client = this.options.client, capabilities: providedCapabilities, name, ...capabilityOptions } = options;
+        if (!CLIENTS.includes(client)) {
+            throw new Error(`Unknown session client "${client}". Expected one of: ${CLIENTS.join(', ')}`);
+        }
+
+        const endpoint = this.resolveEndpoint();
+        const capabilities = providedCapabilities || getCapabilities(capabilityOptions);
+
+        console.log(`🔧 Creating ${client} session on ${endpoint.target} (${endpoint.hostname}:${endpoint.port})...`);
+        const startedAt = Date.now();
+
+        const driver = client === 'selenium'
+            ? await this.createSeleniumDriver(endpoint, capabilities)
+            : await this.createWebdriverioDriver(endpoint, capabilities);
+        const sessionId = await SessionManager.getSessionId(driver);
+
+        this.sessions.set(sessionId, {
+            driver,
+            client,
+            target: endpoint.target,
+            name: name || capabilityOptions.sessionName || null,
+            startedAt: new Date(startedAt).toISOString(),
+            // Scenarios run in a pooled session, for its final status
+            scenarios: []
+        });
+
+        console.log(`✅ Session ${sessionId} created in ${Date.now() - startedAt}ms`);
+        return driver;
+    }
+
+    // Clients are loaded on first use, so a run only needs the one it uses
+    async createWebdriverioDriver(endpoint, capabilities) {
+        const { remote } = require('webdriverio');
+
+        return remote({
+            protocol: endpoint.protocol,
+            hostname: endpoint.hostname,
+            port: endpoint.port,
+            path: endpoint.path,
+            user: endpoint.user,
+            key: endpoint.key,
+            capabilities,
+            ...getConnectionOptions(endpoint)
+        });
+    }
+
+    async createSeleniumDriver(endpoint, capabilities) {
+        const { Builder } = require('selenium-webdriver');
+
+        const driver = new Builder()
+            .usingServer(endpoint.url)
+            .withCapabilities(capabilities)
+            .build();
+
+        // build() resolves lazily; wait for the session so failures surface here
+        await driver.getSession();
+        return driver;
+    }
+
+    /**
+     * Session for a scenario: a live pooled one when reuse is on, a new one otherwise.
+     * Resolves with { driver, reused }; a reused session still shows the previous scenario's app state.
+     */
+    async acquireSession(options = {}) {
+        const { reuse = this.options.reuse, ...sessionOptions } = options;
+        if (!reuse) {
+            // A pooled session would hold the same device
+            await this.closePool();
+            return { driver: await this.createSession(sessionOptions), reused: false };
+        }
+
+        const { client, capabilities: providedCapabilities, name, ...capabilityOptions } = sessionOptions;
+        const capabilities = providedCapabilities || getCapabilities(capabilityOptions);
+        const key = getPoolKey(capabilities);
+
+        const pooled = this.pool.get(key);
+        if (pooled) {
+            if (await SessionManager.isAlive(pooled)) {
+                console.log(`♻️ Reusing session ${pooled.sessionId || ''}`.trim());
+                return { driver: pooled, reused: true };
+            }
+
+            console.warn('⚠️ Pooled session is no longer responding, starting a new one');
+            await this.closeSession(pooled);
+        }
+
+        // One session per worker and device: a capability change replaces the pooled session
+        await this.closePool();
+
+        const driver = await this.createSession({ ...sessionOptions, capabilities });
+        this.pool.set(key, driver);
+        return { driver, reused: false };
+    }
+
+    async closePool() {
+        for (const driver of [...this.pool.values()]) {
+            await this.closeSession(driver);
+        }
+    }
+
+    isPooled(driver) {
+        return [...this.pool.values()].includes(driver);
+    }
+
+    /**
+     * Record a scenario's result against its session, used for the final status of pooled sessions
+     */
+    recordScenario(driver, scenario) {
+        const session = this.findSession(driver);
+        if (session) {
+            session.scenarios.push(scenario);
+        }
+    }
+
+    /**
+     * Hand a scenario's session back: pooled sessions stay open, others are closed
+     */
+    async releaseSession(driver) {
+        if (this.isPooled(driver)) {
+            console.log('♻️ Keeping the session for the next scenario');
+            return true;
+        }
+
+        return this.closeSession(driver);
+    }
+
+    findSession(driver) {
+        return [...this.sessions.values()].find(session => session.driver === driver) || null;
+    }
+
+    static async isAlive(driver) {
+        try {
+            if (typeof driver.getTimeouts === 'function') {
+                await driver.getTimeouts();
+            } else {
+                await driver.manage().getTimeouts();
+            }
+            return true;
+        } catch {
+            return false;
+        }
+    }
+
+    static async getSessionId(driver) {
+        if (driver.sessionId) {
+            return driver.sessionId;
+        }
+
+        return (await driver.getSession()).getId();
+    }
+
+    /**
+     * Open sessions, for logs and reports
+     */
+    getSessions() {
+        return [...this.sessions.entries()].map(([sessionId, { client, target, name, startedAt }]) => ({
+            sessionId,
+            client,
+            target,
+            name,
+            startedAt
+        }));
+    }
+
+    /**
+     * End a session. Never throws, so it is safe in hooks and finally blocks.
+     * Resolves with false when the session could not be closed cleanly.
+     */
+    async closeSession(driver) {
+        if (!driver) {
+            return false;
+        }
+
+        const entry = [...this.sessions.entries()].find(([, session]) => session.driver === driver);
+        if (entry) {
+            this.sessions.delete(entry[0]);
+        }
+        [...this.pool.entries()]
+            .filter(([, pooled]) => pooled === driver)
+            .forEach(([key]) => this.pool.delete(key));
+
+        if (entry && entry[1].target === 'browserstack' && entry[1].scenarios.length > 0) {
+            await SessionManager.reportPooledSession(driver, entry[1].scenarios);
+        }
+
+        const client = entry ? entry[1].client : (typeof driver.deleteSession === 'function' ? 'webdriverio' : 'selenium');
+
+        try {
+            if (client === 'webdriverio') {
+                await driver.deleteSession();
+            } else {
+                await driver.quit();
+            }
+            console.log('🧹 Session cleaned up successfully');
+            return true;
+        } catch (error) {
+            console.error('❌ Error during session cleanup:', error.message);
+        }
+
+        // Force quit if normal cleanup fails
+        if (typeof driver.quit === 'function' && client === 'webdriverio') {
+            try {
+                await driver.quit();
+                console.log('🧹 Driver force-quit completed');
+            } catch (forceQuitError) {
+                console.error('❌ Force quit also failed:', forceQuitError.message);
+            }
+        }
+
+        return false;
+    }
+
+    /**
+     * Forget a session that is already gone, without the delete and quit calls that would only fail
+     */
+    discardSession(driver) {
+        [...this.sessions.entries()]
+            .filter(([, session]) => session.driver === driver)
+            .forEach(([sessionId]) => this.sessions.delete(sessionId));
+        [...this.pool.entries()]
+            .filter(([, pooled]) => pooled === driver)
+            .forEach(([key]) => this.pool.delete(key));
+    }
+
+    /**
+     * Status and name of a BrowserStack session shared by several scenarios: failed if any of them failed
+     */
+    static async reportPooledSession(driver, scenarios) {
+        const failed = scenarios.filter(scenario => scenario.status === 'failed');
+        const reason = failed.length > 0
+            ? `${failed.length}/${scenarios.length} scenarios failed: ${failed.map(scenario => scenario.name).join(', ')}`
+            : `${scenarios.length} scenarios passed`;
+
+        try {
+            await browserStack.setSessionName(driver, `Wiki pooled session (${scenarios.length} scenarios)`);
+            await browserStack.setSessionStatus(driver, failed.length > 0 ? 'failed' : 'passed', reason);
+            console.log('📤 BrowserStack pooled session status updated');
+        } catch (error) {
+            console.error('❌ Could not report the pooled session to BrowserStack:', error.message);
+        }
+    }
+
+    /**
+     * Close every session still open, e.g. after an interrupted run
+     */
+    async closeAll() {
+        const drivers = [...this.sessions.values()].map(session => session.driver);
+        for (const driver of drivers) {
+            await this.closeSession(driver);
+        }
+    }
+}
+
+module.exports = new SessionManager();
+module.exports.SessionManager = SessionManager;
+module.exports.resolveEndpoint = resolveEndpoint;
+module.exports.getPoolKey = getPoolKey;
@@ -0,0 +1,407 @@
+/**
+ * Session Recovery
+ * Features:
+ * - Recognises transport-level failures: invalid session id, socket hang-ups,
+ *   refused connections and UiAutomator2 instrumentation crashes
+ * - Probes the session after timeouts, so a hung session is told apart from a slow app
+ * - Writes diagnostics for every lost session and keeps a run-level list of them
+ * - Recovery per SESSION_RECOVERY:
+ *   - infrastructure (default): the step fails as an infrastructure failure, not a test failure
+ *   - retry: open a new session, carry the scenario's state over and run the failed step once more;
+ *     the scenario fails without a retry when that state cannot be rebuilt
+ *   - off: errors pass through unchanged
+ * - Keeps infrastructure failures apart from app failures in the run summary, and exits with
+ *   INFRASTRUCTURE_EXIT_CODE (3 by default) when they are the only failures
+ */
+
+const fs = require('fs');
+const path = require('path');
+const sessionManager = require('./sessionManager');
+const { SessionManager, resolveEndpoint } = sessionManager;
+
+const RECOVERY_MODES = ['infrastructure', 'retry', 'off'];
+
+// Exit code of a run whose only failures are lost sessions; Cucumber uses 1 for every failure
+const DEFAULT_INFRASTRUCTURE_EXIT_CODE = 3;
+
+// Report marker of a scenario that failed because its session was lost
+const INFRASTRUCTURE_MARKER = '@infrastructure';
+
+const BROWSERSTACK_API = 'https://api-cloud.browserstack.com/app-automate/sessions';
+
+// Errors that mean the session or the server behind it is gone
+const SESSION_LOSS_PATTERNS = [
+    /invalid session id/i,
+    /session is either terminated or not started/i,
+    /session .* (?:not found|does not exist|was terminated)/i,
+    /socket hang up/i,
+    /ECONNREFUSED|ECONNRESET|EPIPE/,
+    /instrumentation process is not running/i,
+    /UiAutomator2 server .*(?:crashed|not running|terminated)/i,
+    /could not proxy command to the remote server/i
+];
+
+// Errors after which the session may be hung; a probe decides
+const TIMEOUT_PATTERNS = [
+    /ETIMEDOUT/,
+    /timed? ?out/i
+];
+
+// Lost sessions of this run, for the infrastructure report
+const losses = [];
+
+// Failed scenarios of this run, each with whether a lost session caused it
+const failedScenarios = [];
+
+function isSessionLossError(error) {
+    const message = `${error && error.name}: ${error && error.message}`;
+    return SESSION_LOSS_PATTERNS.some(pattern => pattern.test(message));
+}
+
+function isTimeoutError(error) {
+    const message = error && error.message ? error.message : String(error);
+    return TIMEOUT_PATTERNS.some(pattern => pattern.test(message));
+}
+
+class SessionRecovery {
+    /**
+     * @param {Object} options
+     * @param {Function} options.reconnect - async (world) => opens a new session on the world and
+     *   rebuilds the scenario's state on it; throws when the state cannot be rebuilt
+     * @param {Object} options.sessionManager - manager that owns the sessions, the shared one by default
+     */
+    constructor(options = {}) {
+        this.options = {
+            mode: process.env.SESSION_RECOVERY || 'infrastructure',
+            sessionManager,
+            // How long a hung session gets to answer the liveness probe
+            probeTimeout: 10000,
+            diagnosticsDir: path.join('reports', 'session-loss'),
+            ...options
+        };
+
+        if (!RECOVERY_MODES.includes(this.options.mode)) {
+            throw new Error(`Invalid SESSION_RECOVERY "${this.options.mode}". Expected one of: ${RECOVERY_MODES.join(', ')}`);
+        }
+    }
+
+    get mode() {
+        return this.options.mode;
+    }
+
+    /**
+     * Whether `error` came from a dead or hung session rather than from the app
+     */
+    async isSessionLost(driver, error) {
+        if (isSessionLossError(error)) {
+            return true;
+        }
+        if (!driver || !isTimeoutError(error)) {
+            return false;
+        }
+
+        let timer;
+        const timeout = new Promise(resolve => {
+            timer = setTimeout(() => resolve(false), this.options.probeTimeout);
+        });
+
+        try {
+            return !(await Promise.race([SessionManager.isAlive(driver), timeout]));
+        } finally {
+            clearTimeout(timer);
+        }
+    }
+
+    /**
+     * Wrap Given/When/Then so every step body runs through runStep().
+     * The wrapper keeps the body's arity, which Cucumber checks against the step pattern.
+     */
+    wrapStepDefiner(defineStep) {
+        const recovery = this;
+
+        return (pattern, ...rest) => {
+            const code = rest.pop();
+            const wrapped = async function (...args) {
+                return recovery.runStep(this, code, args);
+            };
+            Object.defineProperty(wrapped, 'length', { value: code.length });
+
+            return defineStep(pattern, ...rest, wrapped);
+        };
+    }
+
+    async runStep(world, code, args) {
+        try {
+            return await code.apply(world, args);
+        } catch (error) {
+            if (this.mode === 'off' || world.sessionLost || !await this.isSessionLost(world.driver, error)) {
+                throw error;
+            }
+
+            const diagnostics = await this.handleLoss(world, error);
+            if (this.mode !== 'retry') {
+                throw SessionRecovery.infrastructureError(diagnostics);
+            }
+
+            await this.reconnect(world, diagnostics);
+            console.log(`🔁 Retrying "${diagnostics.step}" on the new session`);
+            return this.retryStep(world, code, args);
+        }
+    }
+
+    /**
+     * Second and last attempt: losing this session too is reported, not retried
+     */
+    async retryStep(world, code, args) {
+        try {
+            return await code.apply(world, args);
+        } catch (error) {
+            if (!await this.isSessionLost(world.driver, error)) {
+                throw error;
+            }
+
+            throw SessionRecovery.infrastructureError(await this.handleLoss(world, error));
+        }
+    }
+
+    /**
+     * Record a lost session: diagnostics on disk and in the report, the session dropped
+     * without a quit that would only fail again. Resolves with the diagnostics.
+     */
+    async handleLoss(world, error) {
+        const diagnostics = await this.captureDiagnostics(world, error);
+        world.sessionLost = true;
+        world.infrastructureFailure = diagnostics;
+
+        console.error(`🔌 Session lost during "${diagnostics.step}": ${diagnostics.error.message}`);
+        await world.attach(SessionRecovery.formatDiagnostics(diagnostics), 'text/plain');
+
+        this.options.sessionManager.discardSession(world.driver);
+        await SessionRecovery.markBrowserStackSession(diagnostics);
+
+        return diagnostics;
+    }
+
+    /**
+     * Open a new session for the world. When the scenario's state cannot be rebuilt on it, the
+     * scenario fails as an infrastructure failure instead of retrying the step.
+     */
+    async reconnect(world, diagnostics) {
+        console.log('🔌 Opening a new session...');
+        const lostDriver = world.driver;
+
+        try {
+            await this.options.reconnect(world);
+        } catch (error) {
+            console.error(`❌ Could not rebuild the scenario on a new session: ${error.message}`);
+            await world.attach(`Not retried: the scenario's state could not be rebuilt on a new session (${error.message})`, 'text/plain');
+
+            // The After hook leaves lost sessions alone, so a session opened here is released now
+            if (world.driver && world.driver !== lostDriver) {
+                await this.options.sessionManager.releaseSession(world.driver).catch(() => {});
+            }
+
+            const failure = SessionRecovery.infrastructureError(diagnostics);
+            failure.message += `; the scenario's state could not be rebuilt on a new session: ${error.message}`;
+            throw failure;
+        }
+
+        world.sessionLost = false;
+        world.infrastructureFailure = null;
+        losses[losses.length - 1].recovered = true;
+    }
+
+    async captureDiagnostics(world, error) {
+        const session = this.options.sessionManager.findSession(world.driver);
+        const diagnostics = {
+            timestamp: new Date().toISOString(),
+            scenario: world.scenarioName || null,
+            step: world.currentStep || 'unknown step',
+            mode: this.mode,
+            error: {
+                name: error.name,
+                message: error.message,
+                stack: (error.stack || '').split('\n').slice(0, 8).join('\n')
+            },
+            session: {
+                id: world.driver && world.driver.sessionId,
+                target: session ? session.target : null,
+                startedAt: session ? session.startedAt : null,
+                scenariosRun: session ? session.scenarios.length : null
+            },
+            server: await this.checkServer(),
+            recovered: false
+        };
+
+        losses.push(diagnostics);
+
+        try {
+            fs.mkdirSync(this.options.diagnosticsDir, { recursive: true });
+            const filePath = path.join(this.options.diagnosticsDir, `session-loss_${diagnostics.timestamp.replace(/[:.]/g, '-')}.json`);
+            fs.writeFileSync(filePath, JSON.stringify(diagnostics, null, 2));
+            diagnostics.file = filePath;
+        } catch (writeError) {
+            console.error('❌ Could not write session-loss diagnostics:', writeError.message);
+        }
+
+        return diagnostics;
+    }
+
+    /**
+     * Whether the Appium server still answers, which separates a dead session from a dead server
+     */
+    async checkServer() {
+        const endpoint = resolveEndpoint();
+        if (endpoint.target === 'browserstack') {
+            return { checked: false };
+        }
+
+        try {
+            const response = await fetch(`${endpoint.url.replace(/\/$/, '')}/status`, {
+                signal: AbortSignal.timeout(5000)
+            });
+            const body = await response.json();
+            return { checked: true, reachable: true, ready: Boolean(body.value && body.value.ready !== false) };
+        } catch (error) {
+            return { checked: true, reachable: false, error: error.message };
+        }
+    }
+
+    /**
+     * The executor cannot reach a dead session, so BrowserStack is told through its REST API
+     */
+    static async markBrowserStackSession(diagnostics) {
+        const { BROWSERSTACK, BROWSERSTACK_USERNAME, BROWSERSTACK_ACCESS_KEY } = process.env;
+        if (BROWSERSTACK !== 'true' || !diagnostics.session.id || !BROWSERSTACK_USERNAME || !BROWSERSTACK_ACCESS_KEY) {
+            return;
+        }
+
+        try {
+            await fetch(`${BROWSERSTACK_API}/${diagnostics.session.id}.json`, {
+                method: 'PUT',
+                headers: {
+                    'Content-Type': 'application/json',
+                    Authorization: `Basic ${Buffer.from(`${BROWSERSTACK_USERNAME}:${BROWSERSTACK_ACCESS_KEY}`).toString('base64')}`
+                },
+                body: JSON.stringify({ status: 'failed', reason: `Infrastructure failure: ${diagnostics.error.message}`.slice(0, 255) })
+            });
+        } catch (error) {
+            console.error('❌ Could not mark the lost BrowserStack session:', error.message);
+        }
+    }
+
+    static infrastructureError(diagnostics) {
+        const error = new Error(`Infrastructure failure: session lost during "${diagnostics.step}" (${diagnostics.error.message})`);
+        error.infrastructure = true;
+        return error;
+    }
+
+    static formatDiagnostics(diagnostics) {
+        const { server } = diagnostics;
+        const serverState = !server.checked
+            ? 'not checked'
+            : (server.reachable ? `reachable${server.ready ? '' : ', not ready'}` : `unreachable (${server.error})`);
+
+        return [
+            `Session lost: ${diagnostics.error.message}`,
+            `Step: ${diagnostics.step}`,
+            `Session: ${diagnostics.session.id || 'unknown'} on ${diagnostics.session.target || 'unknown target'}`,
+            `Appium server: ${serverState}`,
+            `Recovery: ${diagnostics.mode}`,
+            diagnostics.file ? `Diagnostics: ${diagnostics.file}` : null
+        ].filter(Boolean).join('\n');
+    }
+
+    static getLosses() {
+        return losses.map(loss => ({ ...loss }));
+    }
+
+    /**
+     * Record a failed scenario; `infrastructure` when it failed because its session was lost
+     */
+    static recordFailedScenario(name, { infrastructure = false } = {}) {
+        failedScenarios.push({ name, infrastructure });
+    }
+
+    /**
+     * Names of the failed scenarios, split into app failures and infrastructure failures
+     */
+    static getFailureSummary() {
+        return {
+            app: failedScenarios.filter(scenario => !scenario.infrastructure).map(scenario => scenario.name),
+            infrastructure: failedScenarios.filter(scenario => scenario.infrastructure).map(scenario => scenario.name)
+        };
+    }
+
+    /**
+     * Run summary line for the console, null when nothing failed
+     */
+    static formatFailureSummary() {
+        const { app, infrastructure } = SessionRecovery.getFailureSummary();
+        if (app.length === 0 && infrastructure.length === 0) {
+            return null;
+        }
+
+        return [
+            `Failed scenarios: ${app.length} on the app, ${infrastructure.length} on infrastructure (lost session)`,
+            ...infrastructure.map(name => `  ${INFRASTRUCTURE_MARKER} ${name}`)
+        ].join('\n');
+    }
+
+    /**
+     * Exit code of the run: INFRASTRUCTURE_EXIT_CODE when lost sessions are the only failures, so CI
+     * can retry the run instead of reporting an app failure. Cucumber sets its exit code after the
+     * hooks, so the code is applied on process exit. A --parallel worker only sees its own scenarios,
+     * so parallel runs keep Cucumber's exit code. Returns the code applied, or null.
+     */
+    static applyExitCode(env = process.env) {
+        const { app, infrastructure } = SessionRecovery.getFailureSummary();
+        if (infrastructure.length === 0 || app.length > 0 || env.CUCUMBER_WORKER_ID) {
+            return null;
+        }
+
+        const exitCode = env.INFRASTRUCTURE_EXIT_CODE === undefined
+            ? DEFAULT_INFRASTRUCTURE_EXIT_CODE
+            : Number(env.INFRASTRUCTURE_EXIT_CODE);
+        if (!Number.isInteger(exitCode) || exitCode < 1 || exitCode > 255) {
+            throw new Error(`Invalid INFRASTRUCTURE_EXIT_CODE "${env.INFRASTRUCTURE_EXIT_CODE}". Expected 1-255`);
+        }
+
+        process.once('exit', () => {
+            if (process.exitCode === 1) {
+                process.exitCode = exitCode;
+            }
+        });
+
+        return exitCode;
+    }
+
+    /**
+     * Write the run's lost sessions next to the other reports. Each Cucumber worker writes its own file.
+     */
+    static writeReport(directory = 'reports') {
+        if (losses.length === 0) {
+            return null;
+        }
+
+        const workerSuffix = process.env.CUCUMBER_WORKER_ID ? `-worker-${process.env.CUCUMBER_WORKER_ID}` : '';
+        const reportPath = path.join(directory, `infrastructure-failures${workerSuffix}.json`);
+
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(reportPath, JSON.stringify({
+            generatedAt: new Date().toISOString(),
+            failedScenarios: SessionRecovery.getFailureSummary(),
+            losses
+        }, null, 2));
+
+        console.log(`📝 Infrastructure failure report written: ${reportPath}`);
+        return reportPath;
+    }
+}
+
+SessionRecovery.RECOVERY_MODES = RECOVERY_MODES;
+SessionRecovery.INFRASTRUCTURE_MARKER = INFRASTRUCTURE_MARKER;
+SessionRecovery.isSessionLossError = isSessionLossError;
+SessionRecovery.isTimeoutError = isTimeoutError;
+
+module.exports = SessionRecovery;
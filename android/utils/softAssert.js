@@ -0,0 +1,132 @@
+/**
+ * Soft Assertions
+ * Features:
+ * - Records failed checks instead of stopping at the first one
+ * - Scenario-wide mode (tag `@soft`) or a single collecting step
+ * - Screenshot per recorded failure
+ * - One combined failure with every broken check at the end
+ */
+
+const { isSessionLossError } = require('./sessionRecovery');
+
+class SoftAssert {
+    constructor(driver, { enabled = false } = {}) {
+        this.driver = driver;
+        this.enabled = enabled;
+        this.failures = [];
+        this.screenshotCount = 0;
+
+        // Failures of the currently collecting step, when inside collect()
+        this.scope = null;
+    }
+
+    isActive() {
+        return this.enabled || this.scope !== null;
+    }
+
+    /**
+     * Run one check. In soft mode a failure is recorded and the run continues;
+     * otherwise the error is rethrown as usual.
+     *
+     * @returns {Promise<boolean>} whether the check passed
+     */
+    async check(description, assertion) {
+        if (!this.isActive()) {
+            await assertion();
+            return true;
+        }
+
+        try {
+            await assertion();
+            return true;
+        } catch (error) {
+            // A lost session is not a failed check: let session recovery see it
+            if (isSessionLossError(error)) {
+                throw error;
+            }
+
+            await this.recordFailure(description, error);
+            return false;
+        }
+    }
+
+    /**
+     * Run several checks softly and fail once at the end of the step
+     */
+    async collect(description, checks) {
+        const outerScope = this.scope;
+        this.scope = [];
+
+        try {
+            await checks();
+        } finally {
+            const failures = this.scope;
+            this.scope = outerScope;
+
+            if (failures.length > 0) {
+                throw new Error(SoftAssert.formatSummary(description, failures));
+            }
+        }
+    }
+
+    async recordFailure(description, error) {
+        const failure = {
+            description,
+            message: error.message,
+            screenshot: await this.saveFailureScreenshot()
+        };
+
+        (this.scope || this.failures).push(failure);
+        console.log(`⚠️ Soft assertion failed: ${description} - ${error.message}`);
+    }
+
+    async saveFailureScreenshot() {
+        if (!this.driver) {
+            return null;
+        }
+
+        try {
+            const timestamp = new Date().toISOString().replace(/[:.]/g, '-');
+            this.screenshotCount++;
+            const screenshotPath = `./screenshots/soft_failure_${this.screenshotCount}_${timestamp}.png`;
+            await this.driver.saveScreenshot(screenshotPath);
+            console.log(`📸 Screenshot: ${screenshotPath}`);
+            return screenshotPath;
+        } catch (error) {
+            console.error('❌ Screenshot failed:', error.message);
+            return null;
+        }
+    }
+
+    hasFailures() {
+        return this.failures.length > 0;
+    }
+
+    getFailures() {
+        return [...this.failures];
+    }
+
+    /**
+     * Throw the combined failure for everything recorded in scenario-wide mode
+     */
+    assertAll(description = 'Soft assertions') {
+        if (!this.hasFailures()) {
+            return;
+        }
+
+        const failures = this.failures;
+        this.failures = [];
+        throw new Error(SoftAssert.formatSummary(description, failures));
+    }
+
+    static formatSummary(description, failures) {
+        const lines = failures.map((failure, index) => {
+            const screenshot = failure.screenshot ? ` (screenshot: ${failure.screenshot})` : '';
+            return `  ${index + 1}. ${failure.description}: ${failure.message}${screenshot}`;
+        });
+
+        return `${description}: ${failures.length} check(s) failed\n${lines.join('\n')}`;
+    }
+}
+
+module.exports = SoftAssert;
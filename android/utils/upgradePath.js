@@ -0,0 +1,177 @@
+/**
+ * Upgrade Path
+ * Features:
+ * - Installs a baseline APK from scratch for the setup scenario
+ * - Installs the candidate APK over it, keeping the app data
+ * - Records the app version before and after the upgrade for the report
+ *
+ * APK paths:
+ * - UPGRADE_BASELINE_APK: the older build the data is created on (required)
+ * - UPGRADE_CANDIDATE_APK: the build under test, APP_PATH or LocalSample.apk by default
+ *
+ * Upgrade runs are local only and need the Appium server to run with
+ * `--relaxed-security` to read the installed version.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { getEnvironmentConfig } = require('../objectRepo/objectRepo');
+
+// One upgrade per run: scenarios after the setup one share these results
+const report = {
+    baseline: null,
+    candidate: null,
+    upgradedAt: null
+};
+
+/**
+ * Resolve and check both APK paths
+ */
+function getApkPaths(env = process.env) {
+    if (!env.UPGRADE_BASELINE_APK) {
+        throw new Error('UPGRADE_BASELINE_APK is required for upgrade runs');
+    }
+
+    const apks = {
+        baseline: path.resolve(env.UPGRADE_BASELINE_APK),
+        candidate: path.resolve(env.UPGRADE_CANDIDATE_APK || env.APP_PATH || path.join(__dirname, '..', 'LocalSample.apk'))
+    };
+
+    Object.entries(apks).forEach(([name, apkPath]) => {
+        if (!fs.existsSync(apkPath)) {
+            throw new Error(`${name} APK not found: ${apkPath}`);
+        }
+    });
+
+    return apks;
+}
+
+/**
+ * Version fields of `dumpsys package` output
+ */
+function parseVersion(dumpsysOutput = '') {
+    const versionName = /versionName=(\S+)/.exec(dumpsysOutput);
+    const versionCode = /versionCode=(\d+)/.exec(dumpsysOutput);
+
+    return {
+        versionName: versionName ? versionName[1] : 'unknown',
+        versionCode: versionCode ? Number(versionCode[1]) : null
+    };
+}
+
+class UpgradePath {
+    constructor(driver, options = {}) {
+        if (process.env.BROWSERSTACK === 'true') {
+            throw new Error('Upgrade runs are local only: BrowserStack installs the app under test itself');
+        }
+
+        this.driver = driver;
+        this.config = options.config || getEnvironmentConfig(options.environment);
+        this.apks = options.apks || getApkPaths();
+    }
+
+    get appId() {
+        return this.config.appPackage;
+    }
+
+    async getInstalledVersion() {
+        try {
+            const output = await this.driver.execute('mobile: shell', {
+                command: 'dumpsys',
+                args: ['package', this.appId]
+            });
+            return parseVersion(output);
+        } catch (error) {
+            console.warn(`⚠️ Could not read the installed version (is --relaxed-security set?): ${error.message}`);
+            return parseVersion();
+        }
+    }
+
+    async install(apkPath, { replace }) {
+        await this.driver.execute('mobile: installApp', {
+            appPath: apkPath,
+            replace,
+            grantPermissions: true
+        });
+        await this.driver.execute('mobile: activateApp', { appId: this.appId });
+    }
+
+    /**
+     * Remove the app and its data, then install the baseline build
+     */
+    async installBaseline() {
+        console.log(`📦 Installing baseline ${this.apks.baseline}`);
+
+        if (await this.driver.execute('mobile: isAppInstalled', { appId: this.appId })) {
+            await this.driver.execute('mobile: removeApp', { appId: this.appId });
+        }
+        await this.install(this.apks.baseline, { replace: false });
+
+        report.baseline = { apk: this.apks.baseline, ...(await this.getInstalledVersion()) };
+        report.candidate = null;
+        report.upgradedAt = null;
+
+        console.log(`📦 Baseline version: ${report.baseline.versionName}`);
+        return report.baseline;
+    }
+
+    /**
+     * Install the candidate over the baseline without clearing data. Runs once per run.
+     */
+    async upgradeToCandidate() {
+        if (!report.baseline) {
+            throw new Error('No baseline installed in this run. Run the upgrade setup scenario first.');
+        }
+        if (report.candidate) {
+            console.log(`📦 Already upgraded to ${report.candidate.versionName}`);
+            return report.candidate;
+        }
+
+        console.log(`📦 Upgrading to candidate ${this.apks.candidate}`);
+        await this.driver.execute('mobile: terminateApp', { appId: this.appId });
+        await this.install(this.apks.candidate, { replace: true });
+
+        report.candidate = { apk: this.apks.candidate, ...(await this.getInstalledVersion()) };
+        report.upgradedAt = new Date().toISOString();
+
+        if (report.candidate.versionCode !== null && report.candidate.versionCode === report.baseline.versionCode) {
+            console.warn(`⚠️ Candidate has the same versionCode as the baseline (${report.candidate.versionCode}): nothing was migrated`);
+        }
+
+        console.log(`📦 ${UpgradePath.describe()}`);
+        return report.candidate;
+    }
+
+    static getReport() {
+        return { ...report };
+    }
+
+    /**
+     * "Upgrade 2.7.50 (50) → 2.7.60 (60)"
+     */
+    static describe() {
+        const format = (build) => (build ? `${build.versionName} (${build.versionCode ?? '?'})` : 'not installed');
+        return `Upgrade ${format(report.baseline)} → ${format(report.candidate)}`;
+    }
+
+    /**
+     * Write the before and after versions next to the other reports
+     */
+    static writeReport(directory = 'reports') {
+        if (!report.baseline) {
+            return null;
+        }
+
+        const reportPath = path.join(directory, 'upgrade-report.json');
+        fs.mkdirSync(directory, { recursive: true });
+        fs.writeFileSync(reportPath, JSON.stringify({ generatedAt: new Date().toISOString(), ...report }, null, 2));
+
+        console.log(`📝 Upgrade report written: ${reportPath}`);
+        return reportPath;
+    }
+}
+
+UpgradePath.getApkPaths = getApkPaths;
+UpgradePath.parseVersion = parseVersion;
+
+module.exports = UpgradePath;
@@ -0,0 +1,162 @@
+/**
+ * UI-State Wait Conditions
+ * Features:
+ * - Waits for an observable UI state instead of a fixed pause
+ * - Activity, dialog, idle hierarchy and stable list conditions
+ * - Time spent in every condition is recorded in the shared performance metrics
+ */
+
+const { SystemLocators } = require('../objectRepo/objectRepo');
+const { toWdioSelector } = require('../objectRepo/locatorAdapter');
+
+const DIALOG_SELECTORS = [
+    toWdioSelector(SystemLocators.dialogTitle),
+    toWdioSelector(SystemLocators.dialogButtonPanel)
+];
+
+class WaitConditions {
+    /**
+     * @param {WebdriverIO.Browser} driver
+     * @param {Object} performanceMetrics - shared page-object metrics, see createSharedState()
+     */
+    constructor(driver, performanceMetrics, options = {}) {
+        this.driver = driver;
+        this.performanceMetrics = performanceMetrics;
+        this.options = {
+            timeout: 15000,
+            interval: 250,
+            // How long the hierarchy or a list must stay unchanged to count as settled
+            quietPeriod: 500,
+            ...options
+        };
+    }
+
+    /**
+     * Run a condition and record its duration, whether it passed or timed out
+     */
+    async measure(name, condition) {
+        const startTime = Date.now();
+
+        try {
+            return await condition();
+        } finally {
+            const duration = Date.now() - startTime;
+            const stats = this.performanceMetrics.waitConditions[name] || { calls: 0, totalTime: 0 };
+
+            stats.calls++;
+            stats.totalTime += duration;
+            this.performanceMetrics.waitConditions[name] = stats;
+            this.performanceMetrics.totalWaitTime += duration;
+
+            console.log(`⏳ ${name} finished in ${duration}ms`);
+        }
+    }
+
+    async isDisplayed(selector) {
+        try {
+            const element = await this.driver.$(selector);
+            return await element.isDisplayed();
+        } catch {
+            return false;
+        }
+    }
+
+    /**
+     * Wait until the foreground activity ends with the given name, e.g. "PageActivity"
+     */
+    async waitForActivity(name, { timeout = this.options.timeout } = {}) {
+        return this.measure('waitForActivity', () => this.driver.waitUntil(async () => {
+            const activity = await this.driver.getCurrentActivity().catch(() => '');
+            return activity.endsWith(name);
+        }, {
+            timeout,
+            interval: this.options.interval,
+            timeoutMsg: `Activity ${name} was not in the foreground within ${timeout}ms`
+        }));
+    }
+
+    /**
+     * Wait until an alert dialog is shown, or any of the given dialog or sheet selectors
+     */
+    async waitForDialog({ selectors = DIALOG_SELECTORS, timeout = this.options.timeout } = {}) {
+        return this.measure('waitForDialog', () => this.driver.waitUntil(async () => {
+            for (const candidate of selectors) {
+                if (await this.isDisplayed(candidate)) {
+                    return true;
+                }
+            }
+            return false;
+        }, {
+            timeout,
+            interval: this.options.interval,
+            timeoutMsg: `No dialog appeared within ${timeout}ms`
+        }));
+    }
+
+    /**
+     * Wait until the view hierarchy has not changed for `quietPeriod` ms
+     */
+    async waitForIdle({ quietPeriod = this.options.quietPeriod, timeout = this.options.timeout } = {}) {
+        let lastSource = null;
+        let unchangedSince = Date.now();
+
+        return this.measure('waitForIdle', () => this.driver.waitUntil(async () => {
+            const source = await this.driver.getPageSource();
+
+            if (source !== lastSource) {
+                lastSource = source;
+                unchangedSince = Date.now();
+                return false;
+            }
+
+            return Date.now() - unchangedSince >= quietPeriod;
+        }, {
+            timeout,
+            interval: this.options.interval,
+            timeoutMsg: `UI hierarchy did not settle for ${quietPeriod}ms within ${timeout}ms`
+        }));
+    }
+
+    /**
+     * Wait until the number of matching elements stops changing, e.g. while a list loads.
+     * Resolves with the settled count.
+     */
+    async waitForElementCountStable(selector, {
+        minCount = 1,
+        quietPeriod = this.options.quietPeriod,
+        timeout = this.options.timeout
+    } = {}) {
+        let lastCount = -1;
+        let unchangedSince = Date.now();
+
+        await this.measure('waitForElementCountStable', () => this.driver.waitUntil(async () => {
+            const elements = await this.driver.$$(selector);
+            const count = elements.length;
+
+            if (count !== lastCount) {
+                lastCount = count;
+                unchangedSince = Date.now();
+                return false;
+            }
+
+            return count >= minCount && Date.now() - unchangedSince >= quietPeriod;
+        }, {
+            timeout,
+            interval: this.options.interval,
+            timeoutMsg: `Element count for ${selector} did not settle within ${timeout}ms`
+        }));
+
+        return lastCount;
+    }
+
+    /**
+     * Summary of the time spent in each condition, for scenario reports
+     */
+    getSummary() {
+        return Object.entries(this.performanceMetrics.waitConditions)
+            .map(([name, stats]) => `${name}: ${stats.calls}x, ${stats.totalTime}ms`)
+            .join(', ');
+    }
+}
+
+module.exports = WaitConditions;